@@ -0,0 +1,276 @@
+/**
+ * API Gateway / Function URL event helpers
+ * Normalizes the different Lambda proxy event shapes into a plain parameter object
+ * and builds proxy responses that always carry the CORS headers.
+ *
+ * Supported event shapes:
+ * - REST API (payload format 1.0): httpMethod, pathParameters, queryStringParameters, body
+ * - HTTP API (payload format 2.0): version "2.0", requestContext.http, rawQueryString, body
+ * - Lambda Function URL: payload format 2.0 served from a *.lambda-url.* domain
+ * - EventBridge scheduled event: source "aws.events", detail-type "Scheduled Event"
+ * - Direct invocation: parameters are the top-level properties of the event
+ *
+ * HTTP routes under /campaigns select an action of the multi-action router (see resolveRoute).
+ */
+
+export const EVENT_TYPES = {
+  REST_API: 'rest-api',
+  HTTP_API: 'http-api',
+  FUNCTION_URL: 'function-url',
+  SCHEDULED: 'scheduled',
+  DIRECT: 'direct'
+};
+
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.CORS_ALLOW_ORIGIN || '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+/**
+ * Error raised when a proxy event cannot be turned into parameters (e.g. malformed JSON body)
+ */
+export class EventParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EventParseError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Detect which invocation shape an event has
+ * @param {Object} event - Lambda event
+ * @returns {string} One of EVENT_TYPES
+ */
+export function detectEventType(event) {
+  if (!event || typeof event !== 'object') {
+    return EVENT_TYPES.DIRECT;
+  }
+
+  if (event.version === '2.0' && event.requestContext?.http) {
+    const domainName = event.requestContext.domainName || '';
+    return domainName.includes('.lambda-url.') ? EVENT_TYPES.FUNCTION_URL : EVENT_TYPES.HTTP_API;
+  }
+
+  if (event.httpMethod && event.requestContext) {
+    return EVENT_TYPES.REST_API;
+  }
+
+  if (event.source === 'aws.events' && event['detail-type'] === 'Scheduled Event') {
+    return EVENT_TYPES.SCHEDULED;
+  }
+
+  return EVENT_TYPES.DIRECT;
+}
+
+/**
+ * Get the HTTP method of a proxy event
+ * @param {Object} event - Lambda event
+ * @returns {string|null} Upper-case HTTP method, or null for direct invocations
+ */
+export function getHttpMethod(event) {
+  switch (detectEventType(event)) {
+    case EVENT_TYPES.REST_API:
+      return event.httpMethod.toUpperCase();
+    case EVENT_TYPES.HTTP_API:
+    case EVENT_TYPES.FUNCTION_URL:
+      return event.requestContext.http.method.toUpperCase();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether the event is a CORS preflight request
+ * @param {Object} event - Lambda event
+ * @returns {boolean} True for OPTIONS requests
+ */
+export function isPreflightRequest(event) {
+  return getHttpMethod(event) === 'OPTIONS';
+}
+
+/**
+ * Decode and parse a proxy event body
+ * @param {Object} event - Lambda proxy event
+ * @returns {Object} Parsed body parameters
+ */
+function parseBody(event) {
+  if (!event.body) {
+    return {};
+  }
+
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf8')
+    : event.body;
+
+  if (typeof raw === 'object') {
+    return raw;
+  }
+
+  if (!raw.trim()) {
+    return {};
+  }
+
+  const headers = lowerCaseKeys(event.headers);
+  const contentType = headers['content-type'] || '';
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new EventParseError('Request body must be a JSON object');
+    }
+    return parsed;
+  } catch (error) {
+    if (error instanceof EventParseError) throw error;
+    throw new EventParseError(`Invalid JSON body: ${error.message}`);
+  }
+}
+
+/**
+ * Collect query string parameters, joining repeated keys with commas
+ * (the same way HTTP API payload 2.0 already does)
+ * @param {Object} event - Lambda proxy event
+ * @returns {Object} Query parameters
+ */
+function parseQuery(event) {
+  const query = { ...(event.queryStringParameters || {}) };
+
+  for (const [key, values] of Object.entries(event.multiValueQueryStringParameters || {})) {
+    if (Array.isArray(values) && values.length > 1) {
+      query[key] = values.join(',');
+    }
+  }
+
+  return query;
+}
+
+function lowerCaseKeys(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+}
+
+/**
+ * Extract request parameters from any supported event shape.
+ * For proxy events, path parameters win over query parameters, which win over the body.
+ * Scheduled events carry their parameters in `detail`.
+ * @param {Object} event - Lambda event
+ * @returns {Object} Request parameters
+ */
+export function extractParams(event) {
+  const eventType = detectEventType(event);
+
+  if (eventType === EVENT_TYPES.DIRECT) {
+    return { ...(event || {}) };
+  }
+
+  if (eventType === EVENT_TYPES.SCHEDULED) {
+    return { ...(event.detail || {}) };
+  }
+
+  return {
+    ...parseBody(event),
+    ...parseQuery(event),
+    ...(event.pathParameters || {})
+  };
+}
+
+// Routes of the multi-action router, matched at the end of the path so stage prefixes don't matter.
+// /campaigns/{campaignId}/heatmap is not listed: it stays the heatmap request with every export format.
+const ACTION_ROUTES = [
+  { pattern: /(?:^|\/)campaigns\/?$/, action: 'listCampaigns', params: [] },
+  { pattern: /(?:^|\/)campaigns\/([^/]+)\/?$/, action: 'getCampaign', params: ['campaignId'] },
+  { pattern: /(?:^|\/)campaigns\/([^/]+)\/keywords\/?$/, action: 'listKeywords', params: ['campaignId'] },
+  { pattern: /(?:^|\/)campaigns\/([^/]+)\/keywords\/([^/]+)\/heatmap\/?$/, action: 'getHeatmap', params: ['campaignId', 'keywordId'] },
+  { pattern: /(?:^|\/)campaigns\/([^/]+)\/overview\/?$/, action: 'overview', params: ['campaignId'] }
+];
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new EventParseError(`Malformed path segment "${segment}": ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the action of a proxy event from its HTTP route, e.g.
+ * GET /campaigns/{campaignId}/keywords => { action: 'listKeywords', campaignId }
+ * @param {Object} event - Lambda event
+ * @returns {Object|null} { action, ...path values }, or null for other paths and non-HTTP events
+ */
+export function resolveRoute(event) {
+  if (!getHttpMethod(event)) {
+    return null;
+  }
+
+  const path = event.rawPath ?? event.path ?? '';
+  for (const route of ACTION_ROUTES) {
+    const match = path.match(route.pattern);
+    if (match) {
+      return {
+        action: route.action,
+        ...Object.fromEntries(route.params.map((name, index) => [name, decodePathSegment(match[index + 1])]))
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a boolean flag that may arrive as a JSON boolean or a query string value
+ * @param {*} value - Parameter value
+ * @returns {boolean} True for true, "true", "1" and "yes"
+ */
+export function isFlagSet(value) {
+  if (typeof value === 'string') {
+    return ['true', '1', 'yes'].includes(value.trim().toLowerCase());
+  }
+  return value === true || value === 1;
+}
+
+/**
+ * Read a list parameter that may arrive as an array or a comma-separated string
+ * @param {Array|string} value - Parameter value
+ * @returns {Array<string>} Unique, non-empty, trimmed values
+ */
+export function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Build a Lambda proxy response with CORS headers
+ * @param {number} statusCode - HTTP status code
+ * @param {Object|string|null} body - Response body (objects are JSON encoded)
+ * @param {Object} headers - Additional headers
+ * @returns {Object} Lambda proxy response
+ */
+export function buildResponse(statusCode, body, headers = {}) {
+  const isJson = body !== null && typeof body === 'object';
+
+  return {
+    statusCode,
+    headers: {
+      ...(isJson && { 'Content-Type': 'application/json' }),
+      ...CORS_HEADERS,
+      ...headers
+    },
+    body: isJson ? JSON.stringify(body) : (body ?? '')
+  };
+}
+
+/**
+ * Build the response to a CORS preflight request
+ * @returns {Object} Lambda proxy response
+ */
+export function buildPreflightResponse() {
+  return buildResponse(204, null, {
+    'Access-Control-Max-Age': '86400'
+  });
+}
@@ -9,64 +9,167 @@
  *   refresh      - Refresh an existing token
  *   validate     - Validate an existing token
  *   campaigns    - List campaigns (requires valid token)
+ *   keywords     - List keywords of a campaign (requires valid token)
+ *   heatmap      - Show a heatmap grid and summary in the terminal (requires valid token)
+ *   export       - Export a heatmap as CSV, GeoJSON or KML (requires valid token)
+ *   render       - Render a heatmap as an SVG or PNG image (requires valid token)
+ *   sheets       - Write heatmaps to a Google Sheets spreadsheet (requires valid token and a service account)
+ *   report       - Write a self-contained HTML client report for a campaign (requires valid token)
+ *   profiles     - List token profiles (one per Semrush account) with their expiry
+ *
+ * --profile <name> (or SEMRUSH_PROFILE) selects the account for any command.
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { writeFileSync, readFileSync, existsSync } from 'fs';
+import { parseArgs } from 'util';
+import { getAccessToken, validateAccessToken } from './semrush-auth.mjs';
+import { createTokenStore, createTokenProvider, normalizeTokens, getSecondsUntilExpiry } from './token-store.mjs';
 import {
-  getAccessToken,
-  refreshAccessToken,
-  validateAccessToken,
-  getCampaigns,
-  getCampaign,
-  getKeywords
-} from './semrush-auth.mjs';
+  createProfileManager,
+  createProfileTokenStore,
+  assertProfileName,
+  getProfileEnvVars,
+  DEFAULT_PROFILE
+} from './token-profiles.mjs';
+import { SemrushMapRankClient } from './semrush-client.mjs';
+import { exportHeatmap, EXPORT_FORMATS } from './heatmap-export.mjs';
+import { renderHeatmap, IMAGE_FORMATS } from './heatmap-render.mjs';
+import { renderAsciiGrid } from './heatmap-ascii.mjs';
+import { computeHeatmapMetrics } from './heatmap-metrics.mjs';
+import { createCacheStore, createCachingClient, getCacheInfo } from './response-cache.mjs';
+import { createSnapshotSink, archiveSnapshots, readSnapshots } from './heatmap-snapshot.mjs';
+import { fetchCompetitorHeatmaps, compareCompetitors } from './heatmap-competitors.mjs';
+import { parseThresholds, listCandidateDates, fetchTrendHeatmaps, buildTrendReport, trendToCSV } from './heatmap-trend.mjs';
+import { validateRequest } from './request-schema.mjs';
+import { fetchHeatmapBatch } from './heatmap-batch.mjs';
+import { exportHeatmapsToSheet } from './heatmap-sheets.mjs';
+import { loadReportConfig, fetchReportData, renderReportHTML, reportFileName } from './heatmap-report.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const TOKEN_FILE = join(__dirname, '.semrush-tokens.json');
+// Single token file used before profiles; imported into the default profile on first use
+const LEGACY_TOKEN_FILE = join(__dirname, '.semrush-tokens.json');
+const CACHE_DIR = join(__dirname, '.semrush-cache');
+
+// JSON log lines (see logger.mjs) would drown the CLI output, so only warnings are shown unless LOG_LEVEL is set
+process.env.LOG_LEVEL ||= 'warn';
+
+const profiles = createProfileManager();
+
+// Set up by configureTokens() once the command line is parsed
+let profileName = null;
+let tokenStore;
+let tokenProvider;
+let client;
+
+/**
+ * Select the token store. Tokens live in profiles in the per-user config directory
+ * (--profile, SEMRUSH_PROFILE or the current profile); SEMRUSH_TOKEN_STORE / SEMRUSH_TOKEN_SECRET_ID
+ * switch the CLI to the same store the Lambda uses.
+ * @param {string} profileOption - --profile value
+ */
+async function configureTokens(profileOption) {
+  const storeType = process.env.SEMRUSH_TOKEN_STORE || (process.env.SEMRUSH_TOKEN_SECRET_ID ? 'secrets-manager' : 'file');
+  profileName = profileOption || process.env.SEMRUSH_PROFILE || (storeType === 'file' ? profiles.getCurrent() : null);
+
+  tokenStore = profileName
+    ? createProfileTokenStore(profileName, { type: storeType, directory: profiles.directory })
+    : createTokenStore({ type: storeType });
+  tokenProvider = createTokenProvider({ store: tokenStore });
+  // Heatmaps and keyword lists are cached on disk; HEATMAP_CACHE=none disables it
+  client = createCachingClient(new SemrushMapRankClient({ tokenProvider }), {
+    store: createCacheStore({ type: process.env.HEATMAP_CACHE || 'file', directory: process.env.HEATMAP_CACHE_DIR || CACHE_DIR }),
+    namespace: profileName || ''
+  });
+
+  if (storeType === 'file' && profileName === DEFAULT_PROFILE && !profiles.exists(DEFAULT_PROFILE) && existsSync(LEGACY_TOKEN_FILE)) {
+    await tokenStore.save(normalizeTokens(JSON.parse(readFileSync(LEGACY_TOKEN_FILE, 'utf8'))));
+    console.error(`📦 Imported ${LEGACY_TOKEN_FILE} into profile "${DEFAULT_PROFILE}" (${profiles.profilePath(DEFAULT_PROFILE)}); the old file can be deleted`);
+  }
+}
 
 // Helper functions
-function saveTokens(tokens) {
-  writeFileSync(TOKEN_FILE, JSON.stringify(tokens, null, 2));
-  console.log(`Tokens saved to ${TOKEN_FILE}`);
+async function saveTokens(tokens) {
+  await tokenStore.save(tokens);
+  console.log(`Tokens saved to ${tokenStore.type} store (${tokenStore.description})`);
 }
 
-function loadTokens() {
-  if (!existsSync(TOKEN_FILE)) {
-    return null;
-  }
+async function loadTokens() {
   try {
-    return JSON.parse(readFileSync(TOKEN_FILE, 'utf8'));
+    return await tokenStore.load();
   } catch (error) {
-    console.error('Error reading token file:', error.message);
+    console.error('Error reading tokens:', error.message);
     return null;
   }
 }
 
+async function requireTokens() {
+  const tokens = await loadTokens();
+  if (!tokens?.access_token && !tokens?.refresh_token) {
+    console.error('❌ No access token found. Please get a token first.');
+    process.exit(1);
+  }
+  return tokens;
+}
+
+/**
+ * Format a number of seconds as "6d 23h", "5h 12m" or "42m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Human-readable duration
+ */
+function formatDuration(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Describe when an access token expires (created_at + expires_in)
+ * @param {Object} tokens - Normalized token set
+ * @returns {string} e.g. "expires in 6d 23h" or "expired 2d 4h ago"
+ */
+function formatExpiry(tokens) {
+  const seconds = getSecondsUntilExpiry(tokens);
+  if (seconds === null) return 'expiry unknown';
+  return seconds > 0 ? `expires in ${formatDuration(seconds)}` : `expired ${formatDuration(-seconds)} ago`;
+}
+
 function printTokenInfo(tokens) {
+  // Named profiles map to suffixed variables in the Lambda (see token-profiles.mjs)
+  const vars = getProfileEnvVars(profileName || DEFAULT_PROFILE);
+
   console.log('\n📋 Token Information:');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`🔑 Access Token: ${tokens.access_token.substring(0, 20)}...`);
   console.log(`♻️  Refresh Token: ${tokens.refresh_token.substring(0, 20)}...`);
   console.log(`⏰ Expires In: ${tokens.expires_in} seconds (${Math.round(tokens.expires_in / 86400)} days)`);
-  console.log(`📅 Generated: ${new Date().toISOString()}`);
+  console.log(`📅 Generated: ${tokens.created_at || new Date().toISOString()}`);
+  console.log(`⌛ Expires At: ${tokens.expires_at || 'Unknown'} (${formatExpiry(tokens)})`);
+  if (profileName) console.log(`👤 Profile: ${profileName}`);
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   
-  console.log('\n💾 Save this access token to your environment:');
-  console.log(`export SEMRUSH_ACCESS_TOKEN="${tokens.access_token}"`);
+  console.log('\n💾 Save these tokens to your environment:');
+  console.log(`export ${vars.accessTokenVar}="${tokens.access_token}"`);
+  console.log(`export ${vars.refreshTokenVar}="${tokens.refresh_token}"`);
+  console.log(`export ${vars.expiresAtVar}="${tokens.expires_at}"`);
   
-  console.log('\n🚀 Or use it in your Lambda environment variables:');
-  console.log(`SEMRUSH_ACCESS_TOKEN=${tokens.access_token}`);
+  console.log('\n🚀 Or use them in your Lambda environment variables (refreshed automatically):');
+  console.log(`${vars.accessTokenVar}=${tokens.access_token}`);
+  console.log(`${vars.refreshTokenVar}=${tokens.refresh_token}`);
+  console.log(`${vars.expiresAtVar}=${tokens.expires_at}`);
 }
 
 // Command handlers
-async function handleGetToken() {
+async function handleGetToken(options = {}) {
   try {
     console.log('🔐 Getting new access token...\n');
-    const tokens = await getAccessToken();
-    saveTokens({ ...tokens, created_at: new Date().toISOString() });
+    const tokens = normalizeTokens(await getAccessToken({ qr: options.qr }));
+    await saveTokens(tokens);
     printTokenInfo(tokens);
   } catch (error) {
     console.error('❌ Error getting token:', error.message);
@@ -76,15 +179,15 @@ async function handleGetToken() {
 
 async function handleRefreshToken() {
   try {
-    const existingTokens = loadTokens();
+    const existingTokens = await loadTokens();
     if (!existingTokens?.refresh_token) {
       console.error('❌ No refresh token found. Please get a new token first.');
       process.exit(1);
     }
     
     console.log('♻️  Refreshing access token...\n');
-    const newTokens = await refreshAccessToken(existingTokens.refresh_token);
-    saveTokens({ ...newTokens, created_at: new Date().toISOString() });
+    const newTokens = await tokenProvider.refresh();
+    console.log(`Tokens saved to ${tokenStore.type} store (${tokenStore.description})`);
     printTokenInfo(newTokens);
   } catch (error) {
     console.error('❌ Error refreshing token:', error.message);
@@ -92,20 +195,109 @@ async function handleRefreshToken() {
   }
 }
 
-async function handleValidateToken() {
+async function handleListProfiles(options = {}) {
+  try {
+    const entries = profiles.list();
+
+    if (options.json) {
+      console.log(JSON.stringify(entries.map(({ name, current, path, tokens }) => ({
+        name,
+        current,
+        path,
+        expiresAt: tokens?.expires_at ?? null,
+        expired: tokens ? getSecondsUntilExpiry(tokens) <= 0 : null
+      })), null, 2));
+      return;
+    }
+
+    if (entries.length === 0) {
+      console.log(`No profiles in ${profiles.directory} yet.`);
+      console.log('💡 Create one with: node auth-cli.mjs get-token --profile <name>');
+      return;
+    }
+
+    console.log(`\n👤 Profiles in ${profiles.directory}:`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    const width = Math.max(...entries.map(entry => entry.name.length));
+    for (const { name, current, tokens } of entries) {
+      const marker = current ? '▶' : ' ';
+      if (!tokens) {
+        console.log(`${marker} ${name.padEnd(width)}  ❌ unreadable token file`);
+        continue;
+      }
+      const expired = getSecondsUntilExpiry(tokens) <= 0;
+      console.log(`${marker} ${name.padEnd(width)}  ${expired ? '⌛' : '✅'} ${formatExpiry(tokens)} (${tokens.expires_at || 'unknown'})`);
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('▶ current profile · expired access tokens are refreshed on the next call while the refresh token is valid');
+  } catch (error) {
+    console.error('❌ Error listing profiles:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleUseProfile(name) {
   try {
-    const tokens = loadTokens();
-    if (!tokens?.access_token) {
-      console.error('❌ No access token found. Please get a token first.');
+    if (!name) {
+      console.error('❌ Profile name is required');
+      console.log('Usage: node auth-cli.mjs use-profile <name>');
       process.exit(1);
     }
+    profiles.setCurrent(assertProfileName(name));
+    console.log(`✅ Switched to profile "${name}"`);
+  } catch (error) {
+    console.error('❌ Error switching profile:', error.message);
+    if (/does not exist/.test(error.message)) {
+      console.log(`💡 Create it with: node auth-cli.mjs get-token --profile ${name}`);
+    }
+    process.exit(1);
+  }
+}
+
+async function handleDeleteProfile(name) {
+  try {
+    if (!name) {
+      console.error('❌ Profile name is required');
+      console.log('Usage: node auth-cli.mjs delete-profile <name>');
+      process.exit(1);
+    }
+    const wasCurrent = profiles.getCurrent() === name;
+    profiles.remove(assertProfileName(name));
+    console.log(`🗑️  Deleted profile "${name}"`);
+    if (wasCurrent) {
+      console.log(`👤 Current profile is now "${profiles.getCurrent()}"`);
+    }
+  } catch (error) {
+    console.error('❌ Error deleting profile:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleValidateToken() {
+  try {
+    let tokens = await requireTokens();
     
     console.log('🔍 Validating access token...\n');
-    const isValid = await validateAccessToken(tokens.access_token);
+    const accessToken = await tokenProvider.getAccessToken();
+    let isValid = await validateAccessToken(accessToken);
+    
+    if (!isValid && tokens.refresh_token) {
+      console.log('♻️  Token rejected, trying a refresh...');
+      try {
+        await tokenProvider.refresh();
+        tokens = await loadTokens();
+        isValid = await validateAccessToken(tokens.access_token);
+      } catch (error) {
+        console.error('❌ Refresh failed:', error.message);
+      }
+    } else {
+      tokens = await loadTokens();
+    }
     
     if (isValid) {
       console.log('✅ Token is valid!');
       console.log(`🔑 Access Token: ${tokens.access_token.substring(0, 20)}...`);
+      console.log(`⌛ Expires At: ${tokens.expires_at || 'Unknown'} (${formatExpiry(tokens)})`);
     } else {
       console.log('❌ Token is invalid or expired.');
       
@@ -121,40 +313,60 @@ async function handleValidateToken() {
   }
 }
 
-async function handleListCampaigns() {
+function printCampaign(campaign, index) {
+  console.log(`${index + 1}. 📍 ${campaign.business?.name || 'Unnamed Campaign'}`);
+  console.log(`   🆔 ID: ${campaign.id}`);
+  console.log(`   📍 Location: ${campaign.business?.address || 'No address'}`);
+  console.log(`   🗝️  Keywords: ${campaign.keywordsNumber || 0}`);
+  console.log(`   📊 Points: ${campaign.pointsNumber || 0}`);
+  console.log(`   🌍 Country: ${campaign.countryCode || 'Unknown'}`);
+  console.log(`   📅 Created: ${campaign.createdAt ? new Date(campaign.createdAt).toLocaleDateString() : 'Unknown'}`);
+  console.log(`   📈 Status: ${campaign.status || 'Unknown'}`);
+  console.log('');
+}
+
+async function handleListCampaigns(options = {}) {
   try {
-    const tokens = loadTokens();
-    if (!tokens?.access_token) {
-      console.error('❌ No access token found. Please get a token first.');
-      process.exit(1);
+    await requireTokens();
+    
+    const filters = {
+      ...(options.query && { query: options.query }),
+      ...(options.sort && { sort: options.sort })
+    };
+    
+    let campaigns;
+    let totalElements;
+    if (options.all) {
+      if (!options.json) console.log('📋 Fetching all campaigns...\n');
+      campaigns = await client.getAllCampaigns(filters);
+      totalElements = campaigns.length;
+    } else {
+      if (!options.json) console.log('📋 Fetching campaigns...\n');
+      const response = await client.getCampaigns({ ...filters, size: 10 });
+      campaigns = response.data?.content || [];
+      totalElements = response.data?.totalElements ?? campaigns.length;
     }
     
-    console.log('📋 Fetching campaigns...\n');
-    const response = await getCampaigns(tokens.access_token, { size: 10 });
+    if (options.json) {
+      console.log(JSON.stringify(campaigns, null, 2));
+      return;
+    }
     
-    if (response.data?.content?.length > 0) {
+    if (campaigns.length > 0) {
       console.log('📊 Your Campaigns:');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       
-      response.data.content.forEach((campaign, index) => {
-        console.log(`${index + 1}. 📍 ${campaign.business?.name || 'Unnamed Campaign'}`);
-        console.log(`   🆔 ID: ${campaign.id}`);
-        console.log(`   📍 Location: ${campaign.business?.address || 'No address'}`);
-        console.log(`   🗝️  Keywords: ${campaign.keywordsNumber || 0}`);
-        console.log(`   📊 Points: ${campaign.pointsNumber || 0}`);
-        console.log(`   🌍 Country: ${campaign.countryCode || 'Unknown'}`);
-        console.log(`   📅 Created: ${campaign.createdAt ? new Date(campaign.createdAt).toLocaleDateString() : 'Unknown'}`);
-        console.log(`   📈 Status: ${campaign.status || 'Unknown'}`);
-        console.log('');
-      });
+      campaigns.forEach(printCampaign);
       
-      console.log(`📊 Total campaigns: ${response.data.totalElements}`);
+      console.log(`📊 Total campaigns: ${totalElements}`);
       
-      if (response.data.content.length > 0) {
-        const firstCampaign = response.data.content[0];
-        console.log('\n💡 To get keywords for the first campaign, run:');
-        console.log(`node auth-cli.mjs keywords ${firstCampaign.id}`);
+      if (!options.all && totalElements > campaigns.length) {
+        console.log(`💡 Showing the first ${campaigns.length}. Use --all to list every campaign.`);
       }
+      
+      const firstCampaign = campaigns[0];
+      console.log('\n💡 To get keywords for the first campaign, run:');
+      console.log(`node auth-cli.mjs keywords ${firstCampaign.id}`);
     } else {
       console.log('📭 No campaigns found.');
     }
@@ -164,13 +376,16 @@ async function handleListCampaigns() {
   }
 }
 
-async function handleGetKeywords(campaignId) {
+function printCacheStatus(response) {
+  const cache = getCacheInfo(response);
+  if (cache?.hit) {
+    console.error(`📦 Using cached response from ${cache.storedAt} (pass --no-cache for live data)`);
+  }
+}
+
+async function handleGetKeywords(campaignId, options) {
   try {
-    const tokens = loadTokens();
-    if (!tokens?.access_token) {
-      console.error('❌ No access token found. Please get a token first.');
-      process.exit(1);
-    }
+    await requireTokens();
     
     if (!campaignId) {
       console.error('❌ Campaign ID is required. Usage: node auth-cli.mjs keywords <campaignId>');
@@ -178,7 +393,8 @@ async function handleGetKeywords(campaignId) {
     }
     
     console.log(`🔍 Fetching keywords for campaign ${campaignId}...\n`);
-    const response = await getKeywords(tokens.access_token, campaignId);
+    const response = await client.getKeywords(campaignId, null, { noCache: options['no-cache'] });
+    printCacheStatus(response);
     
     if (response.data?.keywords?.length > 0) {
       console.log('🗝️  Keywords:');
@@ -191,8 +407,11 @@ async function handleGetKeywords(campaignId) {
         console.log('');
       });
       
-      console.log('💡 Example heatmap request:');
       const firstKeyword = response.data.keywords[0];
+      console.log('💡 To view the heatmap of the first keyword, run:');
+      console.log(`node auth-cli.mjs heatmap ${campaignId} ${firstKeyword.keyword.id} --cid <your-business-cid>`);
+      
+      console.log('\n💡 Example Lambda heatmap request:');
       console.log(JSON.stringify({
         campaignId: campaignId,
         keywordId: firstKeyword.keyword.id,
@@ -208,6 +427,391 @@ async function handleGetKeywords(campaignId) {
   }
 }
 
+// Command-line flags of the request fields whose names differ
+const FIELD_FLAGS = {
+  placeIds: '--place-ids',
+  reportDate: '--date',
+  intervalDays: '--interval',
+  thresholds: '--threshold',
+  spreadsheetId: '--spreadsheet',
+  keywordIds: '--keywords'
+};
+
+/**
+ * Validate command arguments with the same schema as the Lambda handler, exiting on errors
+ * @param {Object} params - Request parameters built from the arguments
+ * @param {string} mode - Schema mode (heatmap, trend, competitors)
+ * @param {string} usage - Usage line printed after the errors
+ * @returns {Object} Normalised parameters
+ */
+function validateArgs(params, mode, usage) {
+  const { value, errors } = validateRequest(params, { mode });
+  if (errors.length > 0) {
+    for (const error of errors) {
+      const flag = FIELD_FLAGS[error.field] || (['campaignId', 'keywordId'].includes(error.field) ? null : `--${error.field}`);
+      console.error(`❌ ${error.message}${flag ? ` (${flag})` : ''}`);
+    }
+    console.error(`\nUsage: node auth-cli.mjs ${usage}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Validate the shared heatmap arguments and fetch the heatmap
+ * @param {string} command - Command name, used in the usage message
+ * @param {string} campaignId - Campaign ID
+ * @param {string} keywordId - Keyword ID
+ * @param {Object} options - Parsed command options (cid, place-ids, date, no-cache)
+ * @returns {Promise<Object>} Heatmap response
+ */
+async function fetchHeatmapForCommand(command, campaignId, keywordId, options) {
+  const params = validateArgs({
+    campaignId,
+    keywordId,
+    cid: options.cid,
+    placeIds: options['place-ids'],
+    reportDate: options.date
+  }, 'heatmap', `${command} <campaignId> <keywordId> --cid <cid>`);
+  
+  await requireTokens();
+  
+  const heatmap = await client.getHeatmap(params.campaignId, {
+    keywordId: params.keywordId,
+    cid: params.cid,
+    placeIds: params.placeIds,
+    reportDate: params.reportDate
+  }, { noCache: options['no-cache'] });
+  printCacheStatus(heatmap);
+  return heatmap;
+}
+
+function getOutputFile(heatmap, keywordId, options, extension) {
+  const reportDate = (heatmap.data?.date || options.date || 'latest').slice(0, 10);
+  return options.out || `heatmap-${keywordId}-${reportDate}.${extension}`;
+}
+
+async function handleHeatmap(campaignId, keywordId, options) {
+  try {
+    const format = options.format?.toLowerCase();
+    if (format && !EXPORT_FORMATS[format]) {
+      console.error(`❌ Unsupported format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      process.exit(1);
+    }
+    
+    // Machine-readable output goes to stdout untouched, so status lines go to stderr
+    console.error(`🗺️  Fetching heatmap for keyword ${keywordId}...\n`);
+    const heatmap = await fetchHeatmapForCommand('heatmap', campaignId, keywordId, options);
+    
+    if (format) {
+      const { body } = exportHeatmap(heatmap, format);
+      if (options.out) {
+        writeFileSync(options.out, body);
+        console.error(`✅ ${format.toUpperCase()} saved to ${options.out}`);
+      } else {
+        process.stdout.write(body.endsWith('\n') ? body : `${body}\n`);
+      }
+      return;
+    }
+    
+    const color = !options['no-color'] && !process.env.NO_COLOR && process.stdout.isTTY;
+    const metrics = computeHeatmapMetrics(heatmap);
+    
+    console.log(`🗝️  Keyword: ${heatmap.data?.keyword?.name || keywordId}`);
+    console.log(`📅 Report Date: ${heatmap.data?.date || 'Latest'}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(renderAsciiGrid(heatmap, { color }));
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📍 Points: ${metrics.totalPoints} (${metrics.foundPoints} ranking, ${metrics.notRankingPoints} not ranking)`);
+    console.log(`🎯 ARP: ${metrics.arp ?? '-'}  ATRP: ${metrics.atrp ?? '-'}  SoLV: ${metrics.solv ?? '-'}%`);
+    console.log(`🥇 Top 3: ${metrics.top3Points}  🔟 Top 10: ${metrics.top10Points}  📊 Coverage: ${metrics.coverage ?? '-'}%`);
+    console.log(`📈 Improved: ${metrics.improvedPoints}  📉 Declined: ${metrics.declinedPoints}`);
+  } catch (error) {
+    console.error('❌ Error fetching heatmap:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleExportHeatmap(campaignId, keywordId, options) {
+  try {
+    const format = (options.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      console.error(`❌ Unsupported format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      process.exit(1);
+    }
+    
+    console.log(`🗺️  Fetching heatmap for keyword ${keywordId}...\n`);
+    const heatmap = await fetchHeatmapForCommand('export', campaignId, keywordId, options);
+    
+    const { body, extension } = exportHeatmap(heatmap, format);
+    const outFile = getOutputFile(heatmap, keywordId, options, extension);
+    
+    writeFileSync(outFile, body);
+    console.log(`✅ ${format.toUpperCase()} export saved to ${outFile}`);
+    console.log(`📍 Points: ${heatmap.data?.positions?.length || 0}`);
+  } catch (error) {
+    console.error('❌ Error exporting heatmap:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleSheetsExport(campaignId, keywordId, options) {
+  try {
+    const params = validateArgs({
+      campaignId,
+      keywordId,
+      allKeywords: !keywordId,
+      cid: options.cid,
+      placeIds: options['place-ids'],
+      reportDate: options.date,
+      spreadsheetId: options.spreadsheet || process.env.GOOGLE_SHEETS_SPREADSHEET_ID,
+      sheets: true
+    }, 'heatmap', 'sheets <campaignId> [keywordId] --cid <cid> --spreadsheet <id>');
+
+    if (!params.spreadsheetId) {
+      console.error('❌ Spreadsheet ID is required (--spreadsheet or GOOGLE_SHEETS_SPREADSHEET_ID)');
+      process.exit(1);
+    }
+
+    await requireTokens();
+
+    console.log(`🗺️  Fetching ${keywordId ? `heatmap for keyword ${keywordId}` : 'heatmaps for every keyword'}...\n`);
+    const batch = await fetchHeatmapBatch(client, {
+      ...params,
+      ...(keywordId && { keywordIds: [params.keywordId] }),
+      noCache: options['no-cache']
+    });
+    for (const failed of batch.results.filter(result => !result.success)) {
+      console.error(`⚠️  Skipped keyword ${failed.keywordId}: ${failed.error.message}`);
+    }
+
+    const heatmaps = batch.results.filter(result => result.success).map(result => result.data);
+    if (heatmaps.length === 0) {
+      console.error('❌ No heatmaps to export');
+      process.exit(1);
+    }
+
+    const campaign = await client.getCampaign(params.campaignId).catch(() => null);
+    const result = await exportHeatmapsToSheet(heatmaps, {
+      spreadsheetId: params.spreadsheetId,
+      keyFile: options['key-file'],
+      context: { campaignId: params.campaignId, business: campaign?.data?.business?.name }
+    });
+
+    for (const tab of result.tabs) {
+      console.log(`${tab.created ? '🆕' : '♻️ '} ${tab.title} (${tab.rows} rows)`);
+    }
+    console.log(`\n✅ Exported ${result.tabs.length} tab(s) to ${result.spreadsheetUrl}`);
+  } catch (error) {
+    console.error('❌ Error exporting to Google Sheets:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleRenderHeatmap(campaignId, keywordId, options) {
+  try {
+    const format = (options.format || 'svg').toLowerCase();
+    if (!IMAGE_FORMATS[format]) {
+      console.error(`❌ Unsupported image format: ${format}. Use one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+      process.exit(1);
+    }
+    
+    console.log(`🗺️  Fetching heatmap for keyword ${keywordId}...\n`);
+    const [heatmap, campaign] = await Promise.all([
+      fetchHeatmapForCommand('render', campaignId, keywordId, options),
+      client.getCampaign(campaignId).catch(() => null)
+    ]);
+    
+    const { body, extension } = await renderHeatmap(heatmap, format, {
+      business: campaign?.data?.business?.name
+    });
+    const outFile = getOutputFile(heatmap, keywordId, options, extension);
+    
+    writeFileSync(outFile, body);
+    console.log(`✅ ${format.toUpperCase()} image saved to ${outFile}`);
+  } catch (error) {
+    console.error('❌ Error rendering heatmap:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleCompetitors(campaignId, keywordId, options) {
+  try {
+    const params = validateArgs({
+      campaignId,
+      keywordId,
+      cid: options.cid,
+      placeIds: options['place-ids'],
+      reportDate: options.date
+    }, 'competitors', 'competitors <campaignId> <keywordId> --place-ids <ours,competitor,...> [--cid <our cid>]');
+    const placeIds = params.placeIds.split(',');
+    
+    await requireTokens();
+    
+    console.error(`🥊 Fetching heatmaps for ${placeIds.length + (params.cid ? 1 : 0)} businesses...\n`);
+    const places = await fetchCompetitorHeatmaps(client, {
+      campaignId: params.campaignId,
+      keywordId: params.keywordId,
+      cid: params.cid,
+      placeIds,
+      reportDate: params.reportDate
+    });
+    const comparison = compareCompetitors(places);
+    
+    if (options.json) {
+      console.log(JSON.stringify(comparison, null, 2));
+      return;
+    }
+    
+    for (const place of comparison.places.filter(item => !item.success)) {
+      console.log(`⚠️  ${place.place}: ${place.error.message}`);
+    }
+    
+    console.log('🏆 Leaderboard:');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    for (const entry of comparison.leaderboard) {
+      console.log(`${entry.position}. ${entry.own ? '⭐ ' : ''}${entry.place}`);
+      console.log(`   🎯 ARP: ${entry.arp ?? '-'}  ATRP: ${entry.atrp ?? '-'}  SoLV: ${entry.solv ?? '-'}%  Coverage: ${entry.coverage ?? '-'}%  🥇 Leads: ${entry.wins}`);
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    
+    if (comparison.own) {
+      const { lead, tie, trail, none } = comparison.summary;
+      console.log(`📊 ${comparison.own}: leads at ${lead} points, ties at ${tie}, trails at ${trail} (${none} with no ranking business)`);
+    }
+  } catch (error) {
+    console.error('❌ Error comparing competitors:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleSnapshot(options) {
+  try {
+    await requireTokens();
+    
+    // --out forces a local directory; otherwise SNAPSHOT_BUCKET / SNAPSHOT_DIR apply as in the Lambda
+    const sink = createSnapshotSink(options.out
+      ? { type: 'directory', directory: options.out }
+      : { directory: process.env.SNAPSHOT_DIR || 'snapshots' });
+    
+    console.log(`📦 Archiving the latest heatmaps of all campaigns to ${sink.description}...\n`);
+    const summary = await archiveSnapshots(client, sink);
+    
+    for (const entry of summary.entries) {
+      if (entry.status === 'written') console.log(`✅ ${entry.path}`);
+      if (entry.status === 'failed') console.log(`❌ ${entry.campaignId}${entry.keywordId ? `/${entry.keywordId}` : ''}: ${entry.error}`);
+    }
+    
+    console.log(`\n📊 Campaigns: ${summary.campaigns} · Written: ${summary.written} · Already archived: ${summary.skipped} · Failed: ${summary.failed}`);
+    if (summary.failed > 0) process.exit(1);
+  } catch (error) {
+    console.error('❌ Error archiving snapshots:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleTrend(campaignId, keywordId, options) {
+  try {
+    const params = validateArgs({
+      campaignId,
+      keywordId,
+      cid: options.cid,
+      placeIds: options['place-ids'],
+      from: options.from,
+      to: options.to,
+      intervalDays: options.interval,
+      thresholds: options.threshold,
+      format: options.format,
+      source: options.archive ? 'archive' : 'api'
+    }, 'trend', 'trend <campaignId> <keywordId> --from <date> [--to <date>] --cid <cid> (or --archive <dir>)');
+    
+    const format = params.format;
+    const to = params.to || new Date().toISOString();
+    const thresholds = parseThresholds(params.thresholds);
+    let heatmaps;
+    
+    if (options.archive) {
+      console.error(`📦 Reading snapshots from ${options.archive}...\n`);
+      heatmaps = await readSnapshots(createSnapshotSink({ type: 'directory', directory: options.archive }), params.campaignId, params.keywordId, { from: params.from, to });
+    } else {
+      await requireTokens();
+      
+      const dates = listCandidateDates(params.from, to, params.intervalDays);
+      console.error(`📈 Fetching ${dates.length} report dates for keyword ${keywordId}...\n`);
+      ({ heatmaps } = await fetchTrendHeatmaps(client, {
+        campaignId: params.campaignId,
+        keywordId: params.keywordId,
+        cid: params.cid,
+        placeIds: params.placeIds
+      }, dates));
+    }
+    
+    const report = buildTrendReport(heatmaps, { thresholds, from: params.from, to });
+    
+    if (format) {
+      const body = format === 'csv' ? trendToCSV(report) : `${JSON.stringify(report, null, 2)}\n`;
+      if (options.out) {
+        writeFileSync(options.out, body);
+        console.error(`✅ ${format.toUpperCase()} saved to ${options.out}`);
+      } else {
+        process.stdout.write(body);
+      }
+      return;
+    }
+    
+    if (report.points.length === 0) {
+      console.log('📭 No reports found in this date range.');
+      return;
+    }
+    
+    console.log(`🗝️  Keyword: ${report.keyword?.name || keywordId}`);
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('Date          Avg rank   Top 3   Found');
+    for (const point of report.points) {
+      const flagged = new Set(point.drops.map(drop => drop.metric));
+      const cell = (metric, suffix = '') => `${point[metric] ?? '-'}${suffix}${flagged.has(metric) ? ' 📉' : ''}`;
+      console.log(`${point.date.slice(0, 10)}    ${cell('averageRank').padEnd(11)}${cell('top3Share', '%').padEnd(8)}${cell('foundRatio', '%')}`);
+    }
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`📊 Reports: ${report.reports}  ⚠️  Drops flagged: ${report.drops.length}`);
+  } catch (error) {
+    console.error('❌ Error building trend report:', error.message);
+    process.exit(1);
+  }
+}
+
+async function handleReport(campaignId, options) {
+  try {
+    const params = validateArgs({
+      campaignId,
+      keywordIds: options.keywords,
+      cid: options.cid,
+      placeIds: options['place-ids'],
+      reportDate: options.date
+    }, 'report', 'report <campaignId> [--keywords <ids>] [--date <date>] [--config <file>] [--out <file>]');
+
+    const config = loadReportConfig({ configFile: options.config });
+
+    await requireTokens();
+
+    console.log(`📝 Building report for campaign ${params.campaignId}...\n`);
+    const report = await fetchReportData(client, { ...params, noCache: options['no-cache'] });
+    for (const keyword of report.keywords.filter(item => item.error)) {
+      console.error(`⚠️  Keyword ${keyword.keywordName || keyword.keywordId} is shown as not available: ${keyword.error.message}`);
+    }
+
+    const outFile = options.out || reportFileName(report);
+    writeFileSync(outFile, renderReportHTML(report, config));
+
+    console.log(`🏢 Business: ${report.campaign?.business?.name || '-'}`);
+    console.log(`🗝️  Keywords: ${report.keywords.length}`);
+    console.log(`✅ Report saved to ${outFile}`);
+  } catch (error) {
+    console.error('❌ Error building report:', error.message);
+    process.exit(1);
+  }
+}
+
 function printHelp() {
   console.log(`
 🔐 Semrush OAuth 2.0 CLI Tool
@@ -216,34 +820,132 @@ function printHelp() {
 Usage: node auth-cli.mjs [command] [args]
 
 Commands:
-  get-token     Get a new access token using Device Authorization Grant
+  get-token [--qr]
+                Get a new access token using Device Authorization Grant
+                (--qr also shows the verification URL as a QR code, needs qrcode-terminal)
   refresh       Refresh an existing access token
   validate      Validate an existing access token
-  campaigns     List your Map Rank Tracker campaigns
-  keywords <id> Get keywords for a specific campaign
+  campaigns [--all] [--query <text>] [--sort <field,dir>] [--json]
+                List your Map Rank Tracker campaigns (first 10 unless --all)
+  keywords <id> [--no-cache]
+                Get keywords for a specific campaign
+  heatmap <campaignId> <keywordId> --cid <cid> [--place-ids <ids>] [--date <date>]
+                [--format json|csv|geojson|kml] [--out <file>] [--no-color] [--no-cache]
+                Show a colour-coded rank grid and summary, or print the given format
+  export <campaignId> <keywordId> --cid <cid> [--place-ids <ids>] [--date <date>]
+                [--format csv|geojson|kml|json] [--out <file>] [--no-cache]
+                Export a heatmap grid to a file
+  render <campaignId> <keywordId> --cid <cid> [--place-ids <ids>] [--date <date>]
+                [--format svg|png] [--out <file>] [--no-cache]
+                Render a heatmap grid as an image (PNG needs @resvg/resvg-js)
+  sheets <campaignId> [keywordId] --cid <cid> --spreadsheet <id> [--place-ids <ids>]
+                [--date <date>] [--key-file <service-account.json>] [--no-cache]
+                Write heatmaps to Google Sheets, one tab per keyword and date
+                (every keyword of the campaign when keywordId is omitted)
+  report <campaignId> [--keywords <ids>] [--cid <cid>] [--place-ids <ids>] [--date <date>]
+                [--config <file>] [--out <file>] [--no-cache]
+                Write a self-contained HTML client report (every keyword unless --keywords;
+                theme and branding from --config or REPORT_CONFIG_FILE)
+  competitors <campaignId> <keywordId> --place-ids <ours,competitor,...> [--cid <our cid>]
+                [--date <date>] [--json]
+                Compare our grid ranks with competitors and show a leaderboard
+  trend <campaignId> <keywordId> --from <date> [--to <date>] --cid <cid> [--place-ids <ids>]
+                [--interval <days>] [--threshold averageRank=2,top3Share=10,foundRatio=10]
+                [--archive <dir>] [--format json|csv] [--out <file>]
+                Rank metrics over time with significant drops flagged
+  snapshot [--out <dir>]
+                Archive the latest heatmap of every campaign keyword (default ./snapshots)
+  profiles [--json]
+                List token profiles with their expiry (▶ marks the current one)
+  use-profile <name>
+                Make a profile the current one
+  delete-profile <name>
+                Delete a profile and its tokens
   help          Show this help message
 
+Global options:
+  --profile <name>
+                Use this profile's tokens (or SEMRUSH_PROFILE); get-token creates it
+
 Examples:
   node auth-cli.mjs get-token
+  node auth-cli.mjs get-token --profile client-a
+  node auth-cli.mjs campaigns --profile client-a
   node auth-cli.mjs campaigns
+  node auth-cli.mjs campaigns --all --query pizza --json > campaigns.json
   node auth-cli.mjs keywords 382738af-b6ae-4002-b6f6-c4c907b2b024
+  node auth-cli.mjs heatmap 382738af-b6ae-4002-b6f6-c4c907b2b024 319565ed-b433-4195-82cb-4146253d3311 --cid 7947215078713107333
+  node auth-cli.mjs export 382738af-b6ae-4002-b6f6-c4c907b2b024 319565ed-b433-4195-82cb-4146253d3311 --cid 7947215078713107333 --format kml
+  node auth-cli.mjs snapshot --out ./rank-history
+  node auth-cli.mjs sheets 382738af-b6ae-4002-b6f6-c4c907b2b024 --cid 7947215078713107333 --spreadsheet <id>
+  node auth-cli.mjs report 382738af-b6ae-4002-b6f6-c4c907b2b024 --config report-config.json
 
 Notes:
-  • Tokens are saved to .semrush-tokens.json
-  • Access tokens expire after 7 days
+  • Tokens are saved per profile in ${profiles.directory} (0600, override the directory with
+    SEMRUSH_CONFIG_DIR, or the store with SEMRUSH_TOKEN_STORE=file|env|secrets-manager)
+  • SEMRUSH_TOKEN_SECRET_ID shares the Lambda's Secrets Manager token secret
+  • Access tokens expire after 7 days and are refreshed automatically
   • Refresh tokens expire after 30 days
+  • Heatmaps and keywords are cached in .semrush-cache/ (past report dates for 30 days,
+    the latest report for 15 minutes); --no-cache fetches live data, HEATMAP_CACHE=none disables it
   • The Map Rank Tracker API doesn't consume API units
 `);
 }
 
 // Main execution
+function parseCommandArgs(args) {
+  return parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      cid: { type: 'string' },
+      'place-ids': { type: 'string' },
+      date: { type: 'string' },
+      format: { type: 'string', short: 'f' },
+      out: { type: 'string', short: 'o' },
+      'no-color': { type: 'boolean' },
+      'no-cache': { type: 'boolean' },
+      all: { type: 'boolean' },
+      query: { type: 'string' },
+      sort: { type: 'string' },
+      json: { type: 'boolean' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      interval: { type: 'string' },
+      threshold: { type: 'string' },
+      archive: { type: 'string' },
+      qr: { type: 'boolean' },
+      profile: { type: 'string', short: 'p' },
+      spreadsheet: { type: 'string' },
+      'key-file': { type: 'string' },
+      keywords: { type: 'string' },
+      config: { type: 'string' }
+    }
+  });
+}
+
 async function main() {
   const command = process.argv[2];
-  const arg = process.argv[3];
+  let parsed;
+  try {
+    parsed = parseCommandArgs(process.argv.slice(3));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const { values: options, positionals } = parsed;
+  const arg = positionals[0];
+
+  try {
+    await configureTokens(options.profile && assertProfileName(options.profile));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
   
   switch (command) {
     case 'get-token':
-      await handleGetToken();
+      await handleGetToken(options);
       break;
     case 'refresh':
       await handleRefreshToken();
@@ -252,10 +954,43 @@ async function main() {
       await handleValidateToken();
       break;
     case 'campaigns':
-      await handleListCampaigns();
+      await handleListCampaigns(options);
       break;
     case 'keywords':
-      await handleGetKeywords(arg);
+      await handleGetKeywords(arg, options);
+      break;
+    case 'heatmap':
+      await handleHeatmap(positionals[0], positionals[1], options);
+      break;
+    case 'export':
+      await handleExportHeatmap(positionals[0], positionals[1], options);
+      break;
+    case 'render':
+      await handleRenderHeatmap(positionals[0], positionals[1], options);
+      break;
+    case 'sheets':
+      await handleSheetsExport(positionals[0], positionals[1], options);
+      break;
+    case 'report':
+      await handleReport(arg, options);
+      break;
+    case 'competitors':
+      await handleCompetitors(positionals[0], positionals[1], options);
+      break;
+    case 'trend':
+      await handleTrend(positionals[0], positionals[1], options);
+      break;
+    case 'snapshot':
+      await handleSnapshot(options);
+      break;
+    case 'profiles':
+      await handleListProfiles(options);
+      break;
+    case 'use-profile':
+      await handleUseProfile(arg);
+      break;
+    case 'delete-profile':
+      await handleDeleteProfile(arg);
       break;
     case 'help':
     case undefined:
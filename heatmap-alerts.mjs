@@ -0,0 +1,261 @@
+import axios from 'axios';
+import { createHmac } from 'crypto';
+import { compareHeatmaps } from './heatmap-compare.mjs';
+import { computeHeatmapMetrics, getPositions, DEFAULT_MAX_RANK } from './heatmap-metrics.mjs';
+import { toGridMatrix } from './heatmap-geometry.mjs';
+
+/**
+ * Rank-drop alerting
+ * Evaluates a heatmap against the previous report with a small set of rule types and
+ * posts matching alerts to a webhook as a Slack-compatible payload.
+ *
+ * Rule types (metric names as returned by computeHeatmapMetrics: arp, atrp, solv, coverage, ...):
+ * - worsened:    { type: 'worsened', metric: 'arp', by: 2 }    metric got worse than the previous report by more than `by`
+ * - below:       { type: 'below', metric: 'solv', value: 30 }   metric is below `value`
+ * - above:       { type: 'above', metric: 'atrp', value: 10 }   metric is above `value`
+ * - center-lost: { type: 'center-lost' }                        the centre grid point ranked before and doesn't now
+ *
+ * The previous report is either a real heatmap (compareDate, archived snapshot) or is
+ * reconstructed from the per-point `diff` of the current heatmap (see previousFromDiff).
+ */
+
+export const DEFAULT_ALERT_RULES = [
+  { type: 'worsened', metric: 'arp', by: 2 },
+  { type: 'below', metric: 'solv', value: 30 },
+  { type: 'center-lost' }
+];
+
+// Rank-like metrics get worse when they go up; shares and counts when they go down
+const HIGHER_IS_WORSE = new Set(['arp', 'atrp', 'notRankingPoints', 'worstPosition', 'bestPosition']);
+const RULE_TYPES = ['worsened', 'below', 'above', 'center-lost'];
+// Metrics of computeHeatmapMetrics that rules can watch
+export const ALERT_METRICS = [
+  'totalPoints', 'foundPoints', 'notRankingPoints', 'top3Points', 'top10Points',
+  'arp', 'atrp', 'solv', 'top10Share', 'coverage', 'bestPosition', 'worstPosition',
+  'improvedPoints', 'declinedPoints', 'averageDiff'
+];
+
+/**
+ * Parse alert rules given as an array or JSON string, falling back to ALERT_RULES or the defaults
+ * @param {Array|string} value - Rules
+ * @returns {Array<Object>} Validated rules
+ * @throws {Error} When a rule has an unknown type or metric, or no numeric limit
+ */
+export function parseAlertRules(value) {
+  const source = value || process.env.ALERT_RULES;
+  if (!source) return DEFAULT_ALERT_RULES;
+
+  const rules = typeof source === 'string' ? JSON.parse(source) : source;
+  if (!Array.isArray(rules)) {
+    throw new Error('Alert rules must be an array');
+  }
+
+  for (const rule of rules) {
+    if (!RULE_TYPES.includes(rule?.type)) {
+      throw new Error(`Unknown alert rule type: ${rule?.type}. Use one of: ${RULE_TYPES.join(', ')}`);
+    }
+    if (rule.type !== 'center-lost' && !rule.metric) {
+      throw new Error(`Alert rule ${rule.type} needs a metric`);
+    }
+    if (rule.type !== 'center-lost' && !ALERT_METRICS.includes(rule.metric)) {
+      throw new Error(`Unknown alert metric: ${rule.metric}. Use one of: ${ALERT_METRICS.join(', ')}`);
+    }
+    const limit = rule.type === 'worsened' ? rule.by : rule.value;
+    if (rule.type !== 'center-lost' && !Number.isFinite(Number(limit))) {
+      throw new Error(`Alert rule ${rule.type} ${rule.metric} needs a numeric ${rule.type === 'worsened' ? 'by' : 'value'}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Reconstruct the previous report from the per-point `diff` of a heatmap.
+ * Semrush diff is previous rank minus current rank; points without a diff are left out.
+ * Points not ranking now count as maxRank + 1, so a point lost since the previous report
+ * gets its old rank back.
+ * @param {Object} heatmap - Heatmap response
+ * @param {Object} options - { maxRank } (default 20)
+ * @returns {Object} Heatmap-shaped object for the previous report
+ */
+export function previousFromDiff(heatmap, options = {}) {
+  const { maxRank = DEFAULT_MAX_RANK } = options;
+  const positions = getPositions(heatmap)
+    .filter(item => typeof item.diff === 'number')
+    .map((item) => {
+      const current = typeof item.position === 'number' && item.position > 0 ? item.position : maxRank + 1;
+      return { point: item.point, position: current + item.diff };
+    });
+
+  return { data: { keyword: heatmap?.data?.keyword, date: null, positions } };
+}
+
+/**
+ * Find the grid point in the middle of the grid (the business location on Semrush grids)
+ * @param {Object} heatmap - Heatmap response
+ * @returns {Object|null} Centre position
+ */
+export function findCenterPoint(heatmap) {
+  const matrix = toGridMatrix(heatmap);
+  if (matrix.length === 0) return null;
+  return matrix[Math.floor(matrix.length / 2)][Math.floor(matrix[0].length / 2)];
+}
+
+function describeMetric(metric) {
+  return {
+    arp: 'Average rank',
+    atrp: 'Average total rank',
+    solv: 'Top-3 share',
+    coverage: 'Found ratio',
+    top10Share: 'Top-10 share'
+  }[metric] || metric;
+}
+
+function isPercentage(metric) {
+  return ['solv', 'coverage', 'top10Share'].includes(metric);
+}
+
+function formatValue(metric, value) {
+  return isPercentage(metric) ? `${value}%` : String(value);
+}
+
+/**
+ * Evaluate alert rules for a heatmap
+ * @param {Object} current - Current heatmap response
+ * @param {Object|null} previous - Previous heatmap (null disables worsened and center-lost rules)
+ * @param {Array<Object>} rules - Alert rules
+ * @returns {Array<Object>} Triggered alerts: { rule, metric, message, current, previous }
+ */
+export function evaluateAlerts(current, previous, rules = DEFAULT_ALERT_RULES) {
+  const comparison = previous ? compareHeatmaps(current, previous) : null;
+  const metrics = comparison ? comparison.metrics.current : computeHeatmapMetrics(current);
+  const alerts = [];
+
+  for (const rule of rules) {
+    const value = metrics[rule.metric];
+
+    if (rule.type === 'below' && typeof value === 'number' && value < Number(rule.value)) {
+      alerts.push({
+        rule,
+        metric: rule.metric,
+        current: value,
+        message: `${describeMetric(rule.metric)} is ${formatValue(rule.metric, value)}, below ${formatValue(rule.metric, rule.value)}`
+      });
+    }
+
+    if (rule.type === 'above' && typeof value === 'number' && value > Number(rule.value)) {
+      alerts.push({
+        rule,
+        metric: rule.metric,
+        current: value,
+        message: `${describeMetric(rule.metric)} is ${formatValue(rule.metric, value)}, above ${formatValue(rule.metric, rule.value)}`
+      });
+    }
+
+    if (rule.type === 'worsened' && comparison) {
+      const before = comparison.metrics.previous[rule.metric];
+      if (typeof value !== 'number' || typeof before !== 'number') continue;
+
+      const worsening = HIGHER_IS_WORSE.has(rule.metric) ? value - before : before - value;
+      if (worsening > Number(rule.by)) {
+        alerts.push({
+          rule,
+          metric: rule.metric,
+          current: value,
+          previous: before,
+          message: `${describeMetric(rule.metric)} worsened from ${formatValue(rule.metric, before)} to ${formatValue(rule.metric, value)}`
+        });
+      }
+    }
+
+    if (rule.type === 'center-lost' && comparison) {
+      const center = findCenterPoint(current);
+      const lost = center && comparison.lost.find(point =>
+        point.lat === center.point.coordinates.lat && point.lng === center.point.coordinates.lng);
+      if (lost) {
+        alerts.push({
+          rule,
+          metric: 'center',
+          current: null,
+          previous: lost.previousPosition,
+          message: `Centre point lost (was #${lost.previousPosition}, now not ranking)`
+        });
+      }
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Build a Slack-compatible webhook payload (text + blocks), with the raw alerts attached
+ * @param {Array<Object>} alerts - Triggered alerts
+ * @param {Object} context - campaignId, keywordId, keywordName, business, reportDate
+ * @returns {Object} Payload
+ */
+export function buildAlertPayload(alerts, context = {}) {
+  const keyword = context.keywordName || context.keywordId || 'keyword';
+  const title = `:rotating_light: Rank drop for "${keyword}"${context.business ? ` (${context.business})` : ''}`;
+  const reportDate = context.reportDate ? new Date(context.reportDate).toISOString().slice(0, 10) : 'latest report';
+
+  return {
+    text: `${title}: ${alerts.map(alert => alert.message).join('; ')}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title.replace(':rotating_light: ', ''), emoji: true } },
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: alerts.map(alert => `• ${alert.message}`).join('\n') }
+      },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `Campaign ${context.campaignId || '-'} · ${reportDate}` }]
+      }
+    ],
+    alerts: alerts.map(({ rule, ...alert }) => ({ ...alert, rule: rule.type })),
+    context
+  };
+}
+
+/**
+ * Sign a webhook body: HMAC-SHA256 over "<timestamp>.<body>"
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+export function signPayload(body, secret, timestamp) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Post alerts to a webhook
+ * @param {Object} payload - Payload from buildAlertPayload
+ * @param {Object} options - Webhook options
+ * @param {string} options.url - Webhook URL (default ALERT_WEBHOOK_URL)
+ * @param {string} options.secret - HMAC secret (default ALERT_WEBHOOK_SECRET); adds X-Signature-256 and X-Signature-Timestamp
+ * @param {number} options.timeout - Request timeout in ms (default 10000)
+ * @param {Object} options.httpClient - axios-compatible instance
+ * @returns {Promise<Object>} { status }
+ */
+export async function sendAlertWebhook(payload, options = {}) {
+  const {
+    url = process.env.ALERT_WEBHOOK_URL,
+    secret = process.env.ALERT_WEBHOOK_SECRET,
+    timeout = 10000,
+    httpClient = axios
+  } = options;
+
+  if (!url) {
+    throw new Error('ALERT_WEBHOOK_URL is not configured');
+  }
+
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers['X-Signature-Timestamp'] = String(timestamp);
+    headers['X-Signature-256'] = signPayload(body, secret, timestamp);
+  }
+
+  const response = await httpClient.post(url, body, { headers, timeout });
+  return { status: response.status };
+}
@@ -0,0 +1,36 @@
+import { getRankBucket, formatRank } from './heatmap-export.mjs';
+import { toGridMatrix } from './heatmap-geometry.mjs';
+
+/**
+ * Terminal rendering of heatmap grids
+ * Lays out the grid points as a matrix of rank numbers (north at the top,
+ * west on the left) coloured with ANSI escape codes by rank bucket.
+ */
+
+const ANSI_COLORS = {
+  top3: '\x1b[1;32m',
+  top10: '\x1b[1;33m',
+  top20: '\x1b[1;38;5;208m',
+  'not-found': '\x1b[1;31m'
+};
+const ANSI_RESET = '\x1b[0m';
+const CELL_WIDTH = 4;
+
+/**
+ * Render a heatmap as a text grid of rank numbers
+ * @param {Object|Array} heatmap - Heatmap response, its `data` object, or positions
+ * @param {Object} options - Render options
+ * @param {boolean} options.color - Use ANSI colours (default true)
+ * @returns {string} Grid text, one line per row
+ */
+export function renderAsciiGrid(heatmap, options = {}) {
+  const { color = true } = options;
+
+  return toGridMatrix(heatmap).map(row => row.map(item => {
+    if (!item) {
+      return ' '.repeat(CELL_WIDTH);
+    }
+    const cell = formatRank(item.position).padStart(CELL_WIDTH);
+    return color ? `${ANSI_COLORS[getRankBucket(item.position).id]}${cell}${ANSI_RESET}` : cell;
+  }).join('')).join('\n');
+}
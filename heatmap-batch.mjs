@@ -0,0 +1,137 @@
+import { isFlagSet, parseList } from './api-gateway.mjs';
+import { computeHeatmapMetrics } from './heatmap-metrics.mjs';
+import { buildGridGeometry } from './heatmap-geometry.mjs';
+import { getCacheInfo } from './response-cache.mjs';
+import { describeError } from './semrush-client.mjs';
+
+/**
+ * Batch heatmap fetching
+ * Fetches the heatmaps of several keywords (or every keyword) of a campaign in one go,
+ * with bounded concurrency and a per-keyword success/error entry.
+ */
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Map over items running at most `limit` async calls at the same time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Parse a keywordIds parameter given as an array or comma-separated string
+ * @param {Array|string} keywordIds - Keyword IDs
+ * @returns {Array<string>} Unique, non-empty keyword IDs
+ */
+export function parseKeywordIds(keywordIds) {
+  return parseList(keywordIds);
+}
+
+/**
+ * Check whether request parameters ask for batch mode
+ * @param {Object} params - Request parameters
+ * @returns {boolean} True if keywordIds or allKeywords is set
+ */
+export function isBatchRequest(params) {
+  return Boolean(params.keywordIds) || isFlagSet(params.allKeywords);
+}
+
+/**
+ * Resolve the concurrency limit from a request value or HEATMAP_BATCH_CONCURRENCY
+ * @param {number|string} value - Requested concurrency
+ * @returns {number} Concurrency between 1 and MAX_CONCURRENCY
+ */
+function resolveConcurrency(value) {
+  const requested = Number(value || process.env.HEATMAP_BATCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  return Math.min(Math.max(Math.floor(requested), 1), MAX_CONCURRENCY);
+}
+
+/**
+ * Fetch heatmaps for several keywords of a campaign
+ * @param {SemrushMapRankClient} client - API client (see semrush-client.mjs)
+ * @param {Object} params - Batch parameters
+ * @param {string} params.campaignId - Campaign ID
+ * @param {Array|string} params.keywordIds - Keyword IDs (ignored when allKeywords is set)
+ * @param {boolean} params.allKeywords - Fetch every keyword of the campaign
+ * @param {string} params.cid - Business ID
+ * @param {string} params.placeIds - Place IDs
+ * @param {string} params.reportDate - Optional report date
+ * @param {number} params.concurrency - Maximum parallel heatmap requests
+ * @param {boolean} params.includeMetrics - Add grid-rank metrics to each successful entry
+ * @param {boolean} params.includeGeometry - Add the grid layout and rings analysis to each successful entry
+ * @param {Array<number>} params.rings - Ring radii in km (implies includeGeometry)
+ * @param {boolean} params.noCache - Skip cached responses when the client is a caching client
+ * @returns {Promise<Object>} Combined batch result
+ */
+export async function fetchHeatmapBatch(client, params) {
+  const { campaignId, cid, placeIds, reportDate } = params;
+  const allKeywords = isFlagSet(params.allKeywords);
+  const includeMetrics = isFlagSet(params.includeMetrics);
+  const includeGeometry = isFlagSet(params.includeGeometry) || Boolean(params.rings);
+  const concurrency = resolveConcurrency(params.concurrency);
+  const cacheOptions = { noCache: isFlagSet(params.noCache) };
+
+  let keywords;
+  if (allKeywords) {
+    const response = await client.getKeywords(campaignId, reportDate || null, cacheOptions);
+    keywords = (response.data?.keywords || []).map(item => ({
+      keywordId: item.keyword.id,
+      keywordName: item.keyword.name,
+      status: item.status
+    }));
+  } else {
+    keywords = parseKeywordIds(params.keywordIds).map(keywordId => ({ keywordId }));
+  }
+
+  const results = await mapWithConcurrency(keywords, concurrency, async (keyword) => {
+    try {
+      const data = await client.getHeatmap(campaignId, { keywordId: keyword.keywordId, cid, placeIds, reportDate }, cacheOptions);
+      const cache = getCacheInfo(data);
+
+      return {
+        ...keyword,
+        keywordName: keyword.keywordName || data.data?.keyword?.name,
+        success: true,
+        ...(cache && { cached: cache.hit }),
+        data,
+        ...(includeMetrics && { metrics: computeHeatmapMetrics(data) }),
+        ...(includeGeometry && { geometry: buildGridGeometry(data, { radiiKm: params.rings }) })
+      };
+    } catch (error) {
+      return {
+        ...keyword,
+        success: false,
+        error: describeError(error)
+      };
+    }
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+
+  return {
+    campaignId,
+    reportDate: reportDate || null,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  };
+}
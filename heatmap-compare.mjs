@@ -0,0 +1,117 @@
+import { computeHeatmapMetrics, getPositions, isRanked, DEFAULT_MAX_RANK } from './heatmap-metrics.mjs';
+
+/**
+ * Heatmap comparison between two report dates
+ * Matches grid points of two heatmaps by coordinates and reports per-point changes,
+ * metric deltas and the points that improved, declined, were gained or were lost.
+ *
+ * Per-point `change` follows the Semrush `diff` convention: previous rank minus
+ * current rank, so a positive change means the business moved up. Not-found points
+ * count as maxRank + 1. Metric deltas are current minus previous.
+ */
+
+const COORDINATE_PRECISION = 5; // ~1 m, absorbs float noise between reports
+
+/**
+ * Key used to match grid points of different heatmaps
+ * @param {Object} coordinates - { lat, lng }
+ * @returns {string} Coordinates rounded to ~1 m
+ */
+export function coordinateKey(coordinates) {
+  return `${Number(coordinates.lat).toFixed(COORDINATE_PRECISION)},${Number(coordinates.lng).toFixed(COORDINATE_PRECISION)}`;
+}
+
+function indexByCoordinates(heatmap) {
+  const index = new Map();
+  for (const item of getPositions(heatmap)) {
+    if (item.point?.coordinates) {
+      index.set(coordinateKey(item.point.coordinates), item);
+    }
+  }
+  return index;
+}
+
+function classifyPoint(previousRanked, currentRanked, change) {
+  if (!previousRanked && currentRanked) return 'gained';
+  if (previousRanked && !currentRanked) return 'lost';
+  if (!previousRanked && !currentRanked) return 'not-ranking';
+  if (change > 0) return 'improved';
+  if (change < 0) return 'declined';
+  return 'unchanged';
+}
+
+function getReportDate(heatmap) {
+  return heatmap?.data?.date ?? heatmap?.date ?? null;
+}
+
+/**
+ * Compare two heatmaps of the same campaign, keyword and business
+ * @param {Object} current - Heatmap response for the newer report date
+ * @param {Object} previous - Heatmap response for the older report date
+ * @param {Object} options - Comparison options
+ * @param {number} options.maxRank - Highest tracked position (default 20)
+ * @returns {Object} Comparison result
+ */
+export function compareHeatmaps(current, previous, options = {}) {
+  const { maxRank = DEFAULT_MAX_RANK } = options;
+  const notFoundRank = maxRank + 1;
+  const previousIndex = indexByCoordinates(previous);
+  const currentIndex = indexByCoordinates(current);
+
+  const points = [];
+  for (const [key, item] of currentIndex) {
+    const before = previousIndex.get(key);
+    if (!before) continue;
+
+    const currentRanked = isRanked(item.position, maxRank);
+    const previousRanked = isRanked(before.position, maxRank);
+    const currentRank = currentRanked ? item.position : notFoundRank;
+    const previousRank = previousRanked ? before.position : notFoundRank;
+    const change = previousRank - currentRank;
+
+    points.push({
+      pointId: item.point.id ?? before.point.id ?? null,
+      lat: item.point.coordinates.lat,
+      lng: item.point.coordinates.lng,
+      previousPosition: previousRanked ? before.position : null,
+      currentPosition: currentRanked ? item.position : null,
+      change,
+      status: classifyPoint(previousRanked, currentRanked, change)
+    });
+  }
+
+  const currentMetrics = computeHeatmapMetrics(current, { maxRank });
+  const previousMetrics = computeHeatmapMetrics(previous, { maxRank });
+  const metricDeltas = {};
+  for (const [name, value] of Object.entries(currentMetrics)) {
+    const before = previousMetrics[name];
+    if (name !== 'maxRank' && typeof value === 'number' && typeof before === 'number') {
+      metricDeltas[name] = Math.round((value - before) * 100) / 100;
+    }
+  }
+
+  const byStatus = status => points.filter(point => point.status === status);
+  const summary = {};
+  for (const point of points) {
+    summary[point.status] = (summary[point.status] || 0) + 1;
+  }
+
+  return {
+    currentDate: getReportDate(current),
+    previousDate: getReportDate(previous),
+    matchedPoints: points.length,
+    unmatchedCurrentPoints: currentIndex.size - points.length,
+    unmatchedPreviousPoints: previousIndex.size - points.length,
+    summary,
+    metrics: {
+      current: currentMetrics,
+      previous: previousMetrics,
+      delta: metricDeltas
+    },
+    improved: byStatus('improved'),
+    declined: byStatus('declined'),
+    gained: byStatus('gained'),
+    lost: byStatus('lost'),
+    points
+  };
+}
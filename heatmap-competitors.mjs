@@ -0,0 +1,170 @@
+import { computeHeatmapMetrics, getPositions, isRanked, DEFAULT_MAX_RANK } from './heatmap-metrics.mjs';
+import { coordinateKey } from './heatmap-compare.mjs';
+import { mapWithConcurrency } from './heatmap-batch.mjs';
+import { describeError } from './semrush-client.mjs';
+
+/**
+ * Competitor view
+ * Fetches one heatmap per business (ours plus competitors) for the same keyword and
+ * report, then compares them point by point and builds a leaderboard.
+ *
+ * Per point, the leader is the business with the best rank (ties share the lead), and
+ * our status is lead (sole best), tie (joint best), trail (a competitor ranks better)
+ * or none (nobody ranks at this point).
+ */
+
+const DEFAULT_CONCURRENCY = 5;
+const MAX_PLACES = 10;
+
+/**
+ * Fetch the heatmaps of our business and its competitors
+ * @param {SemrushMapRankClient} client - API client
+ * @param {Object} params - Request parameters
+ * @param {string} params.campaignId - Campaign ID
+ * @param {string} params.keywordId - Keyword ID
+ * @param {string} params.cid - Our business ID (optional; otherwise the first place ID is ours)
+ * @param {Array<string>} params.placeIds - Place IDs, ours first unless cid is given
+ * @param {string} params.reportDate - Optional report date
+ * @returns {Promise<Array<Object>>} Places: { placeId, cid, own, heatmap } or { ..., error }
+ * @throws The first fetch error when no heatmap could be fetched at all
+ */
+export async function fetchCompetitorHeatmaps(client, params) {
+  const { campaignId, keywordId, cid, placeIds = [], reportDate } = params;
+
+  const places = [
+    ...(cid ? [{ placeId: null, cid, own: true }] : []),
+    ...placeIds.map((placeId, index) => ({ placeId, cid: null, own: !cid && index === 0 }))
+  ];
+
+  if (places.length < 2) {
+    throw new Error('At least two businesses are needed: cid plus placeIds, or two or more placeIds');
+  }
+  if (places.length > MAX_PLACES) {
+    throw new Error(`At most ${MAX_PLACES} businesses can be compared at once`);
+  }
+
+  const errors = [];
+  const results = await mapWithConcurrency(places, DEFAULT_CONCURRENCY, async (place) => {
+    try {
+      const heatmap = await client.getHeatmap(campaignId, {
+        keywordId,
+        reportDate,
+        ...(place.cid ? { cid: place.cid } : { placeIds: place.placeId })
+      });
+      return { ...place, heatmap };
+    } catch (error) {
+      errors.push(error);
+      return { ...place, error: describeError(error) };
+    }
+  });
+
+  if (errors.length === results.length) {
+    throw errors[0];
+  }
+  return results;
+}
+
+function placeKey(place) {
+  return place.cid ? `cid:${place.cid}` : place.placeId;
+}
+
+/**
+ * Compare heatmaps of several businesses point by point
+ * @param {Array<Object>} places - Places from fetchCompetitorHeatmaps (entries with an error are listed but skipped)
+ * @param {Object} options - Comparison options
+ * @param {number} options.maxRank - Highest tracked position (default 20)
+ * @returns {Object} { own, places, leaderboard, summary, points }
+ */
+export function compareCompetitors(places, options = {}) {
+  const { maxRank = DEFAULT_MAX_RANK } = options;
+  const available = places.filter(place => place.heatmap);
+  const own = available.find(place => place.own) || null;
+
+  // Points keyed by coordinates, with the rank of every business at that point
+  const points = new Map();
+  for (const place of available) {
+    for (const item of getPositions(place.heatmap)) {
+      if (!item.point?.coordinates) continue;
+      const key = coordinateKey(item.point.coordinates);
+      if (!points.has(key)) {
+        points.set(key, {
+          pointId: item.point.id ?? null,
+          lat: item.point.coordinates.lat,
+          lng: item.point.coordinates.lng,
+          ranks: {}
+        });
+      }
+      points.get(key).ranks[placeKey(place)] = isRanked(item.position, maxRank) ? item.position : null;
+    }
+  }
+
+  const wins = Object.fromEntries(available.map(place => [placeKey(place), 0]));
+  const summary = { lead: 0, tie: 0, trail: 0, none: 0 };
+
+  const comparedPoints = [...points.values()].map(point => {
+    const ranked = Object.entries(point.ranks).filter(([, rank]) => rank !== null);
+    const best = ranked.length > 0 ? Math.min(...ranked.map(([, rank]) => rank)) : null;
+    const leaders = ranked.filter(([, rank]) => rank === best).map(([key]) => key);
+    leaders.forEach(key => { wins[key]++; });
+
+    let status = 'none';
+    if (own && leaders.length > 0) {
+      const ownKey = placeKey(own);
+      if (!leaders.includes(ownKey)) status = 'trail';
+      else status = leaders.length === 1 ? 'lead' : 'tie';
+    }
+    summary[status]++;
+
+    const ownRank = own ? point.ranks[placeKey(own)] ?? null : null;
+    const competitors = ranked.filter(([key]) => !own || key !== placeKey(own));
+    const bestCompetitor = competitors.length > 0
+      ? competitors.reduce((bestSoFar, entry) => (entry[1] < bestSoFar[1] ? entry : bestSoFar))
+      : null;
+
+    return {
+      ...point,
+      leaders,
+      bestRank: best,
+      ownRank,
+      bestCompetitor: bestCompetitor ? { place: bestCompetitor[0], rank: bestCompetitor[1] } : null,
+      status
+    };
+  });
+
+  const leaderboard = available
+    .map(place => {
+      const metrics = computeHeatmapMetrics(place.heatmap, { maxRank });
+      return {
+        place: placeKey(place),
+        placeId: place.placeId,
+        cid: place.cid,
+        own: place.own,
+        wins: wins[placeKey(place)],
+        arp: metrics.arp,
+        atrp: metrics.atrp,
+        solv: metrics.solv,
+        coverage: metrics.coverage,
+        top3Points: metrics.top3Points,
+        foundPoints: metrics.foundPoints,
+        totalPoints: metrics.totalPoints
+      };
+    })
+    // Best first: lowest ATRP, then highest SoLV, then most wins
+    .sort((a, b) => (a.atrp ?? Infinity) - (b.atrp ?? Infinity) || (b.solv ?? 0) - (a.solv ?? 0) || b.wins - a.wins)
+    .map((entry, index) => ({ position: index + 1, ...entry }));
+
+  return {
+    own: own ? placeKey(own) : null,
+    places: places.map(place => ({
+      place: placeKey(place),
+      placeId: place.placeId,
+      cid: place.cid,
+      own: place.own,
+      success: Boolean(place.heatmap),
+      ...(place.error && { error: place.error })
+    })),
+    leaderboard,
+    summary,
+    points: comparedPoints
+  };
+}
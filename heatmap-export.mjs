@@ -0,0 +1,242 @@
+import { getPositions, isRanked, DEFAULT_MAX_RANK } from './heatmap-metrics.mjs';
+
+/**
+ * Heatmap export formats
+ * Converts Semrush heatmap responses into GeoJSON, CSV and KML so the grid
+ * opens directly in QGIS, Google Earth or Excel.
+ *
+ * Every exporter accepts a single heatmap response or an array of them
+ * (e.g. the successful entries of a batch), one grid point per feature/row/placemark.
+ */
+
+/**
+ * Colour buckets used by every renderer: green for the top 3, yellow for 4-10,
+ * orange for 11-20 and red for points where the business was not found (20+)
+ */
+export const RANK_BUCKETS = [
+  { id: 'top3', label: '1-3', max: 3, color: '#2e7d32' },
+  { id: 'top10', label: '4-10', max: 10, color: '#f9a825' },
+  { id: 'top20', label: '11-20', max: DEFAULT_MAX_RANK, color: '#ef6c00' },
+  { id: 'not-found', label: '20+', max: Infinity, color: '#c62828' }
+];
+
+export const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+/**
+ * Get the colour bucket of a position
+ * @param {number|null} position - Grid point position
+ * @returns {Object} Entry of RANK_BUCKETS
+ */
+export function getRankBucket(position) {
+  if (!isRanked(position)) {
+    return RANK_BUCKETS[RANK_BUCKETS.length - 1];
+  }
+  return RANK_BUCKETS.find(bucket => position <= bucket.max);
+}
+
+/**
+ * Get the display label of a position ("20+" when not found)
+ * @param {number|null} position - Grid point position
+ * @returns {string} Rank label
+ */
+export function formatRank(position) {
+  return isRanked(position) ? String(position) : `${DEFAULT_MAX_RANK}+`;
+}
+
+/**
+ * Flatten one or more heatmap responses into grid point rows
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @returns {Array<Object>} Rows with keyword, date, coordinates, rank and bucket
+ */
+export function toGridRows(heatmaps) {
+  const list = Array.isArray(heatmaps) ? heatmaps : [heatmaps];
+
+  return list.flatMap(heatmap => {
+    const data = heatmap?.data?.positions ? heatmap.data : heatmap;
+
+    return getPositions(heatmap).map(item => {
+      const bucket = getRankBucket(item.position);
+      return {
+        keywordId: data?.keyword?.id ?? null,
+        keywordName: data?.keyword?.name ?? null,
+        reportDate: data?.date ?? null,
+        pointId: item.point?.id ?? null,
+        lat: item.point?.coordinates?.lat,
+        lng: item.point?.coordinates?.lng,
+        position: isRanked(item.position) ? item.position : null,
+        rank: formatRank(item.position),
+        diff: typeof item.diff === 'number' ? item.diff : null,
+        bucket: bucket.id,
+        color: bucket.color
+      };
+    });
+  });
+}
+
+/**
+ * Export heatmap(s) as a GeoJSON FeatureCollection of Points
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function toGeoJSON(heatmaps) {
+  return {
+    type: 'FeatureCollection',
+    features: toGridRows(heatmaps).map(({ lat, lng, ...properties }) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [lng, lat]
+      },
+      properties
+    }))
+  };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+export function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  ['keyword_id', 'keywordId'],
+  ['keyword', 'keywordName'],
+  ['report_date', 'reportDate'],
+  ['point_id', 'pointId'],
+  ['lat', 'lat'],
+  ['lng', 'lng'],
+  ['position', 'position'],
+  ['rank', 'rank'],
+  ['diff', 'diff'],
+  ['bucket', 'bucket']
+];
+
+/**
+ * Export heatmap(s) as CSV with one row per grid point
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @returns {string} CSV text
+ */
+export function toCSV(heatmaps) {
+  const header = CSV_COLUMNS.map(([column]) => column).join(',');
+  const rows = toGridRows(heatmaps).map(row =>
+    CSV_COLUMNS.map(([, key]) => escapeCsv(row[key])).join(',')
+  );
+  return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for XML and HTML content and attribute values (KML, SVG, HTML reports)
+ * @param {*} value - Text (null/undefined become empty)
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert #rrggbb to the KML aabbggrr colour notation
+ * @param {string} hex - CSS hex colour
+ * @returns {string} KML colour
+ */
+function toKmlColor(hex) {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `ff${b}${g}${r}`;
+}
+
+/**
+ * Export heatmap(s) as KML with placemarks styled by rank bucket.
+ * Each keyword/date gets its own folder.
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @returns {string} KML document
+ */
+export function toKML(heatmaps) {
+  const rows = toGridRows(heatmaps);
+  const folders = new Map();
+
+  for (const row of rows) {
+    const key = `${row.keywordId}|${row.reportDate}`;
+    if (!folders.has(key)) folders.set(key, []);
+    folders.get(key).push(row);
+  }
+
+  const styles = RANK_BUCKETS.map(bucket => `    <Style id="rank-${bucket.id}">
+      <IconStyle>
+        <color>${toKmlColor(bucket.color)}</color>
+        <scale>1.1</scale>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+      <LabelStyle><scale>0.9</scale></LabelStyle>
+    </Style>`).join('\n');
+
+  const folderXml = [...folders.values()].map(points => {
+    const { keywordName, reportDate } = points[0];
+    const placemarks = points.map(point => `      <Placemark>
+        <name>${escapeXml(point.rank)}</name>
+        <description>${escapeXml(`Rank: ${point.rank}${point.diff !== null ? `, diff: ${point.diff}` : ''}`)}</description>
+        <styleUrl>#rank-${point.bucket}</styleUrl>
+        <Point><coordinates>${point.lng},${point.lat},0</coordinates></Point>
+      </Placemark>`).join('\n');
+
+    return `    <Folder>
+      <name>${escapeXml([keywordName, reportDate].filter(Boolean).join(' - ') || 'Heatmap')}</name>
+${placemarks}
+    </Folder>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Semrush Map Rank Tracker heatmap</name>
+${styles}
+${folderXml}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Export heatmap(s) in the requested format
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @param {string} format - json, geojson, csv or kml
+ * @returns {Object} { body, contentType, extension } where body is a string
+ */
+export function exportHeatmap(heatmaps, format = 'json') {
+  const normalized = String(format).toLowerCase();
+  const spec = EXPORT_FORMATS[normalized];
+
+  if (!spec) {
+    throw new Error(`Unsupported format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  let body;
+  switch (normalized) {
+    case 'geojson':
+      body = JSON.stringify(toGeoJSON(heatmaps), null, 2);
+      break;
+    case 'csv':
+      body = toCSV(heatmaps);
+      break;
+    case 'kml':
+      body = toKML(heatmaps);
+      break;
+    default:
+      body = JSON.stringify(heatmaps, null, 2);
+  }
+
+  return { body, ...spec };
+}
@@ -0,0 +1,269 @@
+import { getPositions, computeHeatmapMetrics, DEFAULT_MAX_RANK } from './heatmap-metrics.mjs';
+
+/**
+ * Grid geometry
+ * Semrush returns the grid as a flat list of lat/lng points. This module reconstructs the layout:
+ * rows and columns (by clustering latitudes and longitudes), the spacing between neighbouring
+ * points, the grid centre and radius, and each point's row, column, distance and bearing from
+ * the business.
+ *
+ * Semrush centres the grid on the business, so the grid centre stands in for the business
+ * location unless its coordinates are passed as `origin`.
+ *
+ * Rings analysis groups points by distance from the business and computes the grid-rank
+ * metrics (see heatmap-metrics.mjs) of each ring, e.g. the average rank within 1, 3 and 5 km.
+ */
+
+export const EARTH_RADIUS_KM = 6371.0088;
+export const KM_PER_MILE = 1.609344;
+export const DEFAULT_RING_RADII_KM = [1, 3, 5];
+
+// Coordinates closer than this (in degrees, ~20 m) belong to the same row or column
+const DEFAULT_TOLERANCE = 0.0002;
+// Grid coordinates are rounded, so a point 1 km away may be 1.004 km away on paper
+const RING_TOLERANCE = 0.01;
+// Points closer to the business than this (in km) have no bearing
+const SAME_PLACE_KM = 0.001;
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function round(value, decimals = 3) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert kilometres to miles
+ * @param {number} km - Distance in kilometres
+ * @returns {number} Distance in miles
+ */
+export function kmToMiles(km) {
+  return km / KM_PER_MILE;
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Distance in kilometres
+ */
+export function distanceKm(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Initial bearing from one point to another
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Bearing in degrees clockwise from north, 0 to 360
+ */
+export function bearingDegrees(from, to) {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Name the eight-point compass direction of a bearing
+ * @param {number} bearing - Bearing in degrees
+ * @returns {string} N, NE, E, SE, S, SW, W or NW
+ */
+export function compassDirection(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+}
+
+/**
+ * Group coordinate values into rows/columns.
+ * Values closer than the tolerance belong to the same group.
+ * @param {Array<number>} values - Coordinate values
+ * @param {number} tolerance - Maximum gap inside a group, in degrees
+ * @returns {Array<number>} Group representative values, ascending
+ */
+export function clusterValues(values, tolerance = DEFAULT_TOLERANCE) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const groups = [];
+
+  for (const value of sorted) {
+    const last = groups[groups.length - 1];
+    if (last && value - last.max <= tolerance) {
+      last.max = value;
+      last.sum += value;
+      last.count++;
+    } else {
+      groups.push({ max: value, sum: value, count: 1 });
+    }
+  }
+
+  return groups.map(group => group.sum / group.count);
+}
+
+function nearestIndex(groups, value) {
+  let best = 0;
+  for (let i = 1; i < groups.length; i++) {
+    if (Math.abs(groups[i] - value) < Math.abs(groups[best] - value)) best = i;
+  }
+  return best;
+}
+
+function located(heatmap) {
+  return getPositions(heatmap).filter(item =>
+    Number.isFinite(item.point?.coordinates?.lat) && Number.isFinite(item.point?.coordinates?.lng));
+}
+
+/**
+ * Arrange heatmap positions in a row/column matrix by latitude and longitude
+ * @param {Object|Array} heatmap - Heatmap response, its `data` object, or positions
+ * @param {number} tolerance - Coordinate clustering tolerance in degrees (default 0.0002, ~20 m)
+ * @returns {Array<Array<Object|null>>} Rows (north to south) of positions, null for empty cells
+ */
+export function toGridMatrix(heatmap, tolerance = DEFAULT_TOLERANCE) {
+  const positions = located(heatmap);
+  if (positions.length === 0) return [];
+
+  const rows = clusterValues(positions.map(item => item.point.coordinates.lat), tolerance).reverse();
+  const columns = clusterValues(positions.map(item => item.point.coordinates.lng), tolerance);
+  const matrix = rows.map(() => new Array(columns.length).fill(null));
+
+  for (const item of positions) {
+    matrix[nearestIndex(rows, item.point.coordinates.lat)][nearestIndex(columns, item.point.coordinates.lng)] = item;
+  }
+
+  return matrix;
+}
+
+function averageStep(values, toKm) {
+  if (values.length < 2) return null;
+  let total = 0;
+  for (let i = 1; i < values.length; i++) total += toKm(values[i - 1], values[i]);
+  return total / (values.length - 1);
+}
+
+function withMiles(km, decimals = 3) {
+  return { km: round(km, decimals), mi: round(km === null ? null : kmToMiles(km), decimals) };
+}
+
+/**
+ * Reconstruct the grid layout of a heatmap
+ * @param {Object|Array} heatmap - Heatmap response, its `data` object, or positions
+ * @param {Object} options - Layout options
+ * @param {Object} options.origin - Business location { lat, lng } (default the grid centre)
+ * @param {number} options.tolerance - Coordinate clustering tolerance in degrees (default 0.0002, ~20 m)
+ * @returns {Object|null} { rows, columns, size, spacing, center, origin, bounds, radius, points },
+ *   or null when no point has coordinates
+ */
+export function inferGridLayout(heatmap, options = {}) {
+  const { tolerance = DEFAULT_TOLERANCE } = options;
+  const positions = located(heatmap);
+  if (positions.length === 0) return null;
+
+  // Rows north to south, columns west to east
+  const rows = clusterValues(positions.map(item => item.point.coordinates.lat), tolerance).reverse();
+  const columns = clusterValues(positions.map(item => item.point.coordinates.lng), tolerance);
+
+  const center = {
+    lat: (rows[0] + rows[rows.length - 1]) / 2,
+    lng: (columns[0] + columns[columns.length - 1]) / 2
+  };
+  const origin = options.origin
+    ? { lat: Number(options.origin.lat), lng: Number(options.origin.lng), source: 'business' }
+    : { ...center, source: 'grid-center' };
+
+  const northSouthKm = averageStep(rows, (a, b) => distanceKm({ lat: a, lng: center.lng }, { lat: b, lng: center.lng }));
+  const eastWestKm = averageStep(columns, (a, b) => distanceKm({ lat: center.lat, lng: a }, { lat: center.lat, lng: b }));
+  const steps = [northSouthKm, eastWestKm].filter(step => step !== null);
+
+  const points = positions.map((item) => {
+    const { lat, lng } = item.point.coordinates;
+    const distance = distanceKm(origin, { lat, lng });
+    const bearing = distance >= SAME_PLACE_KM ? bearingDegrees(origin, { lat, lng }) : null;
+
+    return {
+      id: item.point.id ?? null,
+      lat,
+      lng,
+      row: nearestIndex(rows, lat),
+      column: nearestIndex(columns, lng),
+      position: item.position ?? null,
+      ...(item.diff !== undefined && { diff: item.diff }),
+      distanceKm: round(distance),
+      distanceMi: round(kmToMiles(distance)),
+      bearing: round(bearing, 1),
+      direction: bearing === null ? null : compassDirection(bearing)
+    };
+  });
+
+  const farthest = Math.max(...points.map(point => distanceKm(center, point)));
+
+  return {
+    rows: rows.length,
+    columns: columns.length,
+    size: rows.length === columns.length ? rows.length : null,
+    complete: positions.length === rows.length * columns.length,
+    spacing: {
+      ...withMiles(steps.length > 0 ? steps.reduce((sum, step) => sum + step, 0) / steps.length : null),
+      northSouthKm: round(northSouthKm),
+      eastWestKm: round(eastWestKm)
+    },
+    center,
+    origin,
+    bounds: {
+      north: rows[0],
+      south: rows[rows.length - 1],
+      west: columns[0],
+      east: columns[columns.length - 1]
+    },
+    radius: withMiles(farthest),
+    points
+  };
+}
+
+/**
+ * Rings analysis: grid-rank metrics of the points within each distance of the business
+ * @param {Object} layout - Layout from inferGridLayout
+ * @param {Object} options - Ring options
+ * @param {Array<number>} options.radiiKm - Ring radii in km (default 1, 3 and 5)
+ * @param {number} options.maxRank - Highest tracked position (default 20)
+ * @returns {Array<Object>} One entry per radius: { radiusKm, radiusMi, points, foundPoints, arp, atrp, solv, coverage }
+ */
+export function computeRings(layout, options = {}) {
+  const { radiiKm = DEFAULT_RING_RADII_KM, maxRank = DEFAULT_MAX_RANK } = options;
+  if (!layout) return [];
+
+  return [...radiiKm].sort((a, b) => a - b).map((radius) => {
+    const inside = layout.points.filter(point => point.distanceKm <= radius * (1 + RING_TOLERANCE));
+    const metrics = computeHeatmapMetrics(inside, { maxRank });
+
+    return {
+      radiusKm: radius,
+      radiusMi: round(kmToMiles(radius)),
+      points: metrics.totalPoints,
+      foundPoints: metrics.foundPoints,
+      arp: metrics.arp,
+      atrp: metrics.atrp,
+      solv: metrics.solv,
+      coverage: metrics.coverage
+    };
+  });
+}
+
+/**
+ * Build the geometry of a heatmap: grid layout plus rings analysis
+ * @param {Object|Array} heatmap - Heatmap response, its `data` object, or positions
+ * @param {Object} options - { origin, tolerance, radiiKm, maxRank }
+ * @returns {Object|null} Layout with `rings`, or null when no point has coordinates
+ */
+export function buildGridGeometry(heatmap, options = {}) {
+  const layout = inferGridLayout(heatmap, options);
+  return layout && { ...layout, rings: computeRings(layout, options) };
+}
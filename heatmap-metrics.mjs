@@ -0,0 +1,88 @@
+/**
+ * Heatmap grid-rank metrics
+ * Computes the standard local-SEO metrics from the grid points of a heatmap response.
+ *
+ * - ARP  (Average Rank Position): mean rank of the points where the business was found
+ * - ATRP (Average Total Rank Position): mean rank of all points, not-found points count as maxRank + 1
+ * - SoLV (Share of Local Voice): percentage of points where the business ranks in the top 3
+ *
+ * A point is "not found" when its position is missing, 0, or worse than maxRank (Semrush shows these as 20+).
+ * Per-point `diff` is the change since the previous report; a positive diff means the rank improved.
+ */
+
+export const DEFAULT_MAX_RANK = 20;
+
+/**
+ * Get the positions array from a heatmap payload
+ * @param {Object|Array} heatmap - Semrush heatmap response, its `data` object, or a positions array
+ * @returns {Array<Object>} Positions
+ */
+export function getPositions(heatmap) {
+  if (Array.isArray(heatmap)) return heatmap;
+  if (Array.isArray(heatmap?.positions)) return heatmap.positions;
+  if (Array.isArray(heatmap?.data?.positions)) return heatmap.data.positions;
+  return [];
+}
+
+/**
+ * Check whether a grid point position counts as ranked
+ * @param {number|null} position - Position from the heatmap
+ * @param {number} maxRank - Highest position that is tracked
+ * @returns {boolean} True if the business was found at this point
+ */
+export function isRanked(position, maxRank = DEFAULT_MAX_RANK) {
+  return typeof position === 'number' && position >= 1 && position <= maxRank;
+}
+
+function round(value, decimals = 2) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function percentage(count, total) {
+  return total > 0 ? round((count / total) * 100) : null;
+}
+
+/**
+ * Compute grid-rank metrics for a heatmap
+ * @param {Object|Array} heatmap - Semrush heatmap response, its `data` object, or a positions array
+ * @param {Object} options - Metric options
+ * @param {number} options.maxRank - Highest tracked position (default 20)
+ * @returns {Object} Metrics
+ */
+export function computeHeatmapMetrics(heatmap, options = {}) {
+  const { maxRank = DEFAULT_MAX_RANK } = options;
+  const positions = getPositions(heatmap);
+  const notFoundRank = maxRank + 1;
+
+  const ranks = positions.map(item => (isRanked(item.position, maxRank) ? item.position : null));
+  const found = ranks.filter(rank => rank !== null);
+  const totalPoints = positions.length;
+
+  const top3 = found.filter(rank => rank <= 3).length;
+  const top10 = found.filter(rank => rank <= 10).length;
+  const notFound = totalPoints - found.length;
+
+  const sumFound = found.reduce((sum, rank) => sum + rank, 0);
+  const diffs = positions.map(item => item.diff).filter(diff => typeof diff === 'number');
+
+  return {
+    totalPoints,
+    foundPoints: found.length,
+    notRankingPoints: notFound,
+    top3Points: top3,
+    top10Points: top10,
+    arp: found.length > 0 ? round(sumFound / found.length) : null,
+    atrp: totalPoints > 0 ? round((sumFound + notFound * notFoundRank) / totalPoints) : null,
+    solv: percentage(top3, totalPoints),
+    top10Share: percentage(top10, totalPoints),
+    coverage: percentage(found.length, totalPoints),
+    bestPosition: found.length > 0 ? Math.min(...found) : null,
+    worstPosition: found.length > 0 ? Math.max(...found) : null,
+    improvedPoints: diffs.filter(diff => diff > 0).length,
+    declinedPoints: diffs.filter(diff => diff < 0).length,
+    averageDiff: diffs.length > 0 ? round(diffs.reduce((sum, diff) => sum + diff, 0) / diffs.length) : null,
+    maxRank
+  };
+}
@@ -0,0 +1,136 @@
+import { computeHeatmapMetrics } from './heatmap-metrics.mjs';
+import { mapWithConcurrency } from './heatmap-batch.mjs';
+import { getCampaignBusiness } from './heatmap-snapshot.mjs';
+import { NotFoundError, describeError } from './semrush-client.mjs';
+
+/**
+ * Campaign overview
+ * Everything a dashboard needs about one campaign in a single call: the campaign's business and
+ * grid settings, every keyword with its status, and summary metrics of each keyword's latest
+ * heatmap (or of reportDate).
+ *
+ * Failures are reported per part instead of failing the whole overview: a keyword whose heatmap
+ * can't be fetched gets `metrics: null` and an `error`, and a failed campaign or keyword list
+ * request is listed in `errors`. Only an unknown campaign, or both campaign and keyword list
+ * failing, is an error for the caller.
+ */
+
+const DEFAULT_CONCURRENCY = 5;
+
+// Metrics of computeHeatmapMetrics kept per keyword
+const SUMMARY_METRICS = [
+  'totalPoints', 'foundPoints', 'top3Points', 'arp', 'atrp', 'solv', 'coverage',
+  'bestPosition', 'improvedPoints', 'declinedPoints', 'averageDiff'
+];
+
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+  return Math.round((present.reduce((sum, value) => sum + value, 0) / present.length) * 100) / 100;
+}
+
+function pickMetrics(heatmap) {
+  const metrics = computeHeatmapMetrics(heatmap);
+  return Object.fromEntries(SUMMARY_METRICS.map(name => [name, metrics[name]]));
+}
+
+function describeCampaign(campaignId, campaign) {
+  if (!campaign) return { id: campaignId, business: null };
+
+  return {
+    id: campaign.id ?? campaignId,
+    business: campaign.business ?? null,
+    status: campaign.status ?? null,
+    countryCode: campaign.countryCode ?? null,
+    keywordsNumber: campaign.keywordsNumber ?? null,
+    pointsNumber: campaign.pointsNumber ?? null,
+    gridSize: campaign.gridSize ?? null,
+    gridStep: campaign.gridStep ?? null,
+    gridStepUnit: campaign.gridStepUnit ?? null,
+    createdAt: campaign.createdAt ?? null
+  };
+}
+
+/**
+ * Build the overview of a campaign
+ * @param {SemrushMapRankClient} client - API client (or caching client)
+ * @param {Object} params - Request parameters
+ * @param {string} params.campaignId - Campaign ID
+ * @param {string} params.cid - Business ID (optional; default the campaign's business)
+ * @param {string} params.placeIds - Place IDs (optional; default the campaign's business)
+ * @param {string} params.reportDate - Report date (optional; default the latest report)
+ * @param {number} params.concurrency - Maximum parallel heatmap requests (default 5)
+ * @param {boolean} params.noCache - Bypass the response cache
+ * @returns {Promise<Object>} { campaign, keywords, summary, errors, partial }
+ * @throws {NotFoundError} When the campaign doesn't exist
+ * @throws The campaign error when neither the campaign nor its keywords could be loaded
+ */
+export async function buildCampaignOverview(client, params) {
+  const { campaignId, reportDate, noCache = false } = params;
+  const concurrency = params.concurrency || DEFAULT_CONCURRENCY;
+  const errors = [];
+
+  const [campaignResult, keywordsResult] = await Promise.allSettled([
+    client.getCampaign(campaignId),
+    client.getKeywords(campaignId, reportDate || null, { noCache })
+  ]);
+
+  if (campaignResult.status === 'rejected') {
+    if (campaignResult.reason instanceof NotFoundError || keywordsResult.status === 'rejected') {
+      throw campaignResult.reason;
+    }
+    errors.push({ part: 'campaign', ...describeError(campaignResult.reason) });
+  }
+  if (keywordsResult.status === 'rejected') {
+    errors.push({ part: 'keywords', ...describeError(keywordsResult.reason) });
+  }
+
+  const campaign = campaignResult.value?.data ?? null;
+  const business = params.cid ? { cid: params.cid }
+    : params.placeIds ? { placeIds: params.placeIds }
+      : getCampaignBusiness(campaign);
+
+  const items = keywordsResult.value?.data?.keywords || [];
+  const keywords = await mapWithConcurrency(items, concurrency, async (item) => {
+    const entry = {
+      id: item.keyword?.id,
+      name: item.keyword?.name ?? null,
+      status: item.status ?? null,
+      createdAt: item.createdAt ?? null
+    };
+
+    if (!business) {
+      return {
+        ...entry,
+        reportDate: null,
+        metrics: null,
+        error: { type: 'ValidationError', message: 'Campaign has no business cid or placeId (pass cid or placeIds)', status: null }
+      };
+    }
+
+    try {
+      const heatmap = await client.getHeatmap(campaignId, { keywordId: entry.id, reportDate, ...business }, { noCache });
+      return { ...entry, reportDate: heatmap.data?.date ?? reportDate ?? null, metrics: pickMetrics(heatmap) };
+    } catch (error) {
+      return { ...entry, reportDate: null, metrics: null, error: describeError(error) };
+    }
+  });
+
+  const ranked = keywords.filter(keyword => keyword.metrics);
+  const failed = keywords.length - ranked.length;
+
+  return {
+    campaign: describeCampaign(campaignId, campaign),
+    keywords,
+    summary: {
+      keywords: keywords.length,
+      withMetrics: ranked.length,
+      failed,
+      averageArp: average(ranked.map(keyword => keyword.metrics.arp)),
+      averageSolv: average(ranked.map(keyword => keyword.metrics.solv)),
+      averageCoverage: average(ranked.map(keyword => keyword.metrics.coverage))
+    },
+    errors,
+    partial: errors.length > 0 || failed > 0
+  };
+}
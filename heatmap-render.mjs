@@ -0,0 +1,185 @@
+import { getPositions } from './heatmap-metrics.mjs';
+import { RANK_BUCKETS, getRankBucket, formatRank, escapeXml } from './heatmap-export.mjs';
+
+/**
+ * Heatmap image rendering
+ * Draws the grid as coloured circles labelled with their rank, with a header
+ * (keyword, business, report date) and a legend. Pure SVG, no map tiles,
+ * so it works offline and can be embedded in client reports.
+ * PNG output rasterizes the same SVG with the optional @resvg/resvg-js package.
+ */
+
+export const IMAGE_FORMATS = {
+  svg: { contentType: 'image/svg+xml', extension: 'svg' },
+  png: { contentType: 'image/png', extension: 'png' }
+};
+
+const FONT_FAMILY = "Helvetica, Arial, 'DejaVu Sans', sans-serif";
+const HEADER_HEIGHT = 84;
+const LEGEND_HEIGHT = 44;
+const PADDING = 24;
+
+function formatReportDate(date) {
+  if (!date) return 'Latest report';
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? String(date) : parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Project grid points to pixel coordinates inside a square plot area.
+ * Longitude is scaled by cos(latitude) so the grid keeps its real proportions.
+ * @param {Array<Object>} positions - Heatmap positions
+ * @param {number} size - Plot area size in pixels
+ * @returns {Object} { points, radius }
+ */
+function layoutPoints(positions, size) {
+  const coords = positions.map(item => item.point?.coordinates || {});
+  const lats = coords.map(c => c.lat);
+  const lngs = coords.map(c => c.lng);
+  const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const lngScale = Math.cos((midLat * Math.PI) / 180);
+
+  const xs = lngs.map(lng => lng * lngScale);
+  const ys = lats.map(lat => -lat);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+
+  // Leave room for the circles on the outer ring
+  const margin = size * 0.07;
+  const scale = (size - margin * 2) / span;
+  const offsetX = (size - (Math.max(...xs) - minX) * scale) / 2;
+  const offsetY = (size - (Math.max(...ys) - minY) * scale) / 2;
+
+  const points = positions.map((item, index) => ({
+    x: offsetX + (xs[index] - minX) * scale,
+    y: offsetY + (ys[index] - minY) * scale,
+    position: item.position,
+    diff: item.diff
+  }));
+
+  let nearest = Infinity;
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const distance = Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y);
+      if (distance > 0 && distance < nearest) nearest = distance;
+    }
+  }
+
+  const radius = Number.isFinite(nearest)
+    ? Math.min(Math.max(nearest * 0.42, 8), 32)
+    : 24;
+
+  return { points, radius };
+}
+
+/**
+ * Render a heatmap as an SVG image
+ * @param {Object} heatmap - Semrush heatmap response (or its `data` object)
+ * @param {Object} options - Render options
+ * @param {string} options.business - Business name shown in the header
+ * @param {number} options.width - Image width in pixels (default 800)
+ * @param {string} options.background - Background colour (default white)
+ * @returns {string} SVG document
+ */
+export function renderHeatmapSVG(heatmap, options = {}) {
+  const { business = null, width = 800, background = '#ffffff' } = options;
+  const data = heatmap?.data?.positions ? heatmap.data : heatmap;
+  const positions = getPositions(heatmap)
+    .filter(item => Number.isFinite(item.point?.coordinates?.lat) && Number.isFinite(item.point?.coordinates?.lng));
+
+  const plotSize = width - PADDING * 2;
+  const height = HEADER_HEIGHT + plotSize + LEGEND_HEIGHT + PADDING;
+  const keywordName = data?.keyword?.name || 'Heatmap';
+  const subtitle = [business, formatReportDate(data?.date)].filter(Boolean).join(' · ');
+
+  let grid = '';
+  if (positions.length > 0) {
+    const { points, radius } = layoutPoints(positions, plotSize);
+    const fontSize = Math.max(Math.round(radius * 0.8), 9);
+
+    grid = points.map(point => {
+      const bucket = getRankBucket(point.position);
+      const label = formatRank(point.position);
+      const cx = (PADDING + point.x).toFixed(1);
+      const cy = (HEADER_HEIGHT + point.y).toFixed(1);
+
+      return `  <g>
+    <circle cx="${cx}" cy="${cy}" r="${radius.toFixed(1)}" fill="${bucket.color}" stroke="#ffffff" stroke-width="2"/>
+    <text x="${cx}" y="${cy}" dy="0.35em" text-anchor="middle" font-size="${label.length > 2 ? Math.round(fontSize * 0.8) : fontSize}" font-weight="bold" fill="#ffffff">${escapeXml(label)}</text>
+  </g>`;
+    }).join('\n');
+  } else {
+    grid = `  <text x="${width / 2}" y="${HEADER_HEIGHT + plotSize / 2}" text-anchor="middle" font-size="16" fill="#757575">No grid points in this report</text>`;
+  }
+
+  const legendY = HEADER_HEIGHT + plotSize + LEGEND_HEIGHT / 2;
+  const legendItemWidth = 90;
+  const legendStart = (width - RANK_BUCKETS.length * legendItemWidth) / 2;
+  const legend = RANK_BUCKETS.map((bucket, index) => {
+    const x = legendStart + index * legendItemWidth;
+    return `  <circle cx="${x + 10}" cy="${legendY}" r="8" fill="${bucket.color}"/>
+  <text x="${x + 24}" y="${legendY}" dy="0.35em" font-size="13" fill="#424242">${escapeXml(bucket.label)}</text>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">
+  <rect width="100%" height="100%" fill="${background}"/>
+  <text x="${PADDING}" y="38" font-size="24" font-weight="bold" fill="#212121">${escapeXml(keywordName)}</text>
+  <text x="${PADDING}" y="64" font-size="15" fill="#616161">${escapeXml(subtitle)}</text>
+${grid}
+${legend}
+</svg>
+`;
+}
+
+/**
+ * Render a heatmap as a PNG image.
+ * Requires the optional @resvg/resvg-js dependency.
+ * @param {Object} heatmap - Semrush heatmap response (or its `data` object)
+ * @param {Object} options - Same options as renderHeatmapSVG, plus fontFile (path to a .ttf)
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function renderHeatmapPNG(heatmap, options = {}) {
+  let resvg;
+  try {
+    resvg = await import('@resvg/resvg-js');
+  } catch (error) {
+    throw new Error('PNG rendering requires the optional @resvg/resvg-js package. Install it or use format "svg".');
+  }
+
+  const svg = renderHeatmapSVG(heatmap, options);
+  // Lambda images ship without system fonts; HEATMAP_FONT_FILE points at a bundled .ttf
+  const fontFile = options.fontFile || process.env.HEATMAP_FONT_FILE;
+  const renderer = new resvg.Resvg(svg, {
+    font: {
+      loadSystemFonts: true,
+      defaultFontFamily: 'DejaVu Sans',
+      ...(fontFile && { fontFiles: [fontFile] })
+    }
+  });
+
+  return renderer.render().asPng();
+}
+
+/**
+ * Render a heatmap in the requested image format
+ * @param {Object} heatmap - Semrush heatmap response
+ * @param {string} format - svg or png
+ * @param {Object} options - Render options
+ * @returns {Promise<Object>} { body, contentType, extension } where body is a string (svg) or Buffer (png)
+ */
+export async function renderHeatmap(heatmap, format = 'svg', options = {}) {
+  const normalized = String(format).toLowerCase();
+  const spec = IMAGE_FORMATS[normalized];
+
+  if (!spec) {
+    throw new Error(`Unsupported image format: ${format}. Use one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+  }
+
+  const body = normalized === 'png'
+    ? await renderHeatmapPNG(heatmap, options)
+    : renderHeatmapSVG(heatmap, options);
+
+  return { body, ...spec };
+}
@@ -0,0 +1,461 @@
+import { readFileSync } from 'fs';
+import { dirname, extname, resolve } from 'path';
+import { RANK_BUCKETS, getRankBucket, formatRank, escapeXml } from './heatmap-export.mjs';
+import { computeHeatmapMetrics } from './heatmap-metrics.mjs';
+import { toGridMatrix, buildGridGeometry } from './heatmap-geometry.mjs';
+import { fetchHeatmapBatch } from './heatmap-batch.mjs';
+import { getCampaignBusiness } from './heatmap-snapshot.mjs';
+
+/**
+ * HTML client report
+ * Builds one self-contained HTML file for a campaign and report date: business details, a
+ * summary table across keywords, and per keyword an inline SVG rank grid with per-point change
+ * arrows (from `diff`), a metric table and the average rank within 1, 3 and 5 km.
+ * There are no external assets (styles inline, logo embedded as a data: URI), so the file can
+ * be e-mailed, opened offline or printed to PDF.
+ *
+ * Theming and white-label branding come from a JSON config:
+ *   { "theme": { "primaryColor": "#0b5394", ... }, "branding": { "name": "Acme SEO", "logo": "logo.png", ... } }
+ * read from REPORT_CONFIG_FILE (or --config), then REPORT_CONFIG (the JSON itself), then
+ * per-request overrides. Logo files are read from config files only; requests may pass
+ * data: URIs. See DEFAULT_REPORT_THEME and DEFAULT_REPORT_BRANDING for every setting.
+ */
+
+export const DEFAULT_REPORT_THEME = {
+  primaryColor: '#1a4d8f',
+  textColor: '#212121',
+  mutedColor: '#616161',
+  background: '#ffffff',
+  surfaceColor: '#f5f7fa',
+  borderColor: '#dde3ea',
+  improvedColor: '#2e7d32',
+  declinedColor: '#c62828',
+  fontFamily: "Helvetica, Arial, 'DejaVu Sans', sans-serif",
+  rankColors: Object.fromEntries(RANK_BUCKETS.map(bucket => [bucket.id, bucket.color]))
+};
+
+export const DEFAULT_REPORT_BRANDING = {
+  // Agency or product name shown next to the logo
+  name: null,
+  title: 'Local Rank Report',
+  // data: URI, or a file path in a config file
+  logo: null,
+  footer: null
+};
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%]+\))$/i;
+const FONT_PATTERN = /^[\w\s,'"-]+$/;
+const LOGO_DATA_URI_PATTERN = /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
+const LOGO_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+const CELL_SIZE = 56;
+
+function formatDate(date) {
+  if (!date) return 'Latest report';
+  const parsed = new Date(date);
+  return Number.isNaN(parsed.getTime()) ? String(date) : parsed.toISOString().slice(0, 10);
+}
+
+function formatValue(value, suffix = '') {
+  return value === null || value === undefined ? '–' : `${value}${suffix}`;
+}
+
+function formatChange(diff) {
+  if (typeof diff !== 'number' || diff === 0) return '';
+  return diff > 0 ? `▲${diff}` : `▼${-diff}`;
+}
+
+function checkColor(name, value) {
+  if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+    throw new Error(`theme.${name} must be a CSS colour (#rrggbb, rgb(...), hsl(...) or a colour name)`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate theme settings, filling in the defaults
+ * @param {Object} theme - Theme overrides
+ * @param {Object} base - Theme to start from (default DEFAULT_REPORT_THEME)
+ * @returns {Object} Complete theme
+ * @throws {Error} On unknown settings or values that aren't colours / font lists
+ */
+export function resolveTheme(theme = {}, base = DEFAULT_REPORT_THEME) {
+  const resolved = { ...base, rankColors: { ...base.rankColors } };
+
+  for (const [name, value] of Object.entries(theme || {})) {
+    if (name === 'rankColors') {
+      for (const [bucket, color] of Object.entries(value || {})) {
+        if (!(bucket in DEFAULT_REPORT_THEME.rankColors)) {
+          throw new Error(`Unknown theme.rankColors bucket: ${bucket} (use ${Object.keys(DEFAULT_REPORT_THEME.rankColors).join(', ')})`);
+        }
+        resolved.rankColors[bucket] = checkColor(`rankColors.${bucket}`, color);
+      }
+    } else if (name === 'fontFamily') {
+      if (typeof value !== 'string' || !FONT_PATTERN.test(value)) {
+        throw new Error('theme.fontFamily must be a list of font names');
+      }
+      resolved.fontFamily = value;
+    } else if (name in DEFAULT_REPORT_THEME) {
+      resolved[name] = checkColor(name, value);
+    } else {
+      throw new Error(`Unknown theme setting: ${name}`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Turn a logo setting into a data: URI
+ * @param {string} logo - data: URI, or a file path when allowFiles is set
+ * @param {Object} options - { allowFiles, baseDir (for relative paths) }
+ * @returns {string|null} data: URI
+ */
+export function resolveLogo(logo, options = {}) {
+  const { allowFiles = false, baseDir = process.cwd() } = options;
+  if (!logo) return null;
+  if (typeof logo !== 'string') throw new Error('branding.logo must be a string');
+
+  if (logo.startsWith('data:')) {
+    if (!LOGO_DATA_URI_PATTERN.test(logo)) {
+      throw new Error('branding.logo must be a base64 data:image/... URI (png, jpeg, gif, webp or svg+xml)');
+    }
+    return logo;
+  }
+  if (/^[a-z]+:\/\//i.test(logo)) {
+    throw new Error('branding.logo must be a file or data: URI; reports don\'t load external assets');
+  }
+  if (!allowFiles) {
+    throw new Error('branding.logo must be a data: URI here (logo files are only read from config files)');
+  }
+
+  const type = LOGO_TYPES[extname(logo).toLowerCase()];
+  if (!type) {
+    throw new Error(`Unsupported logo file type: ${logo} (use ${Object.keys(LOGO_TYPES).join(', ')})`);
+  }
+  try {
+    return `data:${type};base64,${readFileSync(resolve(baseDir, logo)).toString('base64')}`;
+  } catch (error) {
+    throw new Error(`Failed to read logo ${logo}: ${error.message}`);
+  }
+}
+
+function resolveBranding(branding = {}, base, logoOptions) {
+  const resolved = { ...base };
+
+  for (const [name, value] of Object.entries(branding || {})) {
+    if (!(name in DEFAULT_REPORT_BRANDING)) {
+      throw new Error(`Unknown branding setting: ${name}`);
+    }
+    if (name === 'logo') {
+      resolved.logo = resolveLogo(value, logoOptions);
+    } else if (value !== null && typeof value !== 'string') {
+      throw new Error(`branding.${name} must be a string`);
+    } else {
+      resolved[name] = value;
+    }
+  }
+
+  return resolved;
+}
+
+function parseConfigJson(raw, source) {
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${source} must be a JSON object with theme and/or branding`);
+  }
+  return config;
+}
+
+/**
+ * Load the report theme and branding
+ * @param {Object} options - Config sources, applied in order after the defaults
+ * @param {string} options.configFile - JSON config file (default REPORT_CONFIG_FILE)
+ * @param {Object} options.overrides - { theme, branding } of the request (logo only as a data: URI)
+ * @returns {Object} { theme, branding }
+ */
+export function loadReportConfig(options = {}) {
+  let theme = DEFAULT_REPORT_THEME;
+  let branding = DEFAULT_REPORT_BRANDING;
+
+  const apply = (config, logoOptions) => {
+    theme = resolveTheme(config.theme, theme);
+    branding = resolveBranding(config.branding, branding, logoOptions);
+  };
+
+  const configFile = options.configFile || process.env.REPORT_CONFIG_FILE;
+  if (configFile) {
+    let raw;
+    try {
+      raw = readFileSync(configFile, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read report config ${configFile}: ${error.message}`);
+    }
+    apply(parseConfigJson(raw, configFile), { allowFiles: true, baseDir: dirname(resolve(configFile)) });
+  }
+  if (process.env.REPORT_CONFIG) {
+    apply(parseConfigJson(process.env.REPORT_CONFIG, 'REPORT_CONFIG'), { allowFiles: true });
+  }
+  if (options.overrides) {
+    apply(options.overrides, { allowFiles: false });
+  }
+
+  return { theme, branding };
+}
+
+/**
+ * Fetch everything a report shows: the campaign and the heatmap of each keyword
+ * @param {SemrushMapRankClient} client - API client (or caching client)
+ * @param {Object} params - Request parameters
+ * @param {string} params.campaignId - Campaign ID
+ * @param {Array<string>} params.keywordIds - Keywords to include (default every keyword)
+ * @param {string} params.cid - Business ID (optional; default the campaign's business)
+ * @param {string} params.placeIds - Place IDs (optional; default the campaign's business)
+ * @param {string} params.reportDate - Report date (optional; default the latest report)
+ * @param {number} params.concurrency - Maximum parallel heatmap requests
+ * @param {boolean} params.noCache - Bypass the response cache
+ * @returns {Promise<Object>} { campaign, reportDate, keywords: [{ keywordId, keywordName, status, heatmap?, error? }] }
+ * @throws The campaign error when the campaign can't be loaded
+ */
+export async function fetchReportData(client, params) {
+  const { campaignId, keywordIds, reportDate } = params;
+
+  const campaign = (await client.getCampaign(campaignId)).data;
+  const business = params.cid ? { cid: params.cid }
+    : params.placeIds ? { placeIds: params.placeIds }
+      : getCampaignBusiness(campaign);
+  if (!business) {
+    throw new Error('Campaign has no business cid or placeId (pass cid or placeIds)');
+  }
+
+  const batch = await fetchHeatmapBatch(client, {
+    campaignId,
+    ...(keywordIds?.length ? { keywordIds } : { allKeywords: true }),
+    ...business,
+    reportDate,
+    concurrency: params.concurrency,
+    noCache: params.noCache
+  });
+
+  const keywords = batch.results.map(result => ({
+    keywordId: result.keywordId,
+    keywordName: result.keywordName ?? null,
+    status: result.status ?? null,
+    ...(result.success ? { heatmap: result.data } : { error: result.error })
+  }));
+  const dates = keywords.map(keyword => keyword.heatmap?.data?.date).filter(Boolean).sort();
+
+  return { campaign, reportDate: reportDate || dates[dates.length - 1] || null, keywords };
+}
+
+/**
+ * Render the rank grid of a heatmap as inline SVG: one circle per point coloured by rank,
+ * the rank inside and the change since the previous report as an arrow badge
+ * @param {Object} heatmap - Heatmap response
+ * @param {Object} theme - Resolved theme
+ * @returns {string} SVG element
+ */
+export function renderReportGridSVG(heatmap, theme = DEFAULT_REPORT_THEME) {
+  const matrix = toGridMatrix(heatmap);
+  if (matrix.length === 0) {
+    return '<p class="muted">No grid points in this report.</p>';
+  }
+
+  const rows = matrix.length;
+  const columns = matrix[0].length;
+  const width = columns * CELL_SIZE;
+  const height = rows * CELL_SIZE;
+  const radius = CELL_SIZE * 0.4;
+  const centerRow = Math.floor(rows / 2);
+  const centerColumn = Math.floor(columns / 2);
+
+  const cells = matrix.flatMap((row, rowIndex) => row.map((item, columnIndex) => {
+    if (!item) return '';
+
+    const cx = columnIndex * CELL_SIZE + CELL_SIZE / 2;
+    const cy = rowIndex * CELL_SIZE + CELL_SIZE / 2;
+    const label = formatRank(item.position);
+    const change = formatChange(item.diff);
+    const isCenter = rowIndex === centerRow && columnIndex === centerColumn && rows % 2 === 1 && columns % 2 === 1;
+    const title = `Rank ${label}${change ? ` (${item.diff > 0 ? '+' : ''}${item.diff} since the previous report)` : ''}${isCenter ? ', business location' : ''}`;
+
+    return `<g><title>${escapeXml(title)}</title>`
+      + `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${theme.rankColors[getRankBucket(item.position).id]}"`
+      + `${isCenter ? ` stroke="${theme.primaryColor}" stroke-width="3"` : ''}/>`
+      + `<text x="${cx}" y="${cy}" dy="0.35em" text-anchor="middle" font-size="${label.length > 2 ? 12 : 15}" font-weight="bold" fill="#ffffff">${escapeXml(label)}</text>`
+      + (change
+        ? `<text x="${cx + radius}" y="${cy - radius + 4}" text-anchor="middle" font-size="10" font-weight="bold" fill="${item.diff > 0 ? theme.improvedColor : theme.declinedColor}">${change}</text>`
+        : '')
+      + '</g>';
+  })).join('');
+
+  return `<svg class="grid" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="-6 -6 ${width + 12} ${height + 12}" role="img" aria-label="Rank grid">${cells}</svg>`;
+}
+
+function metricRows(metrics) {
+  return [
+    ['Average rank (ARP)', formatValue(metrics.arp)],
+    ['Average total rank (ATRP)', formatValue(metrics.atrp)],
+    ['Share of local voice (top 3)', formatValue(metrics.solv, '%')],
+    ['Coverage', formatValue(metrics.coverage, '%')],
+    ['Points in the top 3 / top 10', `${metrics.top3Points} / ${metrics.top10Points}`],
+    ['Points not ranking', metrics.notRankingPoints],
+    ['Improved / declined points', `${metrics.improvedPoints} / ${metrics.declinedPoints}`],
+    ['Average change', formatValue(metrics.averageDiff)]
+  ].map(([label, value]) => `<tr><th>${escapeXml(label)}</th><td>${escapeXml(value)}</td></tr>`).join('');
+}
+
+function renderKeywordSection(keyword, theme) {
+  const name = escapeXml(keyword.keywordName || keyword.keywordId);
+
+  if (!keyword.heatmap) {
+    return `<section class="keyword"><h2>${name}</h2><p class="muted">Not available: ${escapeXml(keyword.error?.message)}</p></section>`;
+  }
+
+  const metrics = computeHeatmapMetrics(keyword.heatmap);
+  const geometry = buildGridGeometry(keyword.heatmap);
+  const rings = (geometry?.rings || []).map(ring =>
+    `<tr><th>Within ${ring.radiusKm} km</th><td>${ring.points}</td><td>${formatValue(ring.arp)}</td><td>${formatValue(ring.solv, '%')}</td></tr>`).join('');
+
+  return `<section class="keyword">
+<h2>${name}</h2>
+<p class="muted">${escapeXml(formatDate(keyword.heatmap.data?.date))}${geometry ? ` · ${geometry.rows}×${geometry.columns} grid, ${geometry.spacing.km} km spacing` : ''}</p>
+<div class="columns">
+<div>${renderReportGridSVG(keyword.heatmap, theme)}</div>
+<div>
+<table class="metrics">${metricRows(metrics)}</table>
+${rings ? `<table class="rings"><thead><tr><th>Distance</th><th>Points</th><th>ARP</th><th>Top 3</th></tr></thead><tbody>${rings}</tbody></table>` : ''}
+</div>
+</div>
+</section>`;
+}
+
+function renderSummaryTable(keywords) {
+  const rows = keywords.map((keyword) => {
+    const name = escapeXml(keyword.keywordName || keyword.keywordId);
+    if (!keyword.heatmap) {
+      return `<tr><td>${name}</td><td colspan="5" class="muted">Not available</td></tr>`;
+    }
+    const metrics = computeHeatmapMetrics(keyword.heatmap);
+    const change = metrics.averageDiff;
+    const changeClass = change > 0 ? 'improved' : change < 0 ? 'declined' : '';
+    return `<tr><td>${name}</td><td>${formatValue(metrics.arp)}</td><td>${formatValue(metrics.atrp)}</td>`
+      + `<td>${formatValue(metrics.solv, '%')}</td><td>${formatValue(metrics.coverage, '%')}</td>`
+      + `<td class="${changeClass}">${escapeXml(formatChange(change) || formatValue(change))}</td></tr>`;
+  }).join('');
+
+  return `<table class="summary"><thead><tr><th>Keyword</th><th>ARP</th><th>ATRP</th><th>Top 3</th><th>Coverage</th><th>Change</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderStyles(theme) {
+  return `:root{--primary:${theme.primaryColor};--text:${theme.textColor};--muted:${theme.mutedColor};--bg:${theme.background};--surface:${theme.surfaceColor};--border:${theme.borderColor};--improved:${theme.improvedColor};--declined:${theme.declinedColor}}
+*{box-sizing:border-box}
+body{margin:0;padding:32px;background:var(--bg);color:var(--text);font-family:${theme.fontFamily};font-size:14px;line-height:1.45}
+main{max-width:960px;margin:0 auto}
+header{display:flex;align-items:center;gap:16px;border-bottom:3px solid var(--primary);padding-bottom:16px;margin-bottom:24px}
+header img{max-height:56px;max-width:200px}
+header h1{margin:0;font-size:24px;color:var(--primary)}
+h2{color:var(--primary);margin:0 0 4px}
+.muted{color:var(--muted)}
+.card{background:var(--surface);border:1px solid var(--border);border-radius:8px;padding:16px 20px;margin-bottom:24px}
+.card dl{display:grid;grid-template-columns:max-content 1fr;gap:4px 16px;margin:8px 0 0}
+.card dt{color:var(--muted)}
+.card dd{margin:0}
+table{border-collapse:collapse;width:100%;margin-bottom:16px}
+th,td{text-align:left;padding:6px 10px;border-bottom:1px solid var(--border)}
+thead th{background:var(--surface)}
+.metrics th{font-weight:normal;color:var(--muted)}
+.improved{color:var(--improved);font-weight:bold}
+.declined{color:var(--declined);font-weight:bold}
+.keyword{border-top:1px solid var(--border);padding-top:20px;margin-top:24px;page-break-inside:avoid}
+.columns{display:flex;flex-wrap:wrap;gap:24px;align-items:flex-start;margin-top:12px}
+.columns>div:last-child{flex:1;min-width:280px}
+.legend{display:flex;gap:16px;margin:8px 0 0;padding:0;list-style:none}
+.legend span{display:inline-block;width:12px;height:12px;border-radius:50%;margin-right:6px;vertical-align:middle}
+footer{margin-top:32px;padding-top:12px;border-top:1px solid var(--border);color:var(--muted);font-size:12px}
+@media print{body{padding:0}}`;
+}
+
+/**
+ * Render a report as a self-contained HTML document
+ * @param {Object} report - Report data from fetchReportData
+ * @param {Object} config - { theme, branding } from loadReportConfig (default the built-in look)
+ * @param {Object} options - { generatedAt }
+ * @returns {string} HTML document
+ */
+export function renderReportHTML(report, config = {}, options = {}) {
+  const theme = config.theme || DEFAULT_REPORT_THEME;
+  const branding = config.branding || DEFAULT_REPORT_BRANDING;
+  const generatedAt = options.generatedAt || new Date().toISOString();
+  const { campaign = {}, keywords = [] } = report;
+  const business = campaign?.business || {};
+
+  const details = [
+    ['Address', business.address],
+    ['Country', campaign?.countryCode],
+    ['Grid', campaign?.gridSize ? `${campaign.gridSize}×${campaign.gridSize} points, ${campaign.gridStep} ${campaign.gridStepUnit || 'km'} apart` : null],
+    ['Keywords', keywords.length],
+    ['Report date', formatDate(report.reportDate)]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `<dt>${escapeXml(label)}</dt><dd>${escapeXml(value)}</dd>`).join('');
+
+  const legend = RANK_BUCKETS.map(bucket =>
+    `<li><span style="background:${theme.rankColors[bucket.id]}"></span>${escapeXml(bucket.label)}</li>`).join('')
+    + `<li class="improved">▲ improved</li><li class="declined">▼ declined</li>`;
+
+  const title = [branding.title, business.name].filter(Boolean).join(' – ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)}</title>
+<style>
+${renderStyles(theme)}
+</style>
+</head>
+<body>
+<main>
+<header>
+${branding.logo ? `<img src="${escapeXml(branding.logo)}" alt="${escapeXml(branding.name || 'Logo')}">` : ''}
+<div>
+<h1>${escapeXml(branding.title)}</h1>
+${branding.name ? `<div class="muted">${escapeXml(branding.name)}</div>` : ''}
+</div>
+</header>
+<section class="card">
+<h2>${escapeXml(business.name || 'Business')}</h2>
+<dl>${details}</dl>
+</section>
+<h2>Summary</h2>
+${renderSummaryTable(keywords)}
+<ul class="legend">${legend}</ul>
+${keywords.map(keyword => renderKeywordSection(keyword, theme)).join('\n')}
+<footer>${branding.footer ? `${escapeXml(branding.footer)} · ` : ''}Generated ${escapeXml(generatedAt.slice(0, 16).replace('T', ' '))} UTC</footer>
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * File name of a report: report-<campaignId>-<YYYY-MM-DD>.html
+ * @param {Object} report - Report data from fetchReportData
+ * @returns {string} File name
+ */
+export function reportFileName(report) {
+  const date = report.reportDate ? formatDate(report.reportDate) : new Date().toISOString().slice(0, 10);
+  return `report-${report.campaign?.id || 'campaign'}-${date}.html`;
+}
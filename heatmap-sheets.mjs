@@ -0,0 +1,226 @@
+import axios from 'axios';
+import { readFileSync } from 'fs';
+import { JWT } from 'google-auth-library';
+import { toGridRows } from './heatmap-export.mjs';
+import { computeHeatmapMetrics } from './heatmap-metrics.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * Google Sheets export
+ * Writes heatmaps into a spreadsheet, one tab per keyword and report date ("travel agency 2024-07-05").
+ * Each tab starts with a summary block (keyword, date, business, metrics) followed by one row per
+ * grid point: lat, lng, rank, diff. Exporting the same keyword and date again overwrites its tab.
+ *
+ * Authentication uses a Google service-account key; share the spreadsheet with the service
+ * account's e-mail address as an editor. Requests are signed with the key itself (self-signed JWT
+ * with the Sheets scope), so there is no call to Google's token endpoint.
+ *
+ * Configuration:
+ * - GOOGLE_SERVICE_ACCOUNT_KEY: the key JSON (or base64 of it), or
+ *   GOOGLE_APPLICATION_CREDENTIALS: path of the key file
+ * - GOOGLE_SHEETS_SPREADSHEET_ID: default target spreadsheet
+ * - GOOGLE_SHEETS_API_URL: Sheets API base URL (default https://sheets.googleapis.com/v4), e.g. a local stub
+ */
+
+export const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+export const DEFAULT_SHEETS_API_URL = 'https://sheets.googleapis.com/v4';
+
+const GRID_HEADER = ['Lat', 'Lng', 'Rank', 'Diff'];
+// Characters Google Sheets does not allow in tab titles
+const INVALID_TITLE_CHARS = /[[\]*?:/\\]/g;
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Load the service-account key from options or environment configuration
+ * @param {Object} options - { credentials, keyFile }
+ * @returns {Object} Parsed key with client_email and private_key
+ */
+export function loadServiceAccountKey(options = {}) {
+  let key = options.credentials;
+
+  if (!key && !options.keyFile && process.env.GOOGLE_SERVICE_ACCOUNT_KEY) {
+    const raw = process.env.GOOGLE_SERVICE_ACCOUNT_KEY.trim();
+    try {
+      key = JSON.parse(raw.startsWith('{') ? raw : Buffer.from(raw, 'base64').toString('utf8'));
+    } catch (error) {
+      throw new Error(`GOOGLE_SERVICE_ACCOUNT_KEY is not a service-account key JSON: ${error.message}`);
+    }
+  }
+
+  const keyFile = options.keyFile || process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  if (!key && keyFile) {
+    try {
+      key = JSON.parse(readFileSync(keyFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read service-account key ${keyFile}: ${error.message}`);
+    }
+  }
+
+  if (!key) {
+    throw new Error('Google service-account key is not configured (set GOOGLE_SERVICE_ACCOUNT_KEY or GOOGLE_APPLICATION_CREDENTIALS)');
+  }
+  if (!key.client_email || !key.private_key) {
+    throw new Error('Google service-account key must contain client_email and private_key');
+  }
+  return key;
+}
+
+/**
+ * Get the tab title of a heatmap: keyword name and report date
+ * @param {Object} heatmap - Heatmap response
+ * @returns {string} Title valid in Google Sheets
+ */
+export function sheetTitle(heatmap) {
+  const data = heatmap?.data ?? heatmap;
+  const keyword = data?.keyword?.name || data?.keyword?.id || 'heatmap';
+  const date = data?.date ? String(data.date).slice(0, 10) : 'latest';
+  const suffix = ` ${date}`;
+
+  return `${keyword.replace(INVALID_TITLE_CHARS, ' ').trim().slice(0, MAX_TITLE_LENGTH - suffix.length)}${suffix}`;
+}
+
+/**
+ * Build the cell values of a heatmap tab: summary block, blank row, grid header and one row per point
+ * @param {Object} heatmap - Heatmap response
+ * @param {Object} context - { campaignId, business, exportedAt }
+ * @returns {Array<Array>} Rows of cell values
+ */
+export function buildSheetValues(heatmap, context = {}) {
+  const data = heatmap?.data ?? heatmap;
+  const metrics = computeHeatmapMetrics(heatmap);
+  const value = item => item ?? '';
+
+  const summary = [
+    ['Keyword', value(data?.keyword?.name)],
+    ['Report date', value(data?.date)],
+    ['Campaign', value(context.campaignId)],
+    ['Business', value(context.business)],
+    ['Points', metrics.totalPoints],
+    ['Ranking points', metrics.foundPoints],
+    ['ARP', value(metrics.arp)],
+    ['ATRP', value(metrics.atrp)],
+    ['SoLV (%)', value(metrics.solv)],
+    ['Coverage (%)', value(metrics.coverage)],
+    ['Improved points', metrics.improvedPoints],
+    ['Declined points', metrics.declinedPoints],
+    ['Exported at', context.exportedAt || new Date().toISOString()]
+  ];
+
+  const grid = toGridRows(heatmap).map(row => [row.lat, row.lng, row.position ?? row.rank, value(row.diff)]);
+
+  return [...summary, [], GRID_HEADER, ...grid];
+}
+
+/**
+ * Create a minimal Google Sheets API client
+ * @param {Object} options - Client options
+ * @param {Object} options.credentials - Service-account key (default from loadServiceAccountKey)
+ * @param {string} options.keyFile - Path of the service-account key file
+ * @param {string} options.apiUrl - Sheets API base URL (default GOOGLE_SHEETS_API_URL or the public endpoint)
+ * @param {number} options.timeout - Request timeout in ms (default 15000)
+ * @param {Object} options.httpClient - axios-compatible instance
+ * @returns {Object} Client with getSheetTitles, addSheets, clearRanges and writeValues
+ */
+export function createSheetsClient(options = {}) {
+  const {
+    apiUrl = process.env.GOOGLE_SHEETS_API_URL || DEFAULT_SHEETS_API_URL,
+    timeout = 15000,
+    httpClient = axios
+  } = options;
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+  const key = loadServiceAccountKey(options);
+  const auth = new JWT({
+    email: key.client_email,
+    key: key.private_key,
+    keyId: key.private_key_id,
+    scopes: [SHEETS_SCOPE]
+  });
+  // Sign requests with the key instead of exchanging it for an access token
+  auth.useJWTAccessWithScope = true;
+
+  async function request(method, path, data) {
+    const url = `${baseUrl}/spreadsheets/${path}`;
+    const headers = await auth.getRequestHeaders(url);
+
+    try {
+      const response = await logger.time('Google Sheets request', () =>
+        httpClient.request({ method, url, data, headers, timeout }), { method, path });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      throw new Error(`Google Sheets API error: ${message}`, { cause: error });
+    }
+  }
+
+  return {
+    async getSheetTitles(spreadsheetId) {
+      const body = await request('GET', `${encodeURIComponent(spreadsheetId)}?fields=sheets.properties.title`);
+      return (body.sheets || []).map(sheet => sheet.properties.title);
+    },
+
+    async addSheets(spreadsheetId, titles) {
+      if (titles.length === 0) return;
+      await request('POST', `${encodeURIComponent(spreadsheetId)}:batchUpdate`, {
+        requests: titles.map(title => ({ addSheet: { properties: { title } } }))
+      });
+    },
+
+    async clearRanges(spreadsheetId, ranges) {
+      if (ranges.length === 0) return;
+      await request('POST', `${encodeURIComponent(spreadsheetId)}/values:batchClear`, { ranges });
+    },
+
+    async writeValues(spreadsheetId, data) {
+      await request('POST', `${encodeURIComponent(spreadsheetId)}/values:batchUpdate`, {
+        valueInputOption: 'RAW',
+        data
+      });
+    }
+  };
+}
+
+function quoteTitle(title) {
+  return `'${title.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Write heatmaps to a spreadsheet, one tab per keyword and report date
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @param {Object} options - Export options
+ * @param {string} options.spreadsheetId - Target spreadsheet (default GOOGLE_SHEETS_SPREADSHEET_ID)
+ * @param {Object} options.context - { campaignId, business } shown in the summary block
+ * @param {Object} options.client - Sheets client (default createSheetsClient(options))
+ * @returns {Promise<Object>} { spreadsheetId, spreadsheetUrl, tabs: [{ title, rows, created }] }
+ */
+export async function exportHeatmapsToSheet(heatmaps, options = {}) {
+  const spreadsheetId = options.spreadsheetId || process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
+  if (!spreadsheetId) {
+    throw new Error('spreadsheetId (or GOOGLE_SHEETS_SPREADSHEET_ID) is required for the Google Sheets export');
+  }
+
+  const list = Array.isArray(heatmaps) ? heatmaps : [heatmaps];
+  const client = options.client || createSheetsClient(options);
+  const exportedAt = new Date().toISOString();
+
+  // Later heatmaps win when two share a keyword and date
+  const tabs = new Map();
+  for (const heatmap of list) {
+    tabs.set(sheetTitle(heatmap), buildSheetValues(heatmap, { ...options.context, exportedAt }));
+  }
+
+  const existing = new Set(await client.getSheetTitles(spreadsheetId));
+  const titles = [...tabs.keys()];
+  const created = titles.filter(title => !existing.has(title));
+
+  await client.addSheets(spreadsheetId, created);
+  await client.clearRanges(spreadsheetId, titles.filter(title => existing.has(title)).map(quoteTitle));
+  await client.writeValues(spreadsheetId, titles.map(title => ({ range: `${quoteTitle(title)}!A1`, values: tabs.get(title) })));
+
+  logger.info('Heatmaps exported to Google Sheets', { spreadsheetId, tabs: titles.length, created: created.length });
+
+  return {
+    spreadsheetId,
+    spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
+    tabs: titles.map(title => ({ title, rows: tabs.get(title).length, created: created.includes(title) }))
+  };
+}
@@ -0,0 +1,297 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { mapWithConcurrency } from './heatmap-batch.mjs';
+
+/**
+ * Scheduled heatmap snapshots
+ * Archives the latest heatmap of every keyword of every campaign to a storage sink,
+ * so rank history is kept independently of how long Semrush keeps old reports.
+ *
+ * Snapshots are written as <campaignId>/<keywordId>/<YYYY-MM-DD>.json (under an optional
+ * prefix) and contain the heatmap response plus a `snapshot` block describing the run.
+ * Report dates that are already archived are skipped.
+ *
+ * Sinks implement exists(path), write(path, body), read(path) and list(prefix):
+ * - directory: local directory (CLI, tests)
+ * - s3:        S3 or any S3-compatible object store (SNAPSHOT_S3_ENDPOINT)
+ */
+
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Create a sink that writes snapshots below a local directory
+ * @param {string} directory - Root directory
+ * @returns {Object} Snapshot sink
+ */
+export function createDirectorySnapshotSink(directory) {
+  return {
+    type: 'directory',
+    description: directory,
+
+    async exists(path) {
+      return existsSync(join(directory, path));
+    },
+
+    async write(path, body) {
+      const file = join(directory, path);
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, body);
+    },
+
+    async read(path) {
+      return readFileSync(join(directory, path), 'utf8');
+    },
+
+    async list(prefix) {
+      const folder = join(directory, prefix);
+      if (!existsSync(folder)) return [];
+      return readdirSync(folder).map(name => `${prefix}${name}`);
+    }
+  };
+}
+
+/**
+ * Create a sink that writes snapshots to an S3 bucket.
+ * Uses the AWS SDK v3 bundled with the Lambda runtime unless a client is passed.
+ * @param {Object} options - Sink options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.prefix - Key prefix (default none)
+ * @param {string} options.endpoint - Endpoint of an S3-compatible store (path-style addressing)
+ * @param {Object} options.client - S3 client with send(command), mainly for tests
+ * @returns {Object} Snapshot sink
+ */
+export function createS3SnapshotSink({ bucket, prefix = '', endpoint = null, client = null }) {
+  if (!bucket) {
+    throw new Error('bucket is required for the S3 snapshot sink');
+  }
+
+  const keyPrefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+  let sdk = null;
+  let s3 = client;
+
+  async function getS3() {
+    if (!sdk) {
+      try {
+        sdk = await import('@aws-sdk/client-s3');
+      } catch (error) {
+        throw new Error('@aws-sdk/client-s3 is not available. Install it or use a directory snapshot sink.');
+      }
+    }
+    if (!s3) {
+      s3 = new sdk.S3Client(endpoint ? { endpoint, forcePathStyle: true } : {});
+    }
+    return s3;
+  }
+
+  return {
+    type: 's3',
+    description: `s3://${bucket}/${keyPrefix}`,
+
+    async exists(path) {
+      const s3Client = await getS3();
+      try {
+        await s3Client.send(new sdk.HeadObjectCommand({ Bucket: bucket, Key: `${keyPrefix}${path}` }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+
+    async write(path, body) {
+      const s3Client = await getS3();
+      await s3Client.send(new sdk.PutObjectCommand({
+        Bucket: bucket,
+        Key: `${keyPrefix}${path}`,
+        Body: body,
+        ContentType: 'application/json'
+      }));
+    },
+
+    async read(path) {
+      const s3Client = await getS3();
+      const response = await s3Client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: `${keyPrefix}${path}` }));
+      return response.Body.transformToString();
+    },
+
+    async list(prefix) {
+      const s3Client = await getS3();
+      const paths = [];
+      let ContinuationToken;
+      do {
+        const response = await s3Client.send(new sdk.ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: `${keyPrefix}${prefix}`,
+          ContinuationToken
+        }));
+        for (const object of response.Contents || []) {
+          paths.push(object.Key.slice(keyPrefix.length));
+        }
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return paths;
+    }
+  };
+}
+
+/**
+ * Create a snapshot sink from options or environment configuration.
+ * SNAPSHOT_SINK selects directory (SNAPSHOT_DIR) or s3 (SNAPSHOT_BUCKET, SNAPSHOT_PREFIX, SNAPSHOT_S3_ENDPOINT);
+ * without it, SNAPSHOT_BUCKET implies s3 and SNAPSHOT_DIR implies directory.
+ * @param {Object} options - { type, directory, bucket, prefix, endpoint, client }
+ * @returns {Object} Snapshot sink
+ */
+export function createSnapshotSink(options = {}) {
+  const bucket = options.bucket || process.env.SNAPSHOT_BUCKET;
+  const directory = options.directory || process.env.SNAPSHOT_DIR;
+  const type = options.type || process.env.SNAPSHOT_SINK || (bucket ? 's3' : 'directory');
+
+  switch (type) {
+    case 'directory':
+      if (!directory) throw new Error('SNAPSHOT_DIR (or SNAPSHOT_BUCKET) must be set to archive snapshots');
+      return createDirectorySnapshotSink(directory);
+    case 's3':
+      return createS3SnapshotSink({
+        bucket,
+        prefix: options.prefix ?? process.env.SNAPSHOT_PREFIX ?? '',
+        endpoint: options.endpoint || process.env.SNAPSHOT_S3_ENDPOINT || null,
+        client: options.client
+      });
+    default:
+      throw new Error(`Unknown snapshot sink: ${type}`);
+  }
+}
+
+/**
+ * Build the archive path of a snapshot
+ * @param {string} campaignId - Campaign ID
+ * @param {string} keywordId - Keyword ID
+ * @param {string} reportDate - Report date (only the day is used)
+ * @returns {string} Relative path
+ */
+export function snapshotPath(campaignId, keywordId, reportDate) {
+  const day = new Date(reportDate).toISOString().slice(0, 10);
+  return `${encodeURIComponent(campaignId)}/${encodeURIComponent(keywordId)}/${day}.json`;
+}
+
+/**
+ * Read the archived heatmaps of a keyword
+ * @param {Object} sink - Snapshot sink
+ * @param {string} campaignId - Campaign ID
+ * @param {string} keywordId - Keyword ID
+ * @param {Object} options - { from, to } report date range (inclusive, optional)
+ * @returns {Promise<Array<Object>>} Snapshots sorted by report date
+ */
+export async function readSnapshots(sink, campaignId, keywordId, options = {}) {
+  const from = options.from ? new Date(options.from).toISOString().slice(0, 10) : null;
+  const to = options.to ? new Date(options.to).toISOString().slice(0, 10) : null;
+  const prefix = `${encodeURIComponent(campaignId)}/${encodeURIComponent(keywordId)}/`;
+
+  const paths = (await sink.list(prefix))
+    .filter(path => /\/\d{4}-\d{2}-\d{2}\.json$/.test(path))
+    .filter(path => {
+      const day = path.slice(-15, -5);
+      return (!from || day >= from) && (!to || day <= to);
+    })
+    .sort();
+
+  const snapshots = [];
+  for (const path of paths) {
+    snapshots.push(JSON.parse(await sink.read(path)));
+  }
+  return snapshots;
+}
+
+/**
+ * Get the heatmap business parameters of a campaign
+ * @param {Object} campaign - Campaign object from the campaign list or details
+ * @returns {Object|null} { cid } or { placeIds }, or null if the campaign has no business ID
+ */
+export function getCampaignBusiness(campaign) {
+  const business = campaign?.business || {};
+  if (business.cid) return { cid: String(business.cid) };
+  if (business.placeId) return { placeIds: String(business.placeId) };
+  return null;
+}
+
+/**
+ * Archive the latest heatmap of every keyword of every campaign
+ * @param {SemrushMapRankClient} client - API client
+ * @param {Object} sink - Snapshot sink (see createSnapshotSink)
+ * @param {Object} options - Run options
+ * @param {Array<string>} options.campaignIds - Only archive these campaigns (default all)
+ * @param {number} options.concurrency - Parallel heatmap requests per campaign (default 3)
+ * @param {Function} options.onWritten - async ({ campaign, keywordId, keywordName, heatmap, path }) called for every
+ *   new snapshot; properties of the returned object are added to the run entry
+ * @returns {Promise<Object>} Run summary with one entry per keyword
+ */
+export async function archiveSnapshots(client, sink, options = {}) {
+  const { campaignIds = null, onWritten = null } = options;
+  const concurrency = Number(options.concurrency || process.env.SNAPSHOT_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  const startedAt = new Date().toISOString();
+  const entries = [];
+  let campaignCount = 0;
+
+  for await (const listed of client.iterateCampaigns()) {
+    if (campaignIds && !campaignIds.includes(listed.id)) continue;
+    campaignCount++;
+
+    try {
+      let business = getCampaignBusiness(listed);
+      if (!business) {
+        const details = await client.getCampaign(listed.id);
+        business = getCampaignBusiness(details.data);
+      }
+      if (!business) {
+        entries.push({ campaignId: listed.id, status: 'failed', error: 'Campaign has no business cid or placeId' });
+        continue;
+      }
+
+      const keywords = await client.getKeywords(listed.id, null, { noCache: true });
+      const results = await mapWithConcurrency(keywords.data?.keywords || [], concurrency, async (item) => {
+        const keywordId = item.keyword.id;
+        try {
+          const heatmap = await client.getHeatmap(listed.id, { keywordId, ...business }, { noCache: true });
+          const reportDate = heatmap.data?.date;
+          if (!reportDate) {
+            return { campaignId: listed.id, keywordId, status: 'failed', error: 'Heatmap has no report date' };
+          }
+
+          const path = snapshotPath(listed.id, keywordId, reportDate);
+          if (await sink.exists(path)) {
+            return { campaignId: listed.id, keywordId, reportDate, path, status: 'skipped' };
+          }
+
+          await sink.write(path, JSON.stringify({
+            snapshot: { campaignId: listed.id, keywordId, keywordName: item.keyword.name, ...business, archivedAt: new Date().toISOString() },
+            ...heatmap
+          }, null, 2));
+          const entry = { campaignId: listed.id, keywordId, reportDate, path, status: 'written' };
+          if (onWritten) {
+            Object.assign(entry, await onWritten({ campaign: listed, keywordId, keywordName: item.keyword.name, heatmap, path }));
+          }
+          return entry;
+        } catch (error) {
+          return { campaignId: listed.id, keywordId, status: 'failed', error: error.message };
+        }
+      });
+
+      entries.push(...results);
+    } catch (error) {
+      entries.push({ campaignId: listed.id, status: 'failed', error: error.message });
+    }
+  }
+
+  const count = status => entries.filter(entry => entry.status === status).length;
+
+  return {
+    sink: sink.description,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    campaigns: campaignCount,
+    written: count('written'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    entries
+  };
+}
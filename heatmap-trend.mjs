@@ -0,0 +1,243 @@
+import { computeHeatmapMetrics } from './heatmap-metrics.mjs';
+import { escapeCsv } from './heatmap-export.mjs';
+import { mapWithConcurrency } from './heatmap-batch.mjs';
+import { NotFoundError } from './semrush-client.mjs';
+
+/**
+ * Rank trends over time
+ * Collects the heatmaps of one keyword across a date range, either from the Semrush API
+ * or from archived snapshots (see heatmap-snapshot.mjs), and turns them into a time
+ * series of grid-rank metrics with significant drops flagged.
+ *
+ * Per-date metrics:
+ * - averageRank: ARP, mean rank of the points where the business was found
+ * - top3Share:   % of points ranking 1-3 (SoLV)
+ * - foundRatio:  % of points where the business was found
+ *
+ * A drop is flagged when a metric gets worse than the previous report by more than its threshold.
+ */
+
+export const DEFAULT_DROP_THRESHOLDS = {
+  averageRank: 2,
+  top3Share: 10,
+  foundRatio: 10
+};
+
+const DEFAULT_INTERVAL_DAYS = 7;
+// Most report dates one API trend request may fetch
+export const MAX_CANDIDATE_DATES = 60;
+const FETCH_CONCURRENCY = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Direction in which each tracked metric gets worse
+const WORSE_WHEN = {
+  averageRank: 'higher',
+  top3Share: 'lower',
+  foundRatio: 'lower'
+};
+
+const CSV_COLUMNS = [
+  'date', 'average_rank', 'average_total_rank', 'top3_share', 'top10_share',
+  'found_ratio', 'found_points', 'total_points', 'drops'
+];
+
+function toDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse drop thresholds given as an object, JSON string or "metric=value,..." list
+ * @param {Object|string} value - Threshold overrides
+ * @returns {Object} Thresholds merged with the defaults
+ */
+export function parseThresholds(value) {
+  if (!value) return { ...DEFAULT_DROP_THRESHOLDS };
+
+  let overrides = value;
+  if (typeof value === 'string') {
+    overrides = value.trim().startsWith('{')
+      ? JSON.parse(value)
+      : Object.fromEntries(value.split(',').map(pair => pair.split('=').map(part => part.trim())));
+  }
+
+  const thresholds = { ...DEFAULT_DROP_THRESHOLDS };
+  for (const [name, threshold] of Object.entries(overrides)) {
+    if (!(name in WORSE_WHEN)) {
+      throw new Error(`Unknown threshold metric: ${name}. Use one of: ${Object.keys(WORSE_WHEN).join(', ')}`);
+    }
+    if (!Number.isFinite(Number(threshold)) || Number(threshold) < 0) {
+      throw new Error(`Threshold for ${name} must be a non-negative number`);
+    }
+    thresholds[name] = Number(threshold);
+  }
+  return thresholds;
+}
+
+/**
+ * List the dates to request from the API: every `intervalDays` from `from`, plus `to`
+ * @param {string} from - Range start
+ * @param {string} to - Range end
+ * @param {number} intervalDays - Step between dates
+ * @returns {Array<string>} ISO dates (YYYY-MM-DD)
+ */
+export function listCandidateDates(from, to, intervalDays = DEFAULT_INTERVAL_DAYS) {
+  const start = Date.parse(toDay(from));
+  const end = Date.parse(toDay(to));
+  if (start > end) {
+    throw new Error('from must not be after to');
+  }
+
+  const step = Math.max(Math.floor(Number(intervalDays) || DEFAULT_INTERVAL_DAYS), 1) * DAY_MS;
+  const dates = [];
+  for (let time = start; time <= end; time += step) {
+    dates.push(toDay(time));
+  }
+  if (dates[dates.length - 1] !== toDay(end)) {
+    dates.push(toDay(end));
+  }
+
+  if (dates.length > MAX_CANDIDATE_DATES) {
+    throw new Error(`Date range needs ${dates.length} requests (max ${MAX_CANDIDATE_DATES}); increase intervalDays or narrow the range`);
+  }
+  return dates;
+}
+
+/**
+ * Fetch the heatmaps of a keyword for a set of report dates.
+ * Dates the keyword wasn't tracked on are skipped, and dates that resolve to the
+ * same Semrush report are collapsed.
+ * @param {SemrushMapRankClient} client - API client
+ * @param {Object} params - campaignId, keywordId, cid, placeIds
+ * @param {Array<string>} dates - Report dates to request
+ * @returns {Promise<Object>} { heatmaps, skipped }
+ */
+export async function fetchTrendHeatmaps(client, params, dates) {
+  const { campaignId, keywordId, cid, placeIds } = params;
+
+  const results = await mapWithConcurrency(dates, FETCH_CONCURRENCY, async (reportDate) => {
+    // getKeywords(reportDate) tells whether the keyword was tracked on that date
+    const keywords = await client.getKeywords(campaignId, reportDate);
+    const tracked = (keywords.data?.keywords || []).some(item => item.keyword?.id === keywordId);
+    if (!tracked) {
+      return { reportDate, skipped: 'keyword not tracked' };
+    }
+
+    try {
+      return { reportDate, heatmap: await client.getHeatmap(campaignId, { keywordId, cid, placeIds, reportDate }) };
+    } catch (error) {
+      if (error instanceof NotFoundError) return { reportDate, skipped: 'no report' };
+      throw error;
+    }
+  });
+
+  const byReportDay = new Map();
+  for (const result of results) {
+    if (result.heatmap) {
+      byReportDay.set(toDay(result.heatmap.data?.date || result.reportDate), result.heatmap);
+    }
+  }
+
+  return {
+    heatmaps: [...byReportDay.values()],
+    skipped: results.filter(result => result.skipped).map(({ reportDate, skipped }) => ({ reportDate, reason: skipped }))
+  };
+}
+
+function findDrops(point, previous, thresholds) {
+  if (!previous) return [];
+
+  const drops = [];
+  for (const [metric, worseWhen] of Object.entries(WORSE_WHEN)) {
+    const current = point[metric];
+    const before = previous[metric];
+    if (typeof current !== 'number' || typeof before !== 'number') continue;
+
+    const worsening = worseWhen === 'higher' ? current - before : before - current;
+    if (worsening > thresholds[metric]) {
+      drops.push({
+        metric,
+        previous: before,
+        current,
+        change: Math.round((current - before) * 100) / 100,
+        threshold: thresholds[metric]
+      });
+    }
+  }
+  return drops;
+}
+
+/**
+ * Build a trend report from heatmaps of the same keyword and business
+ * @param {Array<Object>} heatmaps - Heatmap responses (any order)
+ * @param {Object} options - Report options
+ * @param {Object} options.thresholds - Drop thresholds (see DEFAULT_DROP_THRESHOLDS)
+ * @param {string} options.from - Range start, kept in the report
+ * @param {string} options.to - Range end, kept in the report
+ * @returns {Object} Trend report with one point per report date
+ */
+export function buildTrendReport(heatmaps, options = {}) {
+  const thresholds = { ...DEFAULT_DROP_THRESHOLDS, ...options.thresholds };
+  const sorted = heatmaps
+    .filter(heatmap => heatmap?.data?.date)
+    .sort((a, b) => Date.parse(a.data.date) - Date.parse(b.data.date));
+
+  const points = [];
+  for (const heatmap of sorted) {
+    const metrics = computeHeatmapMetrics(heatmap);
+    const point = {
+      date: heatmap.data.date,
+      averageRank: metrics.arp,
+      averageTotalRank: metrics.atrp,
+      top3Share: metrics.solv,
+      top10Share: metrics.top10Share,
+      foundRatio: metrics.coverage,
+      foundPoints: metrics.foundPoints,
+      totalPoints: metrics.totalPoints
+    };
+    point.drops = findDrops(point, points[points.length - 1], thresholds);
+    points.push(point);
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const change = {};
+  if (first && last && first !== last) {
+    for (const metric of Object.keys(WORSE_WHEN)) {
+      if (typeof first[metric] === 'number' && typeof last[metric] === 'number') {
+        change[metric] = Math.round((last[metric] - first[metric]) * 100) / 100;
+      }
+    }
+  }
+
+  return {
+    keyword: sorted[sorted.length - 1]?.data?.keyword ?? null,
+    from: options.from ?? first?.date ?? null,
+    to: options.to ?? last?.date ?? null,
+    thresholds,
+    reports: points.length,
+    change,
+    drops: points.flatMap(point => point.drops.map(drop => ({ date: point.date, ...drop }))),
+    points
+  };
+}
+
+/**
+ * Convert a trend report to CSV, one row per report date
+ * @param {Object} report - Trend report from buildTrendReport
+ * @returns {string} CSV text
+ */
+export function trendToCSV(report) {
+  const rows = report.points.map(point => [
+    point.date,
+    point.averageRank,
+    point.averageTotalRank,
+    point.top3Share,
+    point.top10Share,
+    point.foundRatio,
+    point.foundPoints,
+    point.totalPoints,
+    point.drops.map(drop => drop.metric).join(';')
+  ].map(escapeCsv).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
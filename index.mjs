@@ -1,4 +1,653 @@
-import axios from 'axios';
+import {
+  detectEventType,
+  extractParams,
+  isPreflightRequest,
+  resolveRoute,
+  buildResponse,
+  buildPreflightResponse,
+  isFlagSet,
+  parseList,
+  EventParseError,
+  EVENT_TYPES
+} from './api-gateway.mjs';
+import { createTokenStore, createTokenProvider } from './token-store.mjs';
+import { createProfileTokenStore, describeProfileConfigError, DEFAULT_PROFILE } from './token-profiles.mjs';
+import { SemrushMapRankClient, SemrushApiError, ValidationError, NetworkError, describeError } from './semrush-client.mjs';
+import { isBatchRequest, fetchHeatmapBatch } from './heatmap-batch.mjs';
+import { computeHeatmapMetrics } from './heatmap-metrics.mjs';
+import { buildGridGeometry } from './heatmap-geometry.mjs';
+import { exportHeatmap, EXPORT_FORMATS } from './heatmap-export.mjs';
+import { renderHeatmap, IMAGE_FORMATS } from './heatmap-render.mjs';
+import { compareHeatmaps } from './heatmap-compare.mjs';
+import { createCacheStore, createCachingClient, getCacheInfo } from './response-cache.mjs';
+import { createSnapshotSink, archiveSnapshots, readSnapshots } from './heatmap-snapshot.mjs';
+import { parseThresholds, listCandidateDates, fetchTrendHeatmaps, buildTrendReport, trendToCSV, MAX_CANDIDATE_DATES } from './heatmap-trend.mjs';
+import { fetchCompetitorHeatmaps, compareCompetitors } from './heatmap-competitors.mjs';
+import { buildCampaignOverview } from './heatmap-overview.mjs';
+import { loadReportConfig, fetchReportData, renderReportHTML, reportFileName } from './heatmap-report.mjs';
+import { validateRequest } from './request-schema.mjs';
+import { logger, withLogContext } from './logger.mjs';
+import { exportHeatmapsToSheet } from './heatmap-sheets.mjs';
+import { parseAlertRules, evaluateAlerts, previousFromDiff, buildAlertPayload, sendAlertWebhook } from './heatmap-alerts.mjs';
+
+// Token provider and client per profile ('' is the unnamed token set), reused across invocations of a
+// warm container so refreshed tokens and cached responses are kept. Only profiles that have tokens are
+// kept, and only the most recently used ones, so requests naming arbitrary profiles can't grow memory.
+const MAX_WARM_PROFILES = 20;
+const warmProfiles = new Map();
+
+// Named profiles need a {profile} placeholder in SEMRUSH_TOKEN_SECRET_ID; reported once per cold start
+const profileConfigError = describeProfileConfigError();
+if (profileConfigError) {
+  logger.warn('Token profiles are not available', { reason: profileConfigError });
+}
+
+function createProfileEntry(profile) {
+  // A secret ID template (semrush-tokens/{profile}) serves requests without a profile from "default"
+  const store = profile || process.env.SEMRUSH_TOKEN_SECRET_ID?.includes('{profile}')
+    ? createProfileTokenStore(profile || DEFAULT_PROFILE)
+    : createTokenStore();
+  const tokenProvider = createTokenProvider({ store });
+
+  return {
+    tokenProvider,
+    client: createCachingClient(new SemrushMapRankClient({ tokenProvider }), { store: createCacheStore(), namespace: profile })
+  };
+}
+
+/**
+ * Get the token provider and client of a profile that has tokens, keeping it warm
+ * @param {string} profile - Profile name ('' for the unnamed token set)
+ * @returns {Promise<Object|null>} { tokenProvider, client }, or null when the profile has no tokens
+ */
+async function loadProfile(profile = '') {
+  const entry = warmProfiles.get(profile) || createProfileEntry(profile);
+  warmProfiles.delete(profile);
+
+  if (!(await entry.tokenProvider.hasTokens())) {
+    return null;
+  }
+
+  warmProfiles.set(profile, entry);
+  if (warmProfiles.size > MAX_WARM_PROFILES) {
+    warmProfiles.delete(warmProfiles.keys().next().value);
+  }
+  return entry;
+}
+
+// Requests load their profile first (findMissingTokens), so it is normally warm here
+function getClient(profile = '') {
+  return (warmProfiles.get(profile) || createProfileEntry(profile)).client;
+}
+
+/**
+ * Fetch a single heatmap from the Semrush API (or the response cache)
+ * @param {SemrushMapRankClient} client - API client
+ * @param {Object} params - campaignId, keywordId, cid, placeIds, reportDate, noCache
+ * @returns {Promise<Object>} Heatmap response
+ */
+async function fetchHeatmap(client, { campaignId, keywordId, cid, placeIds, reportDate, noCache }) {
+  const heatmap = await client.getHeatmap(campaignId, { keywordId, cid, placeIds, reportDate }, { noCache });
+
+  logger.info('Heatmap fetched', {
+    campaignId,
+    keywordId,
+    reportDate: heatmap.data?.date ?? reportDate ?? null,
+    points: heatmap.data?.positions?.length ?? 0,
+    cached: Boolean(getCacheInfo(heatmap)?.hit),
+    semrushRequestId: heatmap.meta?.request_id ?? null
+  });
+  logger.debug('Heatmap response', { response: heatmap });
+
+  return heatmap;
+}
+
+/**
+ * Grid layout and rings analysis of a heatmap, when the request asks for them
+ * (includeGeometry, or ring radii in rings)
+ * @param {Object} heatmap - Heatmap response
+ * @param {Object} params - Request parameters
+ * @returns {Object|null} Geometry (see heatmap-geometry.mjs), or null when not requested
+ */
+function resolveGeometry(heatmap, params) {
+  if (!isFlagSet(params.includeGeometry) && !params.rings) {
+    return null;
+  }
+  return buildGridGeometry(heatmap, { radiiKm: params.rings });
+}
+
+/**
+ * Build a response for a non-JSON export format (GeoJSON, CSV, KML)
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @param {string} format - Export format
+ * @param {string} basename - File name without extension
+ * @returns {Object} Lambda proxy response
+ */
+function buildExportResponse(heatmaps, format, basename) {
+  const { body, contentType, extension } = exportHeatmap(heatmaps, format);
+
+  return buildResponse(200, body, {
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${basename}.${extension}"`,
+    ...cacheHeaders(heatmaps)
+  });
+}
+
+/**
+ * X-Cache header for non-JSON responses: HIT only if every heatmap came from the cache
+ * @param {Object|Array<Object>} heatmaps - Heatmap response(s)
+ * @returns {Object} Headers
+ */
+function cacheHeaders(heatmaps) {
+  const infos = [].concat(heatmaps).map(getCacheInfo);
+  if (infos.length === 0 || infos.some(info => !info)) return {};
+  return { 'X-Cache': infos.every(info => info.hit) ? 'HIT' : 'MISS' };
+}
+
+/**
+ * Build an image response (SVG, or base64-encoded PNG for API Gateway)
+ * @param {SemrushMapRankClient} client - API client
+ * @param {Object} heatmap - Heatmap response
+ * @param {string} format - svg or png
+ * @param {string} campaignId - Campaign ID, used to look up the business name
+ * @param {string} basename - File name without extension
+ * @returns {Promise<Object>} Lambda proxy response
+ */
+async function buildImageResponse(client, heatmap, format, campaignId, basename) {
+  let business = null;
+  try {
+    const campaign = await client.getCampaign(campaignId);
+    business = campaign.data?.business?.name || null;
+  } catch (error) {
+    logger.warn('Could not load campaign for image header', { campaignId, error });
+  }
+
+  const { body, contentType, extension } = await renderHeatmap(heatmap, format, { business });
+  const headers = {
+    'Content-Type': contentType,
+    'Content-Disposition': `inline; filename="${basename}.${extension}"`,
+    ...cacheHeaders(heatmap)
+  };
+
+  if (Buffer.isBuffer(body)) {
+    return { ...buildResponse(200, body.toString('base64'), headers), isBase64Encoded: true };
+  }
+  return buildResponse(200, body, headers);
+}
+
+/**
+ * Get the alert rules of a request when the rank-drop alert step is enabled
+ * (alerts flag on the request, or ALERTS_ENABLED)
+ * @param {Object} params - Request parameters
+ * @returns {Array<Object>|null} Alert rules, or null when alerting is off
+ */
+function resolveAlertRules(params) {
+  if (!isFlagSet(params.alerts) && !isFlagSet(process.env.ALERTS_ENABLED)) {
+    return null;
+  }
+
+  try {
+    return parseAlertRules(params.alertRules);
+  } catch (error) {
+    throw new ValidationError(`Invalid alertRules: ${error.message}`);
+  }
+}
+
+/**
+ * Find the baseline report for alerts: the latest archived snapshot before the
+ * heatmap's report date, or the heatmap's own per-point diff
+ * @param {Object} heatmap - Current heatmap response
+ * @param {string} campaignId - Campaign ID
+ * @param {string} keywordId - Keyword ID
+ * @returns {Promise<Object>} { previous, baseline }
+ */
+async function findAlertBaseline(heatmap, campaignId, keywordId) {
+  const reportDate = heatmap.data?.date;
+
+  if (reportDate && (process.env.SNAPSHOT_DIR || process.env.SNAPSHOT_BUCKET)) {
+    try {
+      const dayBefore = new Date(Date.parse(reportDate) - 24 * 60 * 60 * 1000);
+      const snapshots = await readSnapshots(createSnapshotSink(), campaignId, keywordId, { to: dayBefore });
+      if (snapshots.length > 0) {
+        return { previous: snapshots[snapshots.length - 1], baseline: 'snapshot' };
+      }
+    } catch (error) {
+      logger.warn('Could not read snapshots for alert baseline', { error });
+    }
+  }
+
+  return { previous: previousFromDiff(heatmap), baseline: 'diff' };
+}
+
+/**
+ * Evaluate alert rules for a heatmap and post triggered alerts to ALERT_WEBHOOK_URL.
+ * Never throws: webhook failures are reported in the result.
+ * @param {Object} heatmap - Current heatmap response
+ * @param {Object} context - campaignId, keywordId, keywordName, business, rules, previous (optional baseline heatmap)
+ * @returns {Promise<Object>} { baseline, triggered, delivered, webhookStatus?, error? }
+ */
+async function runAlerts(heatmap, context) {
+  const { campaignId, keywordId, rules } = context;
+
+  try {
+    const { previous, baseline } = context.previous
+      ? { previous: context.previous, baseline: 'compareDate' }
+      : await findAlertBaseline(heatmap, campaignId, keywordId);
+
+    const alerts = evaluateAlerts(heatmap, previous, rules);
+    const result = {
+      baseline,
+      triggered: alerts.map(({ rule, ...alert }) => ({ ...alert, rule: rule.type })),
+      delivered: false
+    };
+
+    if (alerts.length === 0) {
+      return result;
+    }
+
+    logger.info('Alerts triggered', { keywordId, alerts: alerts.map(alert => alert.message) });
+
+    if (!process.env.ALERT_WEBHOOK_URL) {
+      return { ...result, error: 'ALERT_WEBHOOK_URL is not configured' };
+    }
+
+    const payload = buildAlertPayload(alerts, {
+      campaignId,
+      keywordId,
+      keywordName: context.keywordName || heatmap.data?.keyword?.name,
+      business: context.business,
+      reportDate: heatmap.data?.date
+    });
+    const { status } = await sendAlertWebhook(payload);
+    return { ...result, delivered: true, webhookStatus: status };
+  } catch (error) {
+    logger.error('Alert step failed', { keywordId, error });
+    return { triggered: [], delivered: false, error: error.message };
+  }
+}
+
+/**
+ * Write heatmaps to Google Sheets, one tab per keyword and report date (see heatmap-sheets.mjs).
+ * Never throws: export failures are reported in the result.
+ * @param {Array<Object>} heatmaps - Heatmap responses
+ * @param {Object} params - campaignId, spreadsheetId (default GOOGLE_SHEETS_SPREADSHEET_ID), profile
+ * @returns {Promise<Object>} { exported, spreadsheetId?, spreadsheetUrl?, tabs?, error? }
+ */
+async function runSheetsExport(heatmaps, { campaignId, spreadsheetId, profile }) {
+  let business = null;
+  try {
+    const campaign = await getClient(profile).getCampaign(campaignId);
+    business = campaign.data?.business?.name || null;
+  } catch (error) {
+    logger.warn('Could not load campaign for the sheet summary', { campaignId, error });
+  }
+
+  try {
+    return { exported: true, ...(await exportHeatmapsToSheet(heatmaps, { spreadsheetId, context: { campaignId, business } })) };
+  } catch (error) {
+    logger.error('Google Sheets export failed', { campaignId, error });
+    return { exported: false, error: error.message };
+  }
+}
+
+/**
+ * Archive the latest heatmaps of all campaigns (scheduled snapshot mode)
+ * @param {Object} params - campaignIds (optional filter), concurrency
+ * @returns {Promise<Object>} Lambda response with the run summary
+ */
+async function runSnapshot(params) {
+  const sink = createSnapshotSink();
+  const rules = resolveAlertRules(params);
+
+  const summary = await archiveSnapshots(getClient(params.profile), sink, {
+    campaignIds: params.campaignIds || null,
+    concurrency: params.concurrency,
+    ...(rules && {
+      onWritten: async ({ campaign, keywordId, keywordName, heatmap }) => ({
+        alerts: await runAlerts(heatmap, {
+          campaignId: campaign.id,
+          keywordId,
+          keywordName,
+          business: campaign.business?.name,
+          rules
+        })
+      })
+    })
+  });
+
+  logger.info('Snapshot finished', {
+    sink: summary.sink,
+    written: summary.written,
+    skipped: summary.skipped,
+    failed: summary.failed
+  });
+  for (const entry of summary.entries.filter(item => item.status === 'failed')) {
+    logger.warn('Snapshot failed', entry);
+  }
+
+  return buildResponse(200, {
+    success: summary.failed === 0,
+    data: summary,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Build a rank trend report for one keyword across a date range
+ * @param {Object} params - campaignId, keywordId, cid/placeIds, from, to, intervalDays, reportDates, source, thresholds, format
+ * @returns {Promise<Object>} Lambda response with the trend report (JSON or CSV)
+ */
+async function runTrend(params) {
+  const { campaignId, keywordId, cid, placeIds } = params;
+  const source = params.source || 'api';
+  const format = params.format || 'json';
+  const to = params.to || new Date().toISOString();
+
+  let thresholds;
+  let dates;
+  try {
+    thresholds = parseThresholds(params.thresholds);
+    // Archive reads make no API requests, so only API trends are limited to MAX_CANDIDATE_DATES
+    dates = source === 'api' && !params.reportDates
+      ? listCandidateDates(params.from, to, params.intervalDays)
+      : [...(params.reportDates || [])].sort((a, b) => Date.parse(a) - Date.parse(b));
+    if (source === 'api' && dates.length > MAX_CANDIDATE_DATES) {
+      throw new Error(`reportDates lists ${dates.length} dates (max ${MAX_CANDIDATE_DATES}); split the request`);
+    }
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  let heatmaps;
+  let skipped = [];
+  if (source === 'archive') {
+    heatmaps = await readSnapshots(createSnapshotSink(), campaignId, keywordId, { from: params.from || dates[0], to });
+  } else {
+    ({ heatmaps, skipped } = await fetchTrendHeatmaps(getClient(params.profile), { campaignId, keywordId, cid, placeIds }, dates));
+  }
+
+  const report = buildTrendReport(heatmaps, { thresholds, from: params.from || dates[0], to });
+  logger.info('Trend report built', { keywordId, reports: report.reports, drops: report.drops.length, source });
+
+  if (format === 'csv') {
+    return buildResponse(200, trendToCSV(report), {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="trend-${keywordId}.csv"`
+    });
+  }
+
+  return buildResponse(200, {
+    success: true,
+    data: { ...report, source, ...(source === 'api' && { skippedDates: skipped }) },
+    timestamp: new Date().toISOString(),
+    requestParams: { campaignId, keywordId, cid, placeIds, from: params.from, to, source }
+  });
+}
+
+/**
+ * Compare the heatmaps of our business and its competitors for one keyword
+ * @param {Object} params - campaignId, keywordId, cid (optional), placeIds (ours first unless cid is given), reportDate
+ * @returns {Promise<Object>} Lambda response with the per-point comparison and leaderboard
+ */
+async function runCompetitors(params) {
+  const { campaignId, keywordId, cid, reportDate } = params;
+  const placeIds = parseList(params.placeIds);
+
+  let places;
+  try {
+    places = await fetchCompetitorHeatmaps(getClient(params.profile), { campaignId, keywordId, cid, placeIds, reportDate });
+  } catch (error) {
+    // Parameter problems are plain errors; API errors keep their type
+    throw error instanceof SemrushApiError ? error : new ValidationError(error.message);
+  }
+
+  const fetched = places.find(place => place.heatmap)?.heatmap;
+  logger.info('Competitor view built', { keywordId, fetched: places.filter(place => place.heatmap).length, places: places.length });
+
+  return buildResponse(200, {
+    success: true,
+    data: {
+      keyword: fetched?.data?.keyword ?? null,
+      reportDate: fetched?.data?.date ?? reportDate ?? null,
+      ...compareCompetitors(places)
+    },
+    timestamp: new Date().toISOString(),
+    requestParams: { campaignId, keywordId, cid, placeIds, reportDate }
+  });
+}
+
+/**
+ * Build the HTML client report of a campaign
+ * @param {Object} params - campaignId, keywordIds (optional), cid/placeIds (optional), reportDate, theme, branding
+ * @returns {Promise<Object>} Lambda response with the HTML document
+ */
+async function runReport(params) {
+  const { campaignId, reportDate } = params;
+
+  let config;
+  try {
+    config = loadReportConfig({ overrides: { theme: params.theme, branding: params.branding } });
+  } catch (error) {
+    throw new ValidationError(`Invalid report config: ${error.message}`);
+  }
+
+  let report;
+  try {
+    report = await fetchReportData(getClient(params.profile), {
+      campaignId,
+      keywordIds: params.keywordIds,
+      cid: params.cid,
+      placeIds: params.placeIds,
+      reportDate,
+      concurrency: params.concurrency,
+      noCache: isFlagSet(params.noCache)
+    });
+  } catch (error) {
+    throw error instanceof SemrushApiError ? error : new ValidationError(error.message);
+  }
+
+  logger.info('Report built', {
+    campaignId,
+    keywords: report.keywords.length,
+    failed: report.keywords.filter(keyword => keyword.error).length
+  });
+
+  return buildResponse(200, renderReportHTML(report, config), {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Disposition': `inline; filename="${reportFileName(report)}"`
+  });
+}
+
+/**
+ * Actions of the multi-action router. Each action validates its own parameters (see the action's
+ * case in request-schema.mjs), and returns { data, cache? }; `params` are echoed as requestParams.
+ */
+const ACTION_HANDLERS = {
+  listCampaigns: {
+    params: ['page', 'size', 'all'],
+    async run(client, { page, size, all }) {
+      if (all) {
+        const content = await client.getAllCampaigns(size ? { size } : {});
+        return { data: { content, totalElements: content.length } };
+      }
+      const response = await client.getCampaigns({ page, size });
+      return { data: response.data };
+    }
+  },
+
+  getCampaign: {
+    params: ['campaignId'],
+    async run(client, { campaignId }) {
+      const response = await client.getCampaign(campaignId);
+      return { data: response.data };
+    }
+  },
+
+  listKeywords: {
+    params: ['campaignId', 'reportDate'],
+    async run(client, { campaignId, reportDate, noCache }) {
+      const response = await client.getKeywords(campaignId, reportDate || null, { noCache: isFlagSet(noCache) });
+      return { data: response.data, cache: getCacheInfo(response) };
+    }
+  },
+
+  getHeatmap: {
+    params: ['campaignId', 'keywordId', 'cid', 'placeIds', 'reportDate'],
+    async run(client, params) {
+      const heatmap = await fetchHeatmap(client, { ...params, noCache: isFlagSet(params.noCache) });
+      const geometry = resolveGeometry(heatmap, params);
+      return {
+        data: {
+          ...heatmap.data,
+          ...(isFlagSet(params.includeMetrics) && { metrics: computeHeatmapMetrics(heatmap) }),
+          ...(geometry && { geometry })
+        },
+        cache: getCacheInfo(heatmap)
+      };
+    }
+  },
+
+  overview: {
+    params: ['campaignId', 'cid', 'placeIds', 'reportDate'],
+    async run(client, params) {
+      const overview = await buildCampaignOverview(client, {
+        campaignId: params.campaignId,
+        cid: params.cid,
+        placeIds: params.placeIds,
+        reportDate: params.reportDate,
+        concurrency: params.concurrency,
+        noCache: isFlagSet(params.noCache)
+      });
+
+      logger.info('Campaign overview built', {
+        campaignId: params.campaignId,
+        keywords: overview.summary.keywords,
+        failed: overview.summary.failed,
+        partial: overview.partial
+      });
+      return { data: overview };
+    }
+  }
+};
+
+/**
+ * Check that Semrush tokens are configured for a profile, and load the profile for the request
+ * @param {string} profile - Profile name (optional)
+ * @returns {Promise<Object|null>} null when tokens exist, otherwise { statusCode, message, errors? }
+ */
+async function findMissingTokens(profile) {
+  const configError = profile ? describeProfileConfigError() : null;
+  if (configError) {
+    const message = `Profile "${profile}" can't be used: ${configError}`;
+    return { statusCode: 400, message, errors: [{ field: 'profile', code: 'unsupported', message }] };
+  }
+  if (await loadProfile(profile)) {
+    return null;
+  }
+  if (profile) {
+    const message = `No Semrush tokens are configured for profile "${profile}"`;
+    return { statusCode: 400, message, errors: [{ field: 'profile', code: 'unknown_profile', message }] };
+  }
+  return {
+    statusCode: 500,
+    message: 'Semrush tokens are not configured (set SEMRUSH_ACCESS_TOKEN/SEMRUSH_REFRESH_TOKEN or SEMRUSH_TOKEN_SECRET_ID)'
+  };
+}
+
+/**
+ * Build a response of the multi-action router:
+ * { success, data, error, timestamp, requestParams } (plus cache for cached lookups)
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - { data, error, cache, requestParams }
+ * @returns {Object} Lambda proxy response
+ */
+function buildActionResponse(statusCode, { data = null, error = null, cache, requestParams }) {
+  return buildResponse(statusCode, {
+    success: !error,
+    data,
+    error,
+    ...(cache !== undefined && { cache }),
+    timestamp: new Date().toISOString(),
+    requestParams
+  });
+}
+
+/**
+ * Turn an error into the status code and `error` object of an action response
+ * @param {Error} error - Error thrown by an action
+ * @returns {Object} { statusCode, error: { code, type, message, ... } }
+ */
+function describeActionError(error) {
+  if (error instanceof ValidationError && !error.semrushError) {
+    return { statusCode: 400, error: { code: 'validation_failed', type: error.name, message: error.message } };
+  }
+  if (error instanceof NetworkError) {
+    logger.error('Network error', { error });
+    return {
+      statusCode: 502,
+      error: { code: 'network_error', type: error.name, message: 'Failed to connect to Semrush API', requestId: error.requestId }
+    };
+  }
+  if (error instanceof SemrushApiError && error.status) {
+    logger.error('Semrush API error', { status: error.status, semrushError: error.semrushError, error });
+    return {
+      statusCode: error.status,
+      error: {
+        code: 'semrush_error',
+        ...describeError(error),
+        message: error.semrushError?.error?.message || error.message,
+        requestId: error.requestId
+      }
+    };
+  }
+  logger.error('Unexpected error', { error });
+  return { statusCode: 500, error: { code: 'internal_error', type: error.name, message: error.message } };
+}
+
+/**
+ * Run one action of the multi-action router (action field, or the HTTP route)
+ * @param {Object} params - Normalised parameters, with params.action set
+ * @param {Array<Object>} errors - Validation errors of the parameters
+ * @returns {Promise<Object>} Lambda response with the action envelope
+ */
+async function runAction(params, errors) {
+  const action = ACTION_HANDLERS[params.action];
+  const requestParams = {
+    action: params.action,
+    ...Object.fromEntries((action?.params || []).map(name => [name, params[name]]))
+  };
+
+  if (errors.length > 0) {
+    return buildActionResponse(400, {
+      error: {
+        code: 'validation_failed',
+        message: errors.map(error => error.message).join('; '),
+        errors
+      },
+      requestParams
+    });
+  }
+
+  const missing = await findMissingTokens(params.profile);
+  if (missing) {
+    return buildActionResponse(missing.statusCode, {
+      error: {
+        code: missing.errors ? 'validation_failed' : 'not_configured',
+        message: missing.message,
+        ...(missing.errors && { errors: missing.errors })
+      },
+      requestParams
+    });
+  }
+
+  try {
+    const { data, cache } = await action.run(getClient(params.profile), params);
+    return buildActionResponse(200, { data, cache, requestParams });
+  } catch (error) {
+    const failure = describeActionError(error);
+    return buildActionResponse(failure.statusCode, { error: failure.error, requestParams });
+  }
+}
 
 /**
  * Event Parameters:
@@ -7,131 +656,289 @@ import axios from 'axios';
  * - cid: Business ID (required if placeIds not provided)
  * - placeIds: List of unique place IDs (required if cid not provided)
  * - reportDate: Date for heatmap report (optional - uses latest if not provided)
+ * - includeMetrics: Add ARP/ATRP/SoLV grid-rank metrics to the response (optional)
+ * - includeGeometry: Add the grid layout (rows, columns, spacing, centre, per-point row/column,
+ *   distance and bearing) and rings analysis to the response (optional, see heatmap-geometry.mjs)
+ * - rings: Ring radii in km for the rings analysis (optional, default 1, 3 and 5; implies includeGeometry)
+ * - format: json (default), geojson, csv, kml, svg or png (optional)
+ * - compareDate: Older report date to compare reportDate (or the latest report) against (optional)
+ * - noCache: true to bypass the response cache and fetch live data (optional)
+ * - alerts: true to evaluate rank-drop alert rules and post matches to ALERT_WEBHOOK_URL (optional, or ALERTS_ENABLED)
+ * - alertRules: Rules overriding ALERT_RULES / the defaults (see heatmap-alerts.mjs)
+ * - sheets: true to write the heatmap(s) to Google Sheets, one tab per keyword and date (optional)
+ * - spreadsheetId: Target spreadsheet (default GOOGLE_SHEETS_SPREADSHEET_ID, see heatmap-sheets.mjs)
+ *
+ * Batch mode (instead of keywordId):
+ * - keywordIds: Array or comma-separated list of keyword IDs
+ * - allKeywords: true to fetch every keyword of the campaign
+ * - concurrency: Maximum parallel heatmap requests (optional, default 5)
+ *
+ * Tokens come from the store selected by SEMRUSH_TOKEN_STORE / SEMRUSH_TOKEN_SECRET_ID
+ * (see token-store.mjs) and are refreshed automatically before they expire.
+ * - profile: Use the tokens of this Semrush account instead (see token-profiles.mjs) (optional)
+ * Heatmaps and keyword lists are cached per HEATMAP_CACHE (see response-cache.mjs);
+ * JSON responses report cache hits in `cache`, other formats in an X-Cache header.
+ *
+ * Snapshot mode (EventBridge scheduled events, or mode: "snapshot"):
+ * - Archives the latest heatmap of every keyword of every campaign to SNAPSHOT_DIR / SNAPSHOT_BUCKET
+ * - campaignIds: Only archive these campaigns (optional)
+ *
+ * Trend mode (mode: "trend"):
+ * - campaignId, keywordId (required), cid/placeIds (required for source api)
+ * - from / to: Report date range (to defaults to today), or reportDates: explicit list of dates
+ * - intervalDays: Step between requested dates for source api (default 7)
+ * - source: api (default) or archive (snapshots written by snapshot mode)
+ * - thresholds: Drop thresholds, e.g. { "averageRank": 2, "top3Share": 10, "foundRatio": 10 }
+ * - format: json (default) or csv
+ *
+ * Competitor mode (mode: "competitors"):
+ * - campaignId, keywordId (required), reportDate (optional)
+ * - placeIds: Array or comma-separated list of place IDs, ours first (or our business as cid)
+ *
+ * Report mode (mode: "report"):
+ * - campaignId (required), reportDate (optional, default the latest report)
+ * - keywordIds: Keywords to include (optional, default every keyword)
+ * - cid/placeIds: Business to rank (optional, default the campaign's business)
+ * - theme / branding: Overrides of REPORT_CONFIG_FILE / REPORT_CONFIG (see heatmap-report.mjs)
+ * - Returns a self-contained HTML document
+ *
+ * Actions (action field, or the HTTP route; responses use the envelope
+ * { success, data, error, timestamp, requestParams }):
+ * - listCampaigns (GET /campaigns): page, size, or all: true for every page
+ * - getCampaign (GET /campaigns/{campaignId}): campaignId
+ * - listKeywords (GET /campaigns/{campaignId}/keywords): campaignId, reportDate (optional)
+ * - getHeatmap (GET /campaigns/{campaignId}/keywords/{keywordId}/heatmap): campaignId, keywordId,
+ *   cid/placeIds, reportDate, includeMetrics, includeGeometry, rings (JSON only; use a request without
+ *   action for exports)
+ * - overview (GET /campaigns/{campaignId}/overview): campaignId, cid/placeIds (optional, default the
+ *   campaign's business), reportDate, concurrency. Returns the campaign, every keyword with its status
+ *   and latest metrics, and a summary; keywords whose heatmap failed get an `error` and the overview
+ *   is marked `partial`
+ *
+ * Every mode validates its parameters against request-schema.mjs first; invalid requests get a 400
+ * with an `errors` list of { field, code, message }.
+ *
+ * Parameters are read from the event itself for direct invocations, or from the
+ * path parameters, query string and JSON body for API Gateway (REST v1, HTTP v2)
+ * and Lambda Function URL events. OPTIONS requests are answered as CORS preflights.
  */
-export const handler = async (event) => {
-  console.log('Received event:', JSON.stringify(event, null, 2));
+export const handler = (event, context = {}) =>
+  withLogContext({ awsRequestId: context.awsRequestId ?? null }, () => handleEvent(event));
+
+/**
+ * Handle one event; runs inside the log context of the invocation
+ * @param {Object} event - Lambda event
+ * @returns {Promise<Object>} Lambda proxy response
+ */
+async function handleEvent(event) {
+  if (isPreflightRequest(event)) {
+    return buildPreflightResponse();
+  }
 
   try {
-    const accessToken = process.env.SEMRUSH_ACCESS_TOKEN;
-    if (!accessToken) {
-      return {
-        statusCode: 500,
-        body: JSON.stringify({
-          error: 'SEMRUSH_ACCESS_TOKEN environment variable is required'
-        })
-      };
+    const eventType = detectEventType(event);
+    logger.info('Received event', {
+      eventType,
+      method: event.requestContext?.http?.method ?? event.httpMethod ?? null,
+      path: event.rawPath ?? event.path ?? null
+    });
+    logger.debug('Event', { event });
+
+    // The HTTP route selects an action the same way an action field does
+    const { value: params, errors } = validateRequest({ ...extractParams(event), ...resolveRoute(event) }, {
+      mode: eventType === EVENT_TYPES.SCHEDULED ? 'snapshot' : undefined
+    });
+
+    if (params.action) {
+      return await runAction(params, errors);
     }
 
-    const { campaignId, keywordId, cid, placeIds, reportDate } = event;
+    if (errors.length > 0) {
+      return buildResponse(400, {
+        error: 'Invalid request',
+        code: 'validation_failed',
+        message: errors.map(error => error.message).join('; '),
+        errors,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    if (!campaignId) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({
-          error: 'campaignId is required'
-        })
-      };
+    const { campaignId, keywordId, cid, placeIds, reportDate } = params;
+    const noCache = isFlagSet(params.noCache);
+    const alertRules = resolveAlertRules(params);
+
+    const missing = await findMissingTokens(params.profile);
+    if (missing?.errors) {
+      return buildResponse(400, {
+        error: 'Invalid request',
+        code: 'validation_failed',
+        message: missing.message,
+        errors: missing.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (missing) {
+      return buildResponse(500, { error: missing.message });
     }
 
-    if (!keywordId) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({
-          error: 'keywordId is required'
-        })
-      };
+    if (eventType === EVENT_TYPES.SCHEDULED || params.mode === 'snapshot') {
+      return await runSnapshot(params);
     }
 
-    if (!cid && !placeIds) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({
-          error: 'Either cid or placeIds is required'
-        })
-      };
+    if (params.mode === 'trend') {
+      return await runTrend(params);
     }
 
-    const queryParams = new URLSearchParams({
-      keywordId,
-      ...(cid && { cid }),
-      ...(placeIds && { placeIds }),
-      ...(reportDate && { reportDate })
-    });
+    if (params.mode === 'competitors') {
+      return await runCompetitors(params);
+    }
 
-    const apiUrl = `https://api.semrush.com/apis/v4/map-rank-tracker/v0/campaigns/${campaignId}/heatmap?${queryParams}`;
+    if (params.mode === 'report') {
+      return await runReport(params);
+    }
 
-    console.log('Making request to:', apiUrl);
+    const format = params.format || 'json';
 
-    const response = await axios.get(apiUrl, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000 // 30 second timeout
-    });
+    if (isBatchRequest(params)) {
+      const batch = await fetchHeatmapBatch(getClient(params.profile), params);
+      logger.info('Batch finished', { succeeded: batch.succeeded, total: batch.total });
 
-    console.log('Semrush API response status:', response.status);
-    console.log('Response data:', JSON.stringify(response.data, null, 2));
+      if (alertRules) {
+        for (const result of batch.results.filter(entry => entry.success)) {
+          result.alerts = await runAlerts(result.data, {
+            campaignId,
+            keywordId: result.keywordId,
+            keywordName: result.keywordName,
+            rules: alertRules
+          });
+        }
+      }
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*', // Enable CORS if needed
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
-      },
-      body: JSON.stringify({
+      const heatmaps = batch.results.filter(result => result.success).map(result => result.data);
+      if (format !== 'json') {
+        return buildExportResponse(heatmaps, format, `heatmap-${campaignId}`);
+      }
+
+      return buildResponse(200, {
         success: true,
-        data: response.data,
+        data: batch,
+        ...(isFlagSet(params.sheets) && { sheets: await runSheetsExport(heatmaps, params) }),
         timestamp: new Date().toISOString(),
         requestParams: {
           campaignId,
-          keywordId,
+          keywordIds: params.keywordIds,
+          allKeywords: params.allKeywords,
           cid,
           placeIds,
           reportDate
         }
-      })
-    };
+      });
+    }
+
+    if (params.compareDate) {
+      const [current, previous] = await Promise.all([
+        fetchHeatmap(getClient(params.profile), { campaignId, keywordId, cid, placeIds, reportDate, noCache }),
+        fetchHeatmap(getClient(params.profile), { campaignId, keywordId, cid, placeIds, reportDate: params.compareDate, noCache })
+      ]);
+
+      // Semrush answers with the nearest report, so valid dates can still resolve to the same or a newer one
+      const currentDate = Date.parse(current.data?.date);
+      const previousDate = Date.parse(previous.data?.date);
+      if (currentDate <= previousDate) {
+        throw new ValidationError(`compareDate resolves to the report of ${previous.data.date}, which is not older than ${current.data.date}`);
+      }
+
+      return buildResponse(200, {
+        success: true,
+        data: {
+          keyword: current.data?.keyword ?? null,
+          comparison: compareHeatmaps(current, previous)
+        },
+        ...(alertRules && { alerts: await runAlerts(current, { campaignId, keywordId, previous, rules: alertRules }) }),
+        cache: {
+          current: getCacheInfo(current),
+          previous: getCacheInfo(previous)
+        },
+        timestamp: new Date().toISOString(),
+        requestParams: {
+          campaignId,
+          keywordId,
+          cid,
+          placeIds,
+          reportDate,
+          compareDate: params.compareDate
+        }
+      });
+    }
+
+    const heatmap = await fetchHeatmap(getClient(params.profile), { campaignId, keywordId, cid, placeIds, reportDate, noCache });
+    const alerts = alertRules ? await runAlerts(heatmap, { campaignId, keywordId, rules: alertRules }) : null;
+
+    if (IMAGE_FORMATS[format]) {
+      return await buildImageResponse(getClient(params.profile), heatmap, format, campaignId, `heatmap-${keywordId}`);
+    }
+
+    if (format !== 'json') {
+      return buildExportResponse(heatmap, format, `heatmap-${keywordId}`);
+    }
+
+    const geometry = resolveGeometry(heatmap, params);
+
+    return buildResponse(200, {
+      success: true,
+      data: heatmap,
+      ...(isFlagSet(params.includeMetrics) && { metrics: computeHeatmapMetrics(heatmap) }),
+      ...(geometry && { geometry }),
+      ...(alerts && { alerts }),
+      ...(isFlagSet(params.sheets) && { sheets: await runSheetsExport([heatmap], params) }),
+      cache: getCacheInfo(heatmap),
+      timestamp: new Date().toISOString(),
+      requestParams: {
+        campaignId,
+        keywordId,
+        cid,
+        placeIds,
+        reportDate
+      }
+    });
 
   } catch (error) {
-    console.error('Error fetching heatmap data:', error);
+    if (error instanceof EventParseError || (error instanceof ValidationError && !error.semrushError)) {
+      return buildResponse(400, {
+        error: 'Invalid request',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    if (error.response) {
-      console.error('Semrush API error:', error.response.status, error.response.data);
-      
-      return {
-        statusCode: error.response.status,
-        body: JSON.stringify({
-          error: 'Semrush API error',
-          message: error.response.data?.error?.message || error.message,
-          semrushError: error.response.data,
-          timestamp: new Date().toISOString()
-        })
-      };
-    } else if (error.request) {
-      console.error('Network error:', error.message);
-      
-      return {
-        statusCode: 502,
-        body: JSON.stringify({
-          error: 'Network error',
-          message: 'Failed to connect to Semrush API',
-          timestamp: new Date().toISOString()
-        })
-      };
+    if (error instanceof NetworkError) {
+      logger.error('Network error', { error });
+
+      return buildResponse(502, {
+        error: 'Network error',
+        message: 'Failed to connect to Semrush API',
+        requestId: error.requestId,
+        timestamp: new Date().toISOString()
+      });
+    } else if (error instanceof SemrushApiError && error.status) {
+      logger.error('Semrush API error', { status: error.status, semrushError: error.semrushError, error });
+
+      return buildResponse(error.status, {
+        error: 'Semrush API error',
+        type: error.name,
+        message: error.semrushError?.error?.message || error.message,
+        semrushError: error.semrushError,
+        requestId: error.requestId,
+        timestamp: new Date().toISOString()
+      });
     } else {
-      console.error('Unexpected error:', error.message);
-      
-      return {
-        statusCode: 500,
-        body: JSON.stringify({
-          error: 'Internal server error',
-          message: error.message,
-          timestamp: new Date().toISOString()
-        })
-      };
+      logger.error('Unexpected error', { error });
+
+      return buildResponse(500, {
+        error: 'Internal server error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
     }
   }
-};
+}
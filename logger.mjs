@@ -0,0 +1,178 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Structured logging
+ * Writes one JSON object per line (CloudWatch friendly):
+ *   { "timestamp": "...", "level": "info", "message": "...", "awsRequestId": "...", ...fields }
+ *
+ * - LOG_LEVEL selects the lowest level written: debug, info (default), warn, error or silent
+ * - Fields bound with withLogContext (e.g. the Lambda awsRequestId) are added to every line
+ *   written while the wrapped function runs, including lines from the API client
+ * - Secrets are redacted before writing: token, secret and authorization fields,
+ *   "Bearer ..." values and token query parameters
+ * - warn and error go to stderr, so CLI output on stdout stays machine-readable
+ */
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const REDACTED = '[REDACTED]';
+
+// Compared lowercased with "_" and "-" removed, so access_token, accessToken and X-Access-Token all match
+const SECRET_KEYS = new Set([
+  'accesstoken', 'xaccesstoken', 'refreshtoken', 'idtoken', 'token', 'devicecode',
+  'authorization', 'clientsecret', 'secret', 'password', 'apikey', 'xsignature256', 'privatekey'
+]);
+
+const BEARER_PATTERN = /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi;
+const TOKEN_PARAM_PATTERN = /\b(access_token|refresh_token|device_code|client_secret)=[^&\s"']+/gi;
+
+const contextStorage = new AsyncLocalStorage();
+
+function redactString(value) {
+  return value
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(TOKEN_PARAM_PATTERN, `$1=${REDACTED}`);
+}
+
+function isSecretKey(key) {
+  return SECRET_KEYS.has(key.toLowerCase().replace(/[-_]/g, ''));
+}
+
+/**
+ * Copy a value with secrets replaced by "[REDACTED]".
+ * Errors become plain objects with name, message, stack and their status/request ID fields.
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy
+ */
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const { name, message, stack } = value;
+    const details = Object.fromEntries(
+      ['status', 'code', 'requestId', 'operation', 'retryAfter']
+        .filter(key => value[key] !== undefined && value[key] !== null)
+        .map(key => [key, value[key]])
+    );
+    return redact({ name, message, ...details, stack }, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isSecretKey(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, seen)
+  ]));
+}
+
+/**
+ * Run a function with fields added to every log line written while it runs
+ * @param {Object} context - Fields, e.g. { awsRequestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export function withLogContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+function resolveLevel(level) {
+  const name = String(level || process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LOG_LEVELS[name] ?? LOG_LEVELS.info;
+}
+
+/**
+ * Create a logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Lowest level written (default LOG_LEVEL, read on every call, or info)
+ * @param {Object} options.fields - Fields added to every line (e.g. { component: 'semrush-auth' })
+ * @param {Function} options.write - (line, level) => void (default console.log, console.error for warn/error)
+ * @returns {Object} Logger with debug, info, warn, error, child and time
+ */
+export function createLogger(options = {}) {
+  const { level = null, fields = {}, write = null } = options;
+
+  function log(levelName, message, extra = {}) {
+    if (LOG_LEVELS[levelName] < resolveLevel(level)) return;
+
+    const entry = redact({
+      timestamp: new Date().toISOString(),
+      level: levelName,
+      message,
+      ...contextStorage.getStore(),
+      ...fields,
+      ...(extra instanceof Error ? { error: extra } : extra)
+    });
+    const line = JSON.stringify(entry);
+
+    if (write) {
+      write(line, levelName);
+    } else if (LOG_LEVELS[levelName] >= LOG_LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  return {
+    debug: (message, extra) => log('debug', message, extra),
+    info: (message, extra) => log('info', message, extra),
+    warn: (message, extra) => log('warn', message, extra),
+    error: (message, extra) => log('error', message, extra),
+
+    /**
+     * Check whether a level would be written (to skip building expensive fields)
+     * @param {string} levelName - Level
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(levelName) {
+      return LOG_LEVELS[levelName] >= resolveLevel(level);
+    },
+
+    /**
+     * Create a logger that adds fields to every line
+     * @param {Object} childFields - Fields
+     * @returns {Object} Logger
+     */
+    child(childFields) {
+      return createLogger({ level, write, fields: { ...fields, ...childFields } });
+    },
+
+    /**
+     * Time an async operation: logs `message` with durationMs at info on success, at warn
+     * (with the error) on failure, and rethrows
+     * @param {string} message - Log message
+     * @param {Function} fn - async () => result
+     * @param {Object} extra - Fields for the log line
+     * @returns {Promise<*>} Result of fn
+     */
+    async time(message, fn, extra = {}) {
+      const startedAt = performance.now();
+      try {
+        const result = await fn();
+        log('info', message, { ...extra, durationMs: Math.round(performance.now() - startedAt), outcome: 'ok' });
+        return result;
+      } catch (error) {
+        log('warn', message, { ...extra, durationMs: Math.round(performance.now() - startedAt), outcome: 'error', error });
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Shared logger used by the handler and the Semrush modules
+ */
+export const logger = createLogger();
@@ -0,0 +1,378 @@
+import { EXPORT_FORMATS } from './heatmap-export.mjs';
+import { IMAGE_FORMATS } from './heatmap-render.mjs';
+import { PROFILE_NAME_PATTERN } from './token-profiles.mjs';
+import { parseAlertRules } from './heatmap-alerts.mjs';
+
+/**
+ * Request schema
+ * One set of field rules for every handler mode and action (and the CLI). Validation collects every
+ * problem instead of stopping at the first one, and returns normalised parameters:
+ * - placeIds (array or CSV) becomes the comma-separated string Semrush expects
+ * - keywordIds, campaignIds and reportDates become arrays
+ * - flags become booleans and numeric options numbers
+ * - thresholds / alertRules given as JSON strings are parsed
+ *
+ * Every error has a machine-readable code:
+ * required, invalid_type, invalid_uuid, invalid_date, invalid_cid, invalid_place_id,
+ * invalid_boolean, invalid_number, out_of_range, invalid_enum, invalid_json, invalid_alert_rule, invalid_profile, invalid_spreadsheet_id, unsupported, too_few
+ */
+
+export const MODES = ['heatmap', 'snapshot', 'trend', 'competitors', 'report'];
+export const ACTIONS = ['listCampaigns', 'getCampaign', 'listKeywords', 'getHeatmap', 'overview'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const CID_PATTERN = /^\d{1,20}$/;
+const PLACE_ID_PATTERN = /^[A-Za-z0-9_-]{4,}$/;
+const SPREADSHEET_ID_PATTERN = /^[A-Za-z0-9_-]{20,}$/;
+
+/**
+ * Error thrown by assertValidRequest, carrying every field error
+ */
+export class RequestValidationError extends Error {
+  constructor(errors) {
+    super(errors.map(error => `${error.field}: ${error.message}`).join('; '));
+    this.name = 'RequestValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+// Field rules: value => { value } on success or { code, message } on failure
+
+function uuid(value) {
+  if (typeof value !== 'string') return { code: 'invalid_type', message: 'must be a string' };
+  const trimmed = value.trim();
+  return UUID_PATTERN.test(trimmed)
+    ? { value: trimmed }
+    : { code: 'invalid_uuid', message: 'must be a UUID' };
+}
+
+function isoDate(value) {
+  if (typeof value !== 'string') return { code: 'invalid_type', message: 'must be an ISO-8601 date string' };
+  const trimmed = value.trim();
+  return DATE_PATTERN.test(trimmed) && !Number.isNaN(Date.parse(trimmed))
+    ? { value: trimmed }
+    : { code: 'invalid_date', message: 'must be an ISO-8601 date, e.g. 2024-07-05 or 2024-07-05T12:39:22.611Z' };
+}
+
+function cid(value) {
+  if (typeof value === 'number') {
+    // Business IDs are 19-digit numbers, which JSON numbers can't hold exactly
+    return Number.isSafeInteger(value) && value >= 0
+      ? { value: String(value) }
+      : { code: 'invalid_cid', message: 'must be sent as a string (too large for a JSON number)' };
+  }
+  if (typeof value !== 'string') return { code: 'invalid_type', message: 'must be a numeric string' };
+  const trimmed = value.trim();
+  return CID_PATTERN.test(trimmed)
+    ? { value: trimmed }
+    : { code: 'invalid_cid', message: 'must be a numeric business ID' };
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',');
+  return null;
+}
+
+function list(itemRule, { join = false } = {}) {
+  return (value) => {
+    const items = toList(value);
+    if (!items || items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+      return { code: 'invalid_type', message: 'must be an array of strings or a comma-separated string' };
+    }
+
+    const values = [];
+    for (const [index, item] of items.entries()) {
+      if (String(item).trim() === '') continue;
+      const result = itemRule(typeof item === 'number' ? String(item) : item);
+      if (result.code) return { ...result, message: `item ${index + 1} ${result.message}` };
+      if (!values.includes(result.value)) values.push(result.value);
+    }
+
+    if (values.length === 0) return { code: 'required', message: 'must not be empty' };
+    return { value: join ? values.join(',') : values };
+  };
+}
+
+function placeId(value) {
+  const trimmed = value.trim();
+  return PLACE_ID_PATTERN.test(trimmed)
+    ? { value: trimmed }
+    : { code: 'invalid_place_id', message: 'must be a Google place ID' };
+}
+
+function profile(value) {
+  if (typeof value !== 'string') return { code: 'invalid_type', message: 'must be a string' };
+  const trimmed = value.trim();
+  return PROFILE_NAME_PATTERN.test(trimmed)
+    ? { value: trimmed }
+    : { code: 'invalid_profile', message: 'must be a profile name (letters, digits, "-" and "_", up to 64 characters)' };
+}
+
+function spreadsheetId(value) {
+  if (typeof value !== 'string') return { code: 'invalid_type', message: 'must be a string' };
+  const trimmed = value.trim();
+  return SPREADSHEET_ID_PATTERN.test(trimmed)
+    ? { value: trimmed }
+    : { code: 'invalid_spreadsheet_id', message: 'must be a Google Sheets spreadsheet ID (the part of the URL after /d/)' };
+}
+
+function boolean(value) {
+  if (typeof value === 'boolean') return { value };
+  if (value === 1 || value === 0) return { value: value === 1 };
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(normalized)) return { value: true };
+    if (['false', '0', 'no'].includes(normalized)) return { value: false };
+  }
+  return { code: 'invalid_boolean', message: 'must be true or false' };
+}
+
+function integer(min, max) {
+  return (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number)) {
+      return { code: 'invalid_number', message: 'must be an integer' };
+    }
+    return number >= min && number <= max
+      ? { value: number }
+      : { code: 'out_of_range', message: `must be between ${min} and ${max}` };
+  };
+}
+
+function distanceKm(value) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    return { code: 'invalid_number', message: 'must be a distance in km' };
+  }
+  return number > 0 && number <= 100
+    ? { value: number }
+    : { code: 'out_of_range', message: 'must be more than 0 and at most 100 km' };
+}
+
+// Matched case-insensitively; the value is returned as listed (e.g. "listcampaigns" => "listCampaigns")
+function oneOf(values) {
+  return (value) => {
+    const normalized = String(value).trim().toLowerCase();
+    const match = values.find(item => item.toLowerCase() === normalized);
+    return match !== undefined
+      ? { value: match }
+      : { code: 'invalid_enum', message: `must be one of: ${values.join(', ')}` };
+  };
+}
+
+function json(type) {
+  return (value) => {
+    let parsed = value;
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      // thresholds may also be given as "metric=value,..."
+      if (type === 'object' && !trimmed.startsWith('{')) return { value: trimmed };
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (error) {
+        return { code: 'invalid_json', message: `must be valid JSON (${error.message})` };
+      }
+    }
+    const matches = type === 'array' ? Array.isArray(parsed) : parsed && typeof parsed === 'object' && !Array.isArray(parsed);
+    return matches ? { value: parsed } : { code: 'invalid_type', message: `must be a JSON ${type}` };
+  };
+}
+
+function alertRules(value) {
+  const result = json('array')(value);
+  if (result.code) return result;
+  try {
+    return { value: parseAlertRules(result.value) };
+  } catch (error) {
+    return { code: 'invalid_alert_rule', message: `is invalid: ${error.message}` };
+  }
+}
+
+export const FIELDS = {
+  mode: oneOf(MODES),
+  action: oneOf(ACTIONS),
+  campaignId: uuid,
+  keywordId: uuid,
+  cid,
+  placeIds: list(placeId, { join: true }),
+  reportDate: isoDate,
+  compareDate: isoDate,
+  includeMetrics: boolean,
+  includeGeometry: boolean,
+  rings: list(distanceKm),
+  format: oneOf([...new Set([...Object.keys(EXPORT_FORMATS), ...Object.keys(IMAGE_FORMATS)])]),
+  noCache: boolean,
+  keywordIds: list(uuid),
+  allKeywords: boolean,
+  concurrency: integer(1, 10),
+  campaignIds: list(uuid),
+  from: isoDate,
+  to: isoDate,
+  intervalDays: integer(1, 365),
+  reportDates: list(isoDate),
+  source: oneOf(['api', 'archive']),
+  thresholds: json('object'),
+  alerts: boolean,
+  alertRules,
+  profile,
+  sheets: boolean,
+  spreadsheetId,
+  theme: json('object'),
+  branding: json('object'),
+  page: integer(0, 10000),
+  size: integer(1, 100),
+  all: boolean
+};
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Cross-field rules of each mode, run on the normalised values
+ * @param {string} mode - Handler mode
+ * @param {Object} value - Normalised parameters
+ * @param {Function} fail - (field, code, message) => void
+ */
+function checkMode(mode, value, fail) {
+  const require = (...fields) => fields.forEach(field => {
+    if (!isPresent(value[field])) fail(field, 'required', `${field} is required`);
+  });
+  const requireBusiness = () => {
+    if (!isPresent(value.cid) && !isPresent(value.placeIds)) {
+      fail('cid', 'required', 'Either cid or placeIds is required');
+    }
+  };
+  const isBatch = isPresent(value.keywordIds) || value.allKeywords === true;
+
+  switch (mode) {
+    case 'heatmap':
+      require('campaignId');
+      if (!isBatch) require('keywordId');
+      requireBusiness();
+      if (isBatch && IMAGE_FORMATS[value.format]) {
+        fail('format', 'unsupported', `format ${value.format} is only available for single-keyword requests`);
+      }
+      if (value.compareDate && value.reportDate && Date.parse(value.compareDate) >= Date.parse(value.reportDate)) {
+        fail('compareDate', 'out_of_range', 'compareDate must be before reportDate');
+      } else if (value.compareDate && Date.parse(value.compareDate) > Date.now()) {
+        fail('compareDate', 'out_of_range', 'compareDate must not be in the future');
+      }
+      if (value.compareDate && value.format && value.format !== 'json') {
+        fail('format', 'unsupported', 'compareDate only supports format json');
+      }
+      if (value.sheets === true && value.format && value.format !== 'json') {
+        fail('format', 'unsupported', 'the Google Sheets export only supports format json');
+      }
+      if (value.sheets === true && value.compareDate) {
+        fail('sheets', 'unsupported', 'the Google Sheets export is not available with compareDate');
+      }
+      break;
+    case 'trend':
+      require('campaignId', 'keywordId');
+      if (!isPresent(value.from) && !isPresent(value.reportDates)) {
+        fail('from', 'required', 'from (or reportDates) is required');
+      }
+      if (value.source !== 'archive') requireBusiness();
+      if (value.format && !['json', 'csv'].includes(value.format)) {
+        fail('format', 'unsupported', 'trend only supports format json or csv');
+      }
+      if (value.from && value.to && Date.parse(value.from) > Date.parse(value.to)) {
+        fail('to', 'out_of_range', 'to must not be before from');
+      }
+      break;
+    case 'competitors': {
+      require('campaignId', 'keywordId');
+      const businesses = (value.placeIds ? value.placeIds.split(',').length : 0) + (value.cid ? 1 : 0);
+      if (businesses < 2) {
+        fail('placeIds', 'too_few', 'At least two businesses are needed: cid plus placeIds, or two or more placeIds');
+      }
+      break;
+    }
+    case 'report':
+      require('campaignId');
+      if (value.format) {
+        fail('format', 'unsupported', 'report only produces HTML');
+      }
+      for (const field of ['theme', 'branding']) {
+        if (typeof value[field] === 'string') fail(field, 'invalid_json', `${field} must be a JSON object`);
+      }
+      break;
+    case 'listCampaigns':
+      if (value.all === true && isPresent(value.page)) {
+        fail('page', 'unsupported', 'page can not be combined with all');
+      }
+      break;
+    case 'getCampaign':
+    case 'listKeywords':
+      require('campaignId');
+      break;
+    case 'getHeatmap':
+      require('campaignId', 'keywordId');
+      requireBusiness();
+      if (value.format && value.format !== 'json') {
+        fail('format', 'unsupported', 'getHeatmap only supports format json (use a heatmap request without action for exports)');
+      }
+      break;
+    case 'overview':
+      require('campaignId');
+      if (value.format && value.format !== 'json') {
+        fail('format', 'unsupported', 'overview only supports format json');
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Validate and normalise request parameters
+ * @param {Object} params - Raw parameters (event, query string, body or CLI options)
+ * @param {Object} options - Validation options
+ * @param {string} options.mode - Mode to validate for (default params.action, params.mode or "heatmap")
+ * @returns {Object} { value, errors } where errors is a list of { field, code, message }
+ */
+export function validateRequest(params, options = {}) {
+  const errors = [];
+  const fail = (field, code, message) => {
+    if (!errors.some(error => error.field === field)) errors.push({ field, code, message });
+  };
+
+  // Unknown parameters are passed through untouched
+  const value = { ...params };
+  for (const [field, rule] of Object.entries(FIELDS)) {
+    if (!isPresent(params[field])) {
+      delete value[field];
+      continue;
+    }
+    const result = rule(params[field]);
+    if (result.code) {
+      fail(field, result.code, `${field} ${result.message}`);
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  const mode = options.mode || value.action || value.mode || 'heatmap';
+  checkMode(mode, value, fail);
+
+  return { value, errors };
+}
+
+/**
+ * Validate request parameters and throw on failure
+ * @param {Object} params - Raw parameters
+ * @param {Object} options - { mode }
+ * @returns {Object} Normalised parameters
+ * @throws {RequestValidationError} When any field is invalid
+ */
+export function assertValidRequest(params, options = {}) {
+  const { value, errors } = validateRequest(params, options);
+  if (errors.length > 0) {
+    throw new RequestValidationError(errors);
+  }
+  return value;
+}
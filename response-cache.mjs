@@ -0,0 +1,342 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { logger } from './logger.mjs';
+
+/**
+ * Response cache for heatmap and keyword lookups
+ *
+ * Historical reports never change, so heatmaps and keyword lists for a past reportDate
+ * are cached for a long time, while the "latest" report is only cached briefly.
+ *
+ * Cache stores implement get(key) / set(key, entry) / delete(key), where an entry is
+ * { value, storedAt, expiresAt } (ISO dates):
+ * - memory:    Map kept for the lifetime of a warm Lambda container
+ * - file:      one JSON file per key in a local directory (CLI)
+ * - key-value: any client with get/put/delete of strings, e.g. DynamoDB or S3 (see createS3CacheClient)
+ */
+
+export const DEFAULT_TTL_SECONDS = {
+  historical: 30 * 24 * 60 * 60,
+  latest: 15 * 60
+};
+
+// Cache metadata of returned values, so cached methods keep the plain API response shape
+const cacheInfo = new WeakMap();
+
+/**
+ * Get cache metadata of a value returned by a caching client
+ * @param {Object} value - Value returned by getHeatmap/getKeywords
+ * @returns {Object|null} { hit, key, storedAt, expiresAt } or null if it did not go through a cache
+ */
+export function getCacheInfo(value) {
+  return (value && typeof value === 'object' && cacheInfo.get(value)) || null;
+}
+
+function isExpired(entry) {
+  return !entry || new Date(entry.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Create an in-memory cache store
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Oldest entries are evicted beyond this size (default 500)
+ * @returns {Object} Cache store
+ */
+export function createMemoryCacheStore(options = {}) {
+  const { maxEntries = 500 } = options;
+  const entries = new Map();
+
+  return {
+    type: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      // Stored as JSON so callers can't mutate the cached copy
+      return { ...entry, value: JSON.parse(entry.value) };
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, { ...entry, value: JSON.stringify(entry.value) });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Create a cache store that keeps one JSON file per key
+ * @param {string} directory - Cache directory (created on first write)
+ * @returns {Object} Cache store
+ */
+export function createFileCacheStore(directory) {
+  const fileFor = key => join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    type: 'file',
+
+    async get(key) {
+      const file = fileFor(key);
+      if (!existsSync(file)) return null;
+
+      try {
+        const entry = JSON.parse(readFileSync(file, 'utf8'));
+        if (isExpired(entry)) {
+          unlinkSync(file);
+          return null;
+        }
+        return entry;
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      mkdirSync(directory, { recursive: true });
+      writeFileSync(fileFor(key), JSON.stringify({ key, ...entry }));
+    },
+
+    async delete(key) {
+      const file = fileFor(key);
+      if (existsSync(file)) unlinkSync(file);
+    }
+  };
+}
+
+/**
+ * Create a cache store on top of a remote key-value client.
+ * The client needs get(key) -> string|null, put(key, string, { expiresAt }) and delete(key);
+ * a plain object with those methods works as a local stub.
+ * @param {Object} client - Key-value client
+ * @param {Object} options - Store options
+ * @param {string} options.prefix - Key prefix (default "semrush-cache/")
+ * @returns {Object} Cache store
+ */
+export function createKeyValueCacheStore(client, options = {}) {
+  const { prefix = 'semrush-cache/' } = options;
+  const keyFor = key => `${prefix}${createHash('sha256').update(key).digest('hex')}`;
+
+  return {
+    type: 'key-value',
+
+    async get(key) {
+      const raw = await client.get(keyFor(key));
+      if (!raw) return null;
+      const entry = JSON.parse(raw);
+      return isExpired(entry) ? null : entry;
+    },
+
+    async set(key, entry) {
+      await client.put(keyFor(key), JSON.stringify({ key, ...entry }), { expiresAt: entry.expiresAt });
+    },
+
+    async delete(key) {
+      await client.delete(keyFor(key));
+    }
+  };
+}
+
+/**
+ * Key-value client backed by S3, using the AWS SDK v3 bundled with the Lambda runtime
+ * @param {Object} options - { bucket }
+ * @returns {Object} Key-value client for createKeyValueCacheStore
+ */
+export function createS3CacheClient({ bucket }) {
+  let sdk = null;
+  let s3 = null;
+
+  async function getS3() {
+    if (!s3) {
+      try {
+        sdk = await import('@aws-sdk/client-s3');
+      } catch (error) {
+        throw new Error('@aws-sdk/client-s3 is not available. Install it or pass a custom cache client.');
+      }
+      s3 = new sdk.S3Client({});
+    }
+    return s3;
+  }
+
+  return {
+    async get(key) {
+      const client = await getS3();
+      try {
+        const response = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+        return await response.Body.transformToString();
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async put(key, body, { expiresAt } = {}) {
+      const client = await getS3();
+      await client.send(new sdk.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: 'application/json',
+        ...(expiresAt && { Expires: new Date(expiresAt) })
+      }));
+    },
+
+    async delete(key) {
+      const client = await getS3();
+      await client.send(new sdk.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+/**
+ * Create a cache store from options or environment configuration.
+ * HEATMAP_CACHE selects memory (default), file (HEATMAP_CACHE_DIR), s3 (HEATMAP_CACHE_BUCKET) or none.
+ * @param {Object} options - { type, directory, bucket, client }
+ * @returns {Object|null} Cache store, or null when caching is disabled
+ */
+export function createCacheStore(options = {}) {
+  const type = options.type || process.env.HEATMAP_CACHE || 'memory';
+
+  switch (type) {
+    case 'none':
+      return null;
+    case 'memory':
+      return createMemoryCacheStore(options);
+    case 'file': {
+      const directory = options.directory || process.env.HEATMAP_CACHE_DIR;
+      if (!directory) throw new Error('directory (or HEATMAP_CACHE_DIR) is required for the file cache');
+      return createFileCacheStore(directory);
+    }
+    case 'key-value':
+      if (!options.client) throw new Error('client is required for the key-value cache');
+      return createKeyValueCacheStore(options.client, options);
+    case 's3': {
+      const bucket = options.bucket || process.env.HEATMAP_CACHE_BUCKET;
+      if (!bucket) throw new Error('bucket (or HEATMAP_CACHE_BUCKET) is required for the s3 cache');
+      return createKeyValueCacheStore(createS3CacheClient({ bucket }), options);
+    }
+    default:
+      throw new Error(`Unknown cache type: ${type}`);
+  }
+}
+
+/**
+ * Check whether a report date lies before the current UTC day
+ * @param {string} reportDate - Report date
+ * @returns {boolean} True for past report dates
+ */
+export function isHistoricalDate(reportDate) {
+  if (!reportDate) return false;
+  const date = new Date(reportDate);
+  if (Number.isNaN(date.getTime())) return false;
+  return date.toISOString().slice(0, 10) < new Date().toISOString().slice(0, 10);
+}
+
+function normalizePlaceIds(placeIds) {
+  if (!placeIds) return '';
+  const list = Array.isArray(placeIds) ? placeIds : String(placeIds).split(',');
+  return list.map(id => String(id).trim()).filter(Boolean).sort().join(',');
+}
+
+/**
+ * Build the cache key of a heatmap request
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} params - keywordId, cid, placeIds, reportDate
+ * @param {string} namespace - Token profile the response was fetched with ('' for the unnamed token set)
+ * @returns {string} Cache key
+ */
+export function heatmapCacheKey(campaignId, { keywordId, cid, placeIds, reportDate }, namespace = '') {
+  return ['heatmap', namespace, campaignId, keywordId, cid || '', normalizePlaceIds(placeIds), reportDate || 'latest'].join('|');
+}
+
+/**
+ * Build the cache key of a keyword list request
+ * @param {string} campaignId - Campaign ID
+ * @param {string} reportDate - Report date (null for the latest)
+ * @param {string} namespace - Token profile the response was fetched with ('' for the unnamed token set)
+ * @returns {string} Cache key
+ */
+export function keywordsCacheKey(campaignId, reportDate, namespace = '') {
+  return ['keywords', namespace, campaignId, reportDate || 'latest'].join('|');
+}
+
+/**
+ * Wrap an API client so getHeatmap and getKeywords go through a cache.
+ * Every other client method is inherited unchanged.
+ * Keys are namespaced by token profile, so a store shared by several Semrush accounts never
+ * serves one account's reports to another.
+ * @param {SemrushMapRankClient} client - API client
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Cache store (null disables caching)
+ * @param {string} options.namespace - Token profile of the client (default '', the unnamed token set)
+ * @param {Object} options.ttl - { historical, latest } in seconds
+ * @returns {Object} Client with cached getHeatmap(campaignId, params, { noCache }) and getKeywords(campaignId, reportDate, { noCache })
+ */
+export function createCachingClient(client, options = {}) {
+  const { store = null, namespace = '' } = options;
+  const ttl = {
+    historical: Number(process.env.HEATMAP_CACHE_TTL_HISTORICAL) || DEFAULT_TTL_SECONDS.historical,
+    latest: Number(process.env.HEATMAP_CACHE_TTL_LATEST) || DEFAULT_TTL_SECONDS.latest,
+    ...options.ttl
+  };
+
+  async function cached(key, reportDate, noCache, fetcher) {
+    if (!store) {
+      return fetcher();
+    }
+
+    if (!noCache) {
+      try {
+        const entry = await store.get(key);
+        if (entry) {
+          cacheInfo.set(entry.value, { hit: true, key, storedAt: entry.storedAt, expiresAt: entry.expiresAt });
+          return entry.value;
+        }
+      } catch (error) {
+        logger.warn('Cache read failed, fetching live data', { key, error });
+      }
+    }
+
+    const value = await fetcher();
+    const storedAt = new Date();
+    const seconds = isHistoricalDate(reportDate) ? ttl.historical : ttl.latest;
+    const entry = {
+      value,
+      storedAt: storedAt.toISOString(),
+      expiresAt: new Date(storedAt.getTime() + seconds * 1000).toISOString()
+    };
+
+    try {
+      await store.set(key, entry);
+    } catch (error) {
+      logger.warn('Cache write failed', { key, error });
+    }
+
+    cacheInfo.set(value, { hit: false, key, storedAt: entry.storedAt, expiresAt: entry.expiresAt, bypassed: Boolean(noCache) });
+    return value;
+  }
+
+  // Inherit from the client so getCampaigns, iterateCampaigns etc. keep working
+  const cachingClient = Object.create(client);
+
+  cachingClient.getHeatmap = (campaignId, params = {}, { noCache = false } = {}) =>
+    cached(heatmapCacheKey(campaignId, params, namespace), params.reportDate, noCache,
+      () => client.getHeatmap(campaignId, params));
+
+  cachingClient.getKeywords = (campaignId, reportDate = null, { noCache = false } = {}) =>
+    cached(keywordsCacheKey(campaignId, reportDate, namespace), reportDate, noCache,
+      () => client.getKeywords(campaignId, reportDate));
+
+  cachingClient.cacheStore = store;
+  return cachingClient;
+}
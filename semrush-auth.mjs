@@ -1,76 +1,143 @@
 import axios from 'axios';
+import { EventEmitter } from 'events';
+import { SemrushMapRankClient } from './semrush-client.mjs';
+import { logger } from './logger.mjs';
 
 /**
  * Semrush OAuth 2.0 Authentication Helper
- * Implements Device Authorization Grant flow for Semrush API v4
+ * Implements Device Authorization Grant flow for Semrush API v4, either as an
+ * event-driven flow (createDeviceFlow) or as a console prompt (getAccessToken).
+ * The Map Rank Tracker helpers below are thin wrappers around SemrushMapRankClient.
+ * OAuth calls are logged with their duration; tokens and device codes are redacted.
  */
 
-const SEMRUSH_OAUTH_BASE = 'https://oauth.semrush.com';
-const SEMRUSH_API_BASE = 'https://api.semrush.com/apis/v4/map-rank-tracker/v0';
+export const DEFAULT_OAUTH_BASE_URL = 'https://oauth.semrush.com';
+
+/**
+ * OAuth base URL: SEMRUSH_OAUTH_BASE_URL (e.g. a local mock server) or the public endpoint
+ * @returns {string} Base URL without trailing slash
+ */
+export function getOAuthBaseUrl() {
+  return (process.env.SEMRUSH_OAUTH_BASE_URL || DEFAULT_OAUTH_BASE_URL).replace(/\/+$/, '');
+}
+
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+const SLOW_DOWN_INCREMENT_SECONDS = 5;
+
+const log = logger.child({ component: 'semrush-auth' });
+
+/**
+ * Wait, rejecting early when the signal is aborted
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function expiredError() {
+  const error = new Error('Device authorization expired. Please try again.');
+  error.code = 'expired_token';
+  return error;
+}
 
 /**
  * Step 1: Request device authorization code
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Object>} Device authorization response
  */
-export async function requestDeviceAuthorization() {
+export async function requestDeviceAuthorization(options = {}) {
+  const { signal } = options;
+
   try {
-    const response = await axios.post(`${SEMRUSH_OAUTH_BASE}/dag/device/code`);
-    
-    console.log('Device authorization response:', response.data);
-    console.log(`\nTo authorize the device, open this URL in your browser:`);
-    console.log(`${response.data.verification_uri}`);
-    console.log(`\nUser code: ${response.data.user_code}`);
-    console.log(`\nThis code expires in ${response.data.expires_in} seconds`);
+    const response = await log.time('OAuth device code request', () =>
+      axios.post(`${getOAuthBaseUrl()}/dag/device/code`, null, { signal }));
     
+    log.debug('Device authorization response', { response: response.data });
     return response.data;
   } catch (error) {
-    throw new Error(`Failed to request device authorization: ${error.message}`);
+    if (signal?.aborted) throw signal.reason;
+    throw new Error(`Failed to request device authorization: ${error.message}`, { cause: error });
   }
 }
 
 /**
- * Step 2: Poll for access token using device code
+ * Step 2: Poll for access token using device code.
+ * After `slow_down` the interval grows by 5 seconds for the rest of the flow (RFC 8628, section 3.5).
  * @param {string} deviceCode - Device code from step 1
  * @param {number} interval - Polling interval in seconds
  * @param {number} expiresIn - Expiration time in seconds
+ * @param {Object} options - Polling options
+ * @param {AbortSignal} options.signal - Cancels polling (rejects with the abort reason)
+ * @param {Function} options.onPending - Called with { attempt, interval } while authorization is pending
+ * @param {Function} options.onSlowDown - Called with { interval } (the new interval) after slow_down
  * @returns {Promise<Object>} Access token response
+ * @throws {Error} With code "expired_token" when the device code expires
  */
-export async function pollForAccessToken(deviceCode, interval = 5, expiresIn = 300) {
+export async function pollForAccessToken(deviceCode, interval = DEFAULT_POLL_INTERVAL_SECONDS, expiresIn = 300, options = {}) {
+  const { signal, onPending, onSlowDown } = options;
   const startTime = Date.now();
-  const timeoutMs = expiresIn * 1000;
+  const deadline = startTime + expiresIn * 1000;
+  let pollInterval = interval;
+  let attempt = 0;
   
-  while (Date.now() - startTime < timeoutMs) {
+  while (Date.now() < deadline) {
+    signal?.throwIfAborted();
+
     try {
-      const response = await axios.post(`${SEMRUSH_OAUTH_BASE}/dag/device/token`, 
+      const response = await axios.post(`${getOAuthBaseUrl()}/dag/device/token`, 
         new URLSearchParams({
           grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
           device_code: deviceCode
         }), {
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded'
-          }
+          },
+          signal
         }
       );
       
-      console.log('Access token obtained successfully!');
+      log.info('Access token obtained', { durationMs: Date.now() - startTime });
       return response.data;
       
     } catch (error) {
-      if (error.response?.data?.error === 'authorization_pending') {
-        console.log('Waiting for user authorization...');
-        await new Promise(resolve => setTimeout(resolve, interval * 1000));
-        continue;
-      } else if (error.response?.data?.error === 'slow_down') {
-        console.log('Slowing down polling...');
-        await new Promise(resolve => setTimeout(resolve, (interval + 5) * 1000));
-        continue;
+      if (signal?.aborted) throw signal.reason;
+
+      const code = error.response?.data?.error;
+      if (code === 'authorization_pending') {
+        attempt++;
+        log.debug('Waiting for user authorization', { attempt, interval: pollInterval });
+        onPending?.({ attempt, interval: pollInterval });
+      } else if (code === 'slow_down') {
+        pollInterval += SLOW_DOWN_INCREMENT_SECONDS;
+        log.info('Slowing down polling', { interval: pollInterval });
+        onSlowDown?.({ interval: pollInterval });
+      } else if (code === 'expired_token') {
+        throw expiredError();
       } else {
-        throw new Error(`Failed to get access token: ${error.response?.data?.error || error.message}`);
+        throw new Error(`Failed to get access token: ${code || error.message}`, { cause: error });
       }
+      await sleep(pollInterval * 1000, signal);
     }
   }
   
-  throw new Error('Device authorization expired. Please try again.');
+  throw expiredError();
 }
 
 /**
@@ -80,43 +147,132 @@ export async function pollForAccessToken(deviceCode, interval = 5, expiresIn = 3
  */
 export async function refreshAccessToken(refreshToken) {
   try {
-    const response = await axios.post(`${SEMRUSH_OAUTH_BASE}/dag/device/token`,
-      new URLSearchParams({
-        grant_type: 'refresh_token',
-        refresh_token: refreshToken
-      }), {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded'
+    const response = await log.time('OAuth token refresh', () =>
+      axios.post(`${getOAuthBaseUrl()}/dag/device/token`,
+        new URLSearchParams({
+          grant_type: 'refresh_token',
+          refresh_token: refreshToken
+        }), {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+          }
         }
-      }
-    );
+      ));
     
-    console.log('Access token refreshed successfully!');
     return response.data;
     
   } catch (error) {
-    throw new Error(`Failed to refresh access token: ${error.response?.data?.error || error.message}`);
+    throw new Error(`Failed to refresh access token: ${error.response?.data?.error || error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Render text (the verification URL) as a QR code for the terminal.
+ * Requires the optional qrcode-terminal package.
+ * @param {string} text - Text to encode
+ * @returns {Promise<string>} QR code drawn with block characters
+ */
+export async function renderQRCode(text) {
+  let qrcode;
+  try {
+    qrcode = (await import('qrcode-terminal')).default;
+  } catch (error) {
+    throw new Error('QR codes require the optional qrcode-terminal package. Install it or open the URL instead.');
+  }
+  return new Promise(resolve => qrcode.generate(text, { small: true }, resolve));
+}
+
+// The QR code is a convenience: without it the user still has the URL, so the flow goes on
+async function renderOptionalQRCode(text) {
+  try {
+    return await renderQRCode(text);
+  } catch (error) {
+    log.warn('QR code not available, showing the URL only', { reason: error.message });
+    return null;
   }
 }
 
 /**
- * Complete Device Authorization Grant flow
+ * Create an event-driven Device Authorization Grant flow, for callers that show the
+ * code themselves (a local web page, a chat bot) instead of a human watching stdout.
+ *
+ * Events:
+ * - code:      { userCode, verificationUri, verificationUriComplete, expiresIn, interval, qr }
+ * - pending:   { attempt, interval }
+ * - slow_down: { interval }   the new polling interval in seconds; it stays increased
+ * - success:   token response
+ * - expired:   { expiresIn }  start() then rejects with an error with code "expired_token"
+ *
+ * @param {Object} options - Flow options
+ * @param {AbortSignal} options.signal - Cancels the flow; start() rejects with the abort reason
+ * @param {boolean} options.qr - Add a terminal QR code of the verification URL to the code event
+ *   (qr stays null when qrcode-terminal is missing or can't render the URL)
+ * @returns {EventEmitter} Emitter with start() => Promise<tokens> and cancel(reason)
+ */
+export function createDeviceFlow(options = {}) {
+  const flow = new EventEmitter();
+  const controller = new AbortController();
+  const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+  flow.cancel = (reason) => controller.abort(reason);
+
+  flow.start = async () => {
+    const deviceAuth = await requestDeviceAuthorization({ signal });
+    const verificationUrl = deviceAuth.verification_uri_complete || deviceAuth.verification_uri;
+
+    flow.emit('code', {
+      userCode: deviceAuth.user_code,
+      verificationUri: deviceAuth.verification_uri,
+      verificationUriComplete: deviceAuth.verification_uri_complete ?? null,
+      expiresIn: deviceAuth.expires_in,
+      interval: deviceAuth.interval ?? DEFAULT_POLL_INTERVAL_SECONDS,
+      qr: options.qr ? await renderOptionalQRCode(verificationUrl) : null
+    });
+
+    try {
+      const tokens = await pollForAccessToken(
+        deviceAuth.device_code,
+        deviceAuth.interval ?? DEFAULT_POLL_INTERVAL_SECONDS,
+        deviceAuth.expires_in,
+        {
+          signal,
+          onPending: event => flow.emit('pending', event),
+          onSlowDown: event => flow.emit('slow_down', event)
+        }
+      );
+      flow.emit('success', tokens);
+      return tokens;
+    } catch (error) {
+      if (error.code === 'expired_token') {
+        flow.emit('expired', { expiresIn: deviceAuth.expires_in });
+      }
+      throw error;
+    }
+  };
+
+  return flow;
+}
+
+/**
+ * Complete Device Authorization Grant flow, printing the instructions to the console
+ * @param {Object} options - { signal, qr } (see createDeviceFlow)
  * @returns {Promise<Object>} Access token response
  */
-export async function getAccessToken() {
-  console.log('Starting Semrush OAuth 2.0 Device Authorization Grant flow...\n');
-  
-  // Step 1: Request device authorization
-  const deviceAuth = await requestDeviceAuthorization();
+export async function getAccessToken(options = {}) {
+  log.info('Starting Device Authorization Grant flow');
   
-  // Step 2: Poll for access token
-  const tokenResponse = await pollForAccessToken(
-    deviceAuth.device_code,
-    deviceAuth.interval,
-    deviceAuth.expires_in
-  );
+  const flow = createDeviceFlow(options);
+  flow.on('code', (code) => {
+    console.log(`\nTo authorize the device, open this URL in your browser:`);
+    console.log(code.verificationUri);
+    console.log(`\nUser code: ${code.userCode}`);
+    if (code.qr) {
+      console.log(`\nOr scan this QR code:\n${code.qr}`);
+    }
+    console.log(`\nThis code expires in ${code.expiresIn} seconds`);
+  });
   
-  return tokenResponse;
+  return flow.start();
 }
 
 /**
@@ -126,21 +282,17 @@ export async function getAccessToken() {
  * @returns {Promise<Object>} Campaigns response
  */
 export async function getCampaigns(accessToken, options = {}) {
-  const params = new URLSearchParams(options);
-  const url = `${SEMRUSH_API_BASE}/campaigns${params.toString() ? '?' + params.toString() : ''}`;
-  
-  try {
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    return response.data;
-  } catch (error) {
-    throw new Error(`Failed to get campaigns: ${error.response?.data?.error?.message || error.message}`);
-  }
+  return new SemrushMapRankClient({ accessToken }).getCampaigns(options);
+}
+
+/**
+ * Iterate over every campaign across all pages
+ * @param {string} accessToken - Bearer access token
+ * @param {Object} options - Query options (size, sort, query)
+ * @returns {AsyncGenerator<Object>} Campaigns
+ */
+export function iterateCampaigns(accessToken, options = {}) {
+  return new SemrushMapRankClient({ accessToken }).iterateCampaigns(options);
 }
 
 /**
@@ -150,18 +302,7 @@ export async function getCampaigns(accessToken, options = {}) {
  * @returns {Promise<Object>} Campaign details response
  */
 export async function getCampaign(accessToken, campaignId) {
-  try {
-    const response = await axios.get(`${SEMRUSH_API_BASE}/campaigns/${campaignId}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    return response.data;
-  } catch (error) {
-    throw new Error(`Failed to get campaign: ${error.response?.data?.error?.message || error.message}`);
-  }
+  return new SemrushMapRankClient({ accessToken }).getCampaign(campaignId);
 }
 
 /**
@@ -172,20 +313,7 @@ export async function getCampaign(accessToken, campaignId) {
  * @returns {Promise<Object>} Keywords response
  */
 export async function getKeywords(accessToken, campaignId, reportDate = null) {
-  const params = reportDate ? `?reportDate=${encodeURIComponent(reportDate)}` : '';
-  
-  try {
-    const response = await axios.get(`${SEMRUSH_API_BASE}/campaigns/${campaignId}/keywords${params}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    return response.data;
-  } catch (error) {
-    throw new Error(`Failed to get keywords: ${error.response?.data?.error?.message || error.message}`);
-  }
+  return new SemrushMapRankClient({ accessToken }).getKeywords(campaignId, reportDate);
 }
 
 /**
@@ -196,31 +324,7 @@ export async function getKeywords(accessToken, campaignId, reportDate = null) {
  * @returns {Promise<Object>} Heatmap response
  */
 export async function getHeatmap(accessToken, campaignId, params) {
-  const { keywordId, cid, placeIds, reportDate } = params;
-  
-  // Validate required parameters
-  if (!keywordId) throw new Error('keywordId is required');
-  if (!cid && !placeIds) throw new Error('Either cid or placeIds is required');
-  
-  const queryParams = new URLSearchParams({
-    keywordId,
-    ...(cid && { cid }),
-    ...(placeIds && { placeIds }),
-    ...(reportDate && { reportDate })
-  });
-  
-  try {
-    const response = await axios.get(`${SEMRUSH_API_BASE}/campaigns/${campaignId}/heatmap?${queryParams}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    return response.data;
-  } catch (error) {
-    throw new Error(`Failed to get heatmap: ${error.response?.data?.error?.message || error.message}`);
-  }
+  return new SemrushMapRankClient({ accessToken }).getHeatmap(campaignId, params);
 }
 
 /**
@@ -0,0 +1,346 @@
+import axios from 'axios';
+import { randomUUID } from 'crypto';
+import { logger } from './logger.mjs';
+
+/**
+ * Semrush Map Rank Tracker API client
+ * Single place for URL building, auth headers, timeouts, retries and error mapping.
+ *
+ * - Retries 429, 5xx and network errors with exponential backoff, honouring Retry-After
+ * - Sends an X-Request-Id with every request and keeps it on errors
+ * - Logs every attempt with its status and duration (see logger.mjs)
+ * - Throws typed errors that keep the HTTP status and the Semrush error body
+ * - Authenticates with a static access token or a token provider (see token-store.mjs),
+ *   in which case a 401 triggers one refresh and retry
+ */
+
+export const DEFAULT_API_BASE_URL = 'https://api.semrush.com/apis/v4/map-rank-tracker/v0';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_RETRY_DELAY_MS = 30000;
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Base class for Semrush API errors
+ */
+export class SemrushApiError extends Error {
+  constructor(message, { status = null, semrushError = null, requestId = null, operation = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'SemrushApiError';
+    this.status = status;
+    this.semrushError = semrushError;
+    this.requestId = requestId;
+    this.operation = operation;
+  }
+}
+
+/**
+ * 401/403: missing, invalid or expired access token
+ */
+export class AuthError extends SemrushApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * 404: campaign, keyword or business not found
+ */
+export class NotFoundError extends SemrushApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 429: too many requests; retryAfter is in seconds when the API sent Retry-After
+ */
+export class RateLimitError extends SemrushApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * 400/422 from the API, or invalid parameters rejected before sending the request
+ */
+export class ValidationError extends SemrushApiError {
+  constructor(message, details = {}) {
+    super(message, { status: 400, ...details });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * No response received (timeout, DNS, connection reset)
+ */
+export class NetworkError extends SemrushApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Describe an error for the `error` field of a failed batch entry, competitor or keyword
+ * @param {Error} error - Typed Semrush API error or any other error
+ * @returns {Object} { type, message, status } (status is null without an HTTP status)
+ */
+export function describeError(error) {
+  return { type: error.name, message: error.message, status: error.status ?? null };
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in seconds
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max((date - Date.now()) / 1000, 0);
+}
+
+/**
+ * Convert an axios error into a typed Semrush API error
+ * @param {Error} error - Axios error
+ * @param {string} operation - Human readable operation, e.g. "Failed to get heatmap"
+ * @param {string} requestId - Request ID sent with the request
+ * @returns {SemrushApiError} Typed error
+ */
+export function toSemrushError(error, operation, requestId) {
+  if (error instanceof SemrushApiError) return error;
+
+  const response = error.response;
+  if (!response) {
+    return new NetworkError(`${operation}: ${error.message}`, { operation, requestId, cause: error });
+  }
+
+  const { status, data } = response;
+  const message = `${operation}: ${data?.error?.message || data?.error || error.message}`;
+  const details = { status, semrushError: data ?? null, requestId, operation, cause: error };
+
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (status === 404) return new NotFoundError(message, details);
+  if (status === 429) return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(response.headers?.['retry-after']) });
+  if (status === 400 || status === 422) return new ValidationError(message, details);
+  return new SemrushApiError(message, details);
+}
+
+function isRetryable(error) {
+  return error instanceof RateLimitError
+    || error instanceof NetworkError
+    || (error.status !== null && error.status >= 500);
+}
+
+export class SemrushMapRankClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.accessToken - Static bearer token
+   * @param {Object} options.tokenProvider - Token provider with withAccessToken(fn), used instead of accessToken
+   * @param {string} options.baseUrl - API base URL (default SEMRUSH_API_BASE_URL or the public API)
+   * @param {number} options.timeout - Request timeout in ms (default 30000)
+   * @param {number} options.maxRetries - Retries for 429/5xx/network errors (default 3)
+   * @param {number} options.retryBaseDelayMs - First backoff delay (default 500)
+   * @param {number} options.maxRetryDelayMs - Upper bound for a single backoff delay (default 30000)
+   * @param {Object} options.httpClient - axios-compatible instance
+   * @param {Object} options.logger - Logger (default the shared logger from logger.mjs)
+   */
+  constructor(options = {}) {
+    this.accessToken = options.accessToken || null;
+    this.tokenProvider = options.tokenProvider || null;
+    this.baseUrl = (options.baseUrl || process.env.SEMRUSH_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? DEFAULT_RETRY_BASE_DELAY_MS;
+    this.maxRetryDelayMs = options.maxRetryDelayMs ?? DEFAULT_MAX_RETRY_DELAY_MS;
+    this.httpClient = options.httpClient || axios;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.logger = options.logger || logger;
+
+    if (!this.accessToken && !this.tokenProvider) {
+      throw new Error('SemrushMapRankClient requires an accessToken or a tokenProvider');
+    }
+  }
+
+  /**
+   * Backoff delay before the given retry attempt
+   * @param {number} attempt - Retry number, starting at 0
+   * @param {SemrushApiError} error - Error that triggered the retry
+   * @returns {number} Delay in ms
+   */
+  getRetryDelay(attempt, error) {
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+      return Math.min(error.retryAfter * 1000, this.maxRetryDelayMs);
+    }
+    const exponential = this.retryBaseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * this.retryBaseDelayMs;
+    return Math.min(exponential + jitter, this.maxRetryDelayMs);
+  }
+
+  /**
+   * Send one request with retries, using the given access token
+   * @private
+   */
+  async send(accessToken, path, { params, operation }) {
+    const query = new URLSearchParams(
+      Object.entries(params || {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+    const url = `${this.baseUrl}${path}${query ? `?${query}` : ''}`;
+
+    for (let attempt = 0; ; attempt++) {
+      const requestId = randomUUID();
+      const startedAt = performance.now();
+      const timing = () => ({ path, attempt, semrushRequestId: requestId, durationMs: Math.round(performance.now() - startedAt) });
+
+      try {
+        const response = await this.httpClient.get(url, {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            'X-Request-Id': requestId
+          },
+          timeout: this.timeout
+        });
+        this.logger.info('Semrush request', { ...timing(), status: response.status });
+        return response.data;
+      } catch (rawError) {
+        const error = toSemrushError(rawError, operation, requestId);
+
+        if (attempt >= this.maxRetries || !isRetryable(error)) {
+          this.logger.warn('Semrush request failed', { ...timing(), status: error.status, error });
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        this.logger.warn('Semrush request failed, retrying', { ...timing(), status: error.status, retryInMs: Math.round(delay), error });
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * GET a path relative to the base URL
+   * @param {string} path - Path starting with "/"
+   * @param {Object} options - { params, operation }
+   * @returns {Promise<Object>} Response body
+   */
+  async get(path, options = {}) {
+    const request = { params: options.params, operation: options.operation || `Failed to get ${path}` };
+
+    if (this.tokenProvider) {
+      return this.tokenProvider.withAccessToken(accessToken => this.send(accessToken, path, request));
+    }
+    return this.send(this.accessToken, path, request);
+  }
+
+  /**
+   * Get list of campaigns
+   * @param {Object} options - Query options (page, size, sort, query)
+   * @returns {Promise<Object>} Campaigns response
+   */
+  async getCampaigns(options = {}) {
+    return this.get('/campaigns', { params: options, operation: 'Failed to get campaigns' });
+  }
+
+  /**
+   * Iterate over every campaign, fetching pages on demand
+   * @param {Object} options - Query options (sort, query, size = page size, page = first page)
+   * @returns {AsyncGenerator<Object>} Campaigns
+   */
+  async *iterateCampaigns(options = {}) {
+    const { page: firstPage = 0, size = DEFAULT_PAGE_SIZE, ...filters } = options;
+    const seen = new Set();
+    let page = firstPage;
+
+    while (true) {
+      const response = await this.getCampaigns({ ...filters, page, size });
+      const data = response.data || {};
+      const content = data.content || [];
+      const fresh = content.filter(campaign => !seen.has(campaign.id));
+
+      // A page with nothing new means we ran past the end (or the API ignored `page`)
+      if (fresh.length === 0) return;
+
+      for (const campaign of fresh) {
+        seen.add(campaign.id);
+        yield campaign;
+      }
+
+      const currentPage = data.number ?? page;
+      const isLastPage = data.last === true
+        || (data.totalPages !== undefined && currentPage + 1 >= data.totalPages)
+        || (data.totalElements !== undefined && seen.size >= data.totalElements)
+        || content.length < size;
+
+      if (isLastPage) return;
+      page = currentPage + 1;
+    }
+  }
+
+  /**
+   * Get every campaign across all pages
+   * @param {Object} options - Query options (sort, query, size)
+   * @returns {Promise<Array<Object>>} Campaigns
+   */
+  async getAllCampaigns(options = {}) {
+    const campaigns = [];
+    for await (const campaign of this.iterateCampaigns(options)) {
+      campaigns.push(campaign);
+    }
+    return campaigns;
+  }
+
+  /**
+   * Get campaign details
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Campaign details response
+   */
+  async getCampaign(campaignId) {
+    if (!campaignId) throw new ValidationError('campaignId is required');
+    return this.get(`/campaigns/${encodeURIComponent(campaignId)}`, { operation: 'Failed to get campaign' });
+  }
+
+  /**
+   * Get keywords for a campaign
+   * @param {string} campaignId - Campaign ID
+   * @param {string} reportDate - Optional report date
+   * @returns {Promise<Object>} Keywords response
+   */
+  async getKeywords(campaignId, reportDate = null) {
+    if (!campaignId) throw new ValidationError('campaignId is required');
+    return this.get(`/campaigns/${encodeURIComponent(campaignId)}/keywords`, {
+      params: { reportDate },
+      operation: 'Failed to get keywords'
+    });
+  }
+
+  /**
+   * Get heatmap data
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} params - keywordId, cid, placeIds, reportDate
+   * @returns {Promise<Object>} Heatmap response
+   */
+  async getHeatmap(campaignId, params = {}) {
+    const { keywordId, cid, placeIds, reportDate } = params;
+
+    if (!campaignId) throw new ValidationError('campaignId is required');
+    if (!keywordId) throw new ValidationError('keywordId is required');
+    if (!cid && !placeIds) throw new ValidationError('Either cid or placeIds is required');
+
+    return this.get(`/campaigns/${encodeURIComponent(campaignId)}/heatmap`, {
+      params: { keywordId, cid, placeIds, reportDate },
+      operation: 'Failed to get heatmap'
+    });
+  }
+}
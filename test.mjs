@@ -1,6 +1,7 @@
 /**
  * Test script for the Semrush Heatmap Lambda function
- * This script demonstrates how to test the Lambda function locally
+ * This script demonstrates how to test the Lambda function locally against the live API
+ * (npm run test:live). The automated suite in test/ runs offline (npm test).
  */
 
 import { handler } from './index.mjs';
@@ -13,7 +14,8 @@ const TEST_CONFIG = {
   campaignId: "382738af-b6ae-4002-b6f6-c4c907b2b024", // Replace with your campaign ID
   keywordId: "319565ed-b433-4195-82cb-4146253d3311",   // Replace with your keyword ID
   cid: "7947215078713107333",                          // Replace with your business CID
-  reportDate: "2024-07-05T12:39:22.611Z"              // Optional: specific report date
+  reportDate: "2024-07-05T12:39:22.611Z",             // Optional: specific report date
+  includeMetrics: true                                 // Optional: add ARP/ATRP/SoLV metrics
 };
 
 /**
@@ -60,6 +62,13 @@ async function testLambdaFunction() {
         console.log(`   📍 Coordinates: ${firstPosition.point.coordinates.lat}, ${firstPosition.point.coordinates.lng}`);
         console.log(`   📈 Diff: ${firstPosition.diff}`);
       }
+
+      if (responseBody.metrics) {
+        const { arp, atrp, solv, top3Points, top10Points, notRankingPoints } = responseBody.metrics;
+        console.log('\n📊 Metrics:');
+        console.log(`   🎯 ARP: ${arp}  ATRP: ${atrp}  SoLV: ${solv}%`);
+        console.log(`   🥇 Top 3: ${top3Points}  🔟 Top 10: ${top10Points}  🚫 Not ranking: ${notRankingPoints}`);
+      }
     } else {
       console.log('❌ Request failed:');
       console.log(JSON.stringify(responseBody, null, 2));
@@ -105,6 +114,55 @@ async function testValidation() {
   }
 }
 
+/**
+ * Test API Gateway / Function URL event shapes
+ */
+async function testApiGatewayEvents() {
+  console.log('\n🧪 Testing API Gateway Events');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const proxyEvents = [
+    {
+      description: 'REST API (v1) CORS preflight',
+      event: { httpMethod: 'OPTIONS', requestContext: {} },
+      expectedStatus: 204
+    },
+    {
+      description: 'HTTP API (v2) malformed JSON body',
+      event: { version: '2.0', requestContext: { http: { method: 'POST' } }, body: '{not json' },
+      expectedStatus: 400
+    },
+    {
+      description: 'Function URL missing keywordId in query string',
+      event: {
+        version: '2.0',
+        requestContext: { http: { method: 'GET' }, domainName: 'abc.lambda-url.us-east-1.on.aws' },
+        queryStringParameters: { campaignId: TEST_CONFIG.campaignId, cid: TEST_CONFIG.cid }
+      },
+      expectedStatus: 400
+    }
+  ];
+
+  for (const test of proxyEvents) {
+    console.log(`🔍 Testing: ${test.description}`);
+
+    try {
+      const result = await handler(test.event);
+
+      console.log(`   📊 Status: ${result.statusCode}`);
+      console.log(`   🌍 CORS: ${result.headers?.['Access-Control-Allow-Origin'] || 'missing'}`);
+
+      if (result.statusCode === test.expectedStatus && result.headers?.['Access-Control-Allow-Origin']) {
+        console.log('   ✅ Event handled correctly\n');
+      } else {
+        console.log('   ❌ Unexpected response\n');
+      }
+    } catch (error) {
+      console.log(`   ❌ Unexpected error: ${error.message}\n`);
+    }
+  }
+}
+
 /**
  * Test with invalid access token
  */
@@ -146,6 +204,7 @@ async function runAllTests() {
   
   await testLambdaFunction();
   await testValidation();
+  await testApiGatewayEvents();
   await testInvalidToken();
   
   console.log('\n✅ Test suite completed!');
@@ -164,4 +223,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   });
 }
 
-export { testLambdaFunction, testValidation, testInvalidToken };
+export { testLambdaFunction, testValidation, testApiGatewayEvents, testInvalidToken };
@@ -0,0 +1,277 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { mkdtempSync, readFileSync, readdirSync, rmSync, statSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { startMockSemrushServer, MOCK_TOKENS } from './mock-semrush-server.mjs';
+import { startMockSheetsServer, createServiceAccountKey } from './mock-sheets-server.mjs';
+
+const CLI = fileURLToPath(new URL('../auth-cli.mjs', import.meta.url));
+const CAMPAIGN_ID = '382738af-b6ae-4002-b6f6-c4c907b2b024';
+const KEYWORD_ID = '319565ed-b433-4195-82cb-4146253d3311';
+const CID = '7947215078713107333';
+const COMPETITOR_PLACE_ID = 'ChIJx7m9xQ0z5xQRm5v8Qb2o1dE';
+
+describe('auth-cli', () => {
+  let mock;
+  let workDir;
+
+  // The mock runs in this process, so the CLI must run asynchronously
+  function runCli(args, env = {}) {
+    return new Promise((resolve) => {
+      execFile(process.execPath, [CLI, ...args], {
+        cwd: workDir,
+        timeout: 30000,
+        env: {
+          PATH: process.env.PATH,
+          SEMRUSH_API_BASE_URL: mock.apiBaseUrl,
+          SEMRUSH_OAUTH_BASE_URL: mock.oauthBaseUrl,
+          SEMRUSH_TOKEN_STORE: 'env',
+          SEMRUSH_ACCESS_TOKEN: MOCK_TOKENS.accessToken,
+          SEMRUSH_REFRESH_TOKEN: MOCK_TOKENS.refreshToken,
+          SEMRUSH_TOKEN_EXPIRES_AT: '2099-01-01T00:00:00.000Z',
+          SEMRUSH_CONFIG_DIR: join(workDir, 'config'),
+          HEATMAP_CACHE: 'none',
+          NO_COLOR: '1',
+          ...env
+        }
+      }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  before(async () => {
+    mock = await startMockSemrushServer();
+    workDir = mkdtempSync(join(tmpdir(), 'auth-cli-'));
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  describe('tokens', () => {
+    it('get-token runs the device flow and prints the new tokens', async () => {
+      mock.reset({ pendingPolls: 1 });
+
+      const { code, stdout } = await runCli(['get-token'], { SEMRUSH_ACCESS_TOKEN: '', SEMRUSH_REFRESH_TOKEN: '' });
+
+      assert.equal(code, 0);
+      assert.match(stdout, /User code: WDJB-MJHT/);
+      assert.match(stdout, /SEMRUSH_ACCESS_TOKEN=mock-access-token-1/);
+    });
+
+    it('refresh exchanges the refresh token', async () => {
+      const { code, stdout } = await runCli(['refresh']);
+
+      assert.equal(code, 0);
+      assert.match(stdout, /SEMRUSH_ACCESS_TOKEN=mock-access-token-1/);
+      assert.equal(mock.requests[0].route, 'token');
+    });
+
+    it('validate checks the token against the API', async () => {
+      const { code } = await runCli(['validate']);
+
+      assert.equal(code, 0);
+      assert.equal(mock.requests[0].route, 'campaigns');
+    });
+  });
+
+  describe('profiles', () => {
+    // Profiles are the default token store when SEMRUSH_TOKEN_STORE is not set
+    const profileEnv = () => ({ SEMRUSH_TOKEN_STORE: '', SEMRUSH_ACCESS_TOKEN: '', SEMRUSH_REFRESH_TOKEN: '' });
+
+    it('get-token --profile saves the tokens to a private profile file', async () => {
+      const { code, stdout } = await runCli(['get-token', '--profile', 'client-a'], profileEnv());
+
+      assert.equal(code, 0);
+      assert.match(stdout, /SEMRUSH_ACCESS_TOKEN_CLIENT_A=mock-access-token-1/);
+      const file = join(workDir, 'config', 'profiles', 'client-a.json');
+      assert.equal(statSync(file).mode & 0o777, 0o600);
+      assert.equal(JSON.parse(readFileSync(file, 'utf8')).access_token, 'mock-access-token-1');
+    });
+
+    it('lists, switches and deletes profiles', async () => {
+      await runCli(['get-token', '--profile', 'client-b'], profileEnv());
+
+      assert.equal((await runCli(['use-profile', 'client-b'], profileEnv())).code, 0);
+      const { stdout: listing } = await runCli(['profiles'], profileEnv());
+      assert.match(listing, /▶ client-b\s+✅ expires in 6d 23h/);
+      assert.equal((await runCli(['campaigns'], profileEnv())).code, 0);
+
+      assert.equal((await runCli(['delete-profile', 'client-b'], profileEnv())).code, 0);
+      const { stdout } = await runCli(['profiles', '--json'], profileEnv());
+      assert.deepEqual(JSON.parse(stdout).map(profile => [profile.name, profile.current, profile.expired]), [['client-a', false, false]]);
+    });
+
+    it('rejects invalid profile names', async () => {
+      const { code, stderr } = await runCli(['campaigns', '--profile', '../secrets'], profileEnv());
+
+      assert.equal(code, 1);
+      assert.match(stderr, /Invalid profile name/);
+    });
+  });
+
+  describe('campaigns and keywords', () => {
+    it('campaigns lists the campaigns', async () => {
+      const { code, stdout } = await runCli(['campaigns']);
+
+      assert.equal(code, 0);
+      assert.match(stdout, /Blue Lagoon Travel/);
+      assert.match(stdout, /Total campaigns: 2/);
+    });
+
+    it('campaigns --all --json prints every campaign as JSON', async () => {
+      const { code, stdout } = await runCli(['campaigns', '--all', '--json']);
+
+      assert.equal(code, 0);
+      assert.deepEqual(JSON.parse(stdout).map(campaign => campaign.business.name), ['Blue Lagoon Travel', 'Harbour Cafe']);
+    });
+
+    it('keywords lists the keywords of a campaign', async () => {
+      const { code, stdout } = await runCli(['keywords', CAMPAIGN_ID]);
+
+      assert.equal(code, 0);
+      assert.match(stdout, /"travel agency"/);
+      assert.match(stdout, /"holiday packages"/);
+    });
+  });
+
+  describe('heatmaps', () => {
+    it('heatmap prints the grid and metrics', async () => {
+      const { code, stdout } = await runCli(['heatmap', CAMPAIGN_ID, KEYWORD_ID, '--cid', CID]);
+
+      assert.equal(code, 0);
+      assert.match(stdout, /Keyword: travel agency/);
+      assert.match(stdout, /Points: 9 \(8 ranking, 1 not ranking\)/);
+    });
+
+    it('heatmap --format csv writes CSV to stdout', async () => {
+      const { code, stdout } = await runCli(['heatmap', CAMPAIGN_ID, KEYWORD_ID, '--cid', CID, '--format', 'csv']);
+
+      assert.equal(code, 0);
+      assert.equal(stdout.trim().split(/\r?\n/).length, 10);
+    });
+
+    it('heatmap reports every invalid argument', async () => {
+      const { code, stderr } = await runCli(['heatmap', 'nope', KEYWORD_ID, '--cid', 'abc']);
+
+      assert.equal(code, 1);
+      assert.match(stderr, /campaignId must be a UUID/);
+      assert.match(stderr, /cid must be a numeric business ID \(--cid\)/);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('heatmap exits with an error for an unknown campaign', async () => {
+      const { code, stderr } = await runCli(['heatmap', '00000000-0000-4000-8000-000000000000', KEYWORD_ID, '--cid', CID]);
+
+      assert.equal(code, 1);
+      assert.match(stderr, /Error fetching heatmap/);
+    });
+
+    it('export writes a file', async () => {
+      const out = join(workDir, 'heatmap.geojson');
+      const { code } = await runCli(['export', CAMPAIGN_ID, KEYWORD_ID, '--cid', CID, '--format', 'geojson', '--out', out]);
+
+      assert.equal(code, 0);
+      assert.equal(JSON.parse(readFileSync(out, 'utf8')).features.length, 9);
+    });
+
+    it('render writes an SVG image', async () => {
+      const out = join(workDir, 'heatmap.svg');
+      const { code } = await runCli(['render', CAMPAIGN_ID, KEYWORD_ID, '--cid', CID, '--out', out]);
+
+      assert.equal(code, 0);
+      assert.match(readFileSync(out, 'utf8'), /^<svg|<\?xml/);
+    });
+  });
+
+  describe('reports', () => {
+    it('competitors --json prints the leaderboard', async () => {
+      const { code, stdout } = await runCli([
+        'competitors', CAMPAIGN_ID, KEYWORD_ID, '--cid', CID, '--place-ids', COMPETITOR_PLACE_ID, '--json'
+      ]);
+
+      assert.equal(code, 0);
+      const comparison = JSON.parse(stdout);
+      assert.equal(comparison.leaderboard.length, 2);
+      assert.equal(comparison.leaderboard[0].own, true);
+    });
+
+    it('trend --format csv prints one row per report', async () => {
+      const { code, stdout } = await runCli([
+        'trend', CAMPAIGN_ID, KEYWORD_ID, '--cid', CID, '--from', '2024-06-01', '--to', '2024-06-15', '--format', 'csv'
+      ]);
+
+      assert.equal(code, 0);
+      assert.equal(stdout.trim().split(/\r?\n/).length, 4);
+    });
+
+    it('sheets writes every keyword of the campaign to a spreadsheet', async () => {
+      const spreadsheetId = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms';
+      const { key, publicKey } = createServiceAccountKey();
+      const sheets = await startMockSheetsServer({ publicKey, clientEmail: key.client_email });
+      sheets.createSpreadsheet(spreadsheetId);
+
+      try {
+        const { code, stdout } = await runCli(['sheets', CAMPAIGN_ID, '--cid', CID, '--spreadsheet', spreadsheetId], {
+          GOOGLE_SHEETS_API_URL: sheets.apiUrl,
+          GOOGLE_SERVICE_ACCOUNT_KEY: JSON.stringify(key)
+        });
+
+        assert.equal(code, 0);
+        assert.match(stdout, /Exported 2 tab\(s\)/);
+        assert.ok(sheets.spreadsheets.get(spreadsheetId).has('holiday packages 2024-07-05'));
+      } finally {
+        await sheets.close();
+      }
+    });
+
+    it('report writes a branded HTML file', async () => {
+      const config = join(workDir, 'report-config.json');
+      const out = join(workDir, 'report.html');
+      writeFileSync(config, JSON.stringify({ theme: { primaryColor: '#0b5394' }, branding: { name: 'Acme SEO' } }));
+
+      const { code, stdout } = await runCli(['report', CAMPAIGN_ID, '--config', config, '--out', out]);
+      const html = readFileSync(out, 'utf8');
+
+      assert.equal(code, 0);
+      assert.match(stdout, /Report saved to/);
+      assert.match(html, /Blue Lagoon Travel/);
+      assert.match(html, /Acme SEO/);
+      assert.match(html, /--primary:#0b5394/);
+      assert.equal(html.match(/<svg class="grid"/g).length, 2);
+    });
+
+    it('snapshot archives every keyword of every campaign', async () => {
+      const out = join(workDir, 'snapshots');
+      const { code, stdout } = await runCli(['snapshot', '--out', out]);
+
+      assert.equal(code, 0);
+      assert.match(stdout, /Written: 4/);
+      assert.equal(readdirSync(join(out, CAMPAIGN_ID)).length, 2);
+    });
+  });
+
+  describe('usage', () => {
+    it('help prints the commands', async () => {
+      const { code, stdout } = await runCli(['help']);
+
+      assert.equal(code, 0);
+      assert.match(stdout, /Usage: node auth-cli\.mjs/);
+    });
+
+    it('exits with 1 for an unknown command', async () => {
+      const { code } = await runCli(['nope']);
+
+      assert.equal(code, 1);
+    });
+  });
+});
@@ -0,0 +1,564 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockSemrushServer, loadFixture, MOCK_TOKENS } from './mock-semrush-server.mjs';
+import { startMockSheetsServer, createServiceAccountKey } from './mock-sheets-server.mjs';
+import { handler } from '../index.mjs';
+
+const CAMPAIGN_ID = '382738af-b6ae-4002-b6f6-c4c907b2b024';
+const KEYWORD_ID = '319565ed-b433-4195-82cb-4146253d3311';
+const CID = '7947215078713107333';
+
+function parseBody(response) {
+  return JSON.parse(response.body);
+}
+
+describe('handler', () => {
+  let mock;
+  let snapshotDir;
+
+  before(async () => {
+    mock = await startMockSemrushServer();
+    snapshotDir = mkdtempSync(join(tmpdir(), 'heatmap-snapshots-'));
+
+    // The handler builds its client on the first call, so this must happen before any test runs
+    Object.assign(process.env, {
+      SEMRUSH_API_BASE_URL: mock.apiBaseUrl,
+      SEMRUSH_OAUTH_BASE_URL: mock.oauthBaseUrl,
+      SEMRUSH_TOKEN_STORE: 'env',
+      SEMRUSH_ACCESS_TOKEN: MOCK_TOKENS.accessToken,
+      SEMRUSH_REFRESH_TOKEN: MOCK_TOKENS.refreshToken,
+      SEMRUSH_TOKEN_EXPIRES_AT: '2099-01-01T00:00:00.000Z',
+      HEATMAP_CACHE: 'none',
+      SNAPSHOT_DIR: snapshotDir,
+      LOG_LEVEL: 'silent'
+    });
+  });
+
+  after(async () => {
+    await mock.close();
+    rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  describe('single heatmap', () => {
+    it('returns the heatmap with metrics for a direct invocation', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, includeMetrics: true });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(body.data, loadFixture('heatmap'));
+      assert.equal(body.metrics.totalPoints, 9);
+      assert.equal(body.metrics.foundPoints, 8);
+      assert.deepEqual(body.requestParams, { campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID });
+      assert.equal(mock.requests[0].query.cid, CID);
+    });
+
+    it('reads parameters from an HTTP API (v2) event and adds CORS headers', async () => {
+      const response = await handler({
+        version: '2.0',
+        routeKey: 'GET /heatmap',
+        rawPath: '/heatmap',
+        requestContext: { http: { method: 'GET' } },
+        queryStringParameters: { campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, placeIds: 'ChIJD61nCjmD4BQRhaNSCAIuSm4' }
+      });
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.headers['Access-Control-Allow-Origin'], '*');
+      assert.equal(mock.requests[0].query.placeIds, 'ChIJD61nCjmD4BQRhaNSCAIuSm4');
+    });
+
+    it('answers CORS preflights without calling Semrush', async () => {
+      const response = await handler({ httpMethod: 'OPTIONS', resource: '/heatmap', headers: {}, requestContext: { stage: 'prod' } });
+
+      assert.equal(response.statusCode, 204);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('adds the grid layout and rings analysis', async () => {
+      const body = parseBody(await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, rings: '1,3' }));
+
+      assert.deepEqual(body.data, loadFixture('heatmap'));
+      assert.equal(body.geometry.size, 3);
+      assert.equal(body.geometry.points.length, 9);
+      assert.deepEqual(body.geometry.rings.map(ring => [ring.radiusKm, ring.points]), [[1, 5], [3, 9]]);
+    });
+
+    it('exports CSV with one row per grid point', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, format: 'csv' });
+
+      assert.equal(response.statusCode, 200);
+      assert.match(response.headers['Content-Type'], /^text\/csv/);
+      assert.equal(response.body.trim().split(/\r?\n/).length, 10);
+    });
+
+    it('exports GeoJSON', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, format: 'geojson' });
+      const body = parseBody(response);
+
+      assert.equal(body.type, 'FeatureCollection');
+      assert.equal(body.features.length, 9);
+    });
+
+    it('renders SVG with the business name from the campaign', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, format: 'svg' });
+
+      assert.equal(response.statusCode, 200);
+      assert.match(response.headers['Content-Type'], /^image\/svg\+xml/);
+      assert.match(response.body, /Blue Lagoon Travel/);
+    });
+
+    it('compares two report dates', async () => {
+      const response = await handler({
+        campaignId: CAMPAIGN_ID,
+        keywordId: KEYWORD_ID,
+        cid: CID,
+        reportDate: '2024-07-05',
+        compareDate: '2024-06-05'
+      });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.ok(body.data.comparison);
+      assert.deepEqual(mock.requests.map(request => request.query.reportDate).sort(), ['2024-06-05', '2024-07-05']);
+    });
+
+    it('rejects a compareDate that is not before reportDate', async () => {
+      const base = { campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, reportDate: '2024-06-05' };
+
+      for (const compareDate of ['2024-07-05', '2024-06-05']) {
+        const response = await handler({ ...base, compareDate });
+        const [error] = parseBody(response).errors;
+
+        assert.equal(response.statusCode, 400);
+        assert.deepEqual([error.field, error.code], ['compareDate', 'out_of_range']);
+      }
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('rejects a compareDate newer than the latest report', async () => {
+      // The latest fixture report is from 2024-07-05
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, compareDate: '2024-08-01' });
+
+      assert.equal(response.statusCode, 400);
+      assert.match(parseBody(response).message, /not older than 2024-07-05/);
+    });
+  });
+
+  describe('batch mode', () => {
+    it('fetches every keyword of the campaign', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, cid: CID, allKeywords: true });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(body.data.total, 2);
+      assert.equal(body.data.succeeded, 2);
+    });
+  });
+
+  describe('validation', () => {
+    it('lists every invalid field with a machine-readable code', async () => {
+      const response = await handler({ campaignId: 'nope', keywordId: KEYWORD_ID, format: 'gif' });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 400);
+      assert.equal(body.code, 'validation_failed');
+      assert.deepEqual(
+        body.errors.map(error => [error.field, error.code]),
+        [['campaignId', 'invalid_uuid'], ['format', 'invalid_enum'], ['cid', 'required']]
+      );
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('rejects alert rules with unknown metrics', async () => {
+      const response = await handler({
+        campaignId: CAMPAIGN_ID,
+        keywordId: KEYWORD_ID,
+        cid: CID,
+        alerts: true,
+        alertRules: [{ type: 'worsened', metric: 'avgRank', by: 2 }]
+      });
+      const [error] = parseBody(response).errors;
+
+      assert.equal(response.statusCode, 400);
+      assert.equal(error.code, 'invalid_alert_rule');
+      assert.match(error.message, /Unknown alert metric: avgRank/);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('rejects malformed JSON bodies', async () => {
+      const response = await handler({ version: '2.0', requestContext: { http: { method: 'POST' } }, body: '{not json' });
+
+      assert.equal(response.statusCode, 400);
+    });
+  });
+
+  describe('profiles', () => {
+    it('uses the tokens of the requested profile', async () => {
+      process.env.SEMRUSH_ACCESS_TOKEN_CLIENT_A = 'revoked';
+      process.env.SEMRUSH_REFRESH_TOKEN_CLIENT_A = MOCK_TOKENS.refreshToken;
+
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, profile: 'client-a' });
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(mock.requests.map(request => request.route), ['heatmap', 'token', 'heatmap']);
+      assert.match(process.env.SEMRUSH_ACCESS_TOKEN_CLIENT_A, /^mock-access-token-/);
+      assert.equal(process.env.SEMRUSH_ACCESS_TOKEN, MOCK_TOKENS.accessToken);
+    });
+
+    it('reads the unsuffixed token variables for the default profile', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, profile: 'default' });
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(mock.requests[0].headers.authorization, `Bearer ${MOCK_TOKENS.accessToken}`);
+      assert.equal(process.env.SEMRUSH_ACCESS_TOKEN_DEFAULT, undefined);
+    });
+
+    it('rejects profiles without tokens', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, profile: 'client-z' });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 400);
+      assert.deepEqual(body.errors.map(error => [error.field, error.code]), [['profile', 'unknown_profile']]);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('explains a secret ID without {profile} instead of failing with 500', async () => {
+      Object.assign(process.env, { SEMRUSH_TOKEN_STORE: 'secrets-manager', SEMRUSH_TOKEN_SECRET_ID: 'semrush-tokens' });
+      try {
+        const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, profile: 'client-a' });
+        const [error] = parseBody(response).errors;
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(error.code, 'unsupported');
+        assert.match(error.message, /must contain \{profile\}/);
+      } finally {
+        process.env.SEMRUSH_TOKEN_STORE = 'env';
+        delete process.env.SEMRUSH_TOKEN_SECRET_ID;
+      }
+    });
+
+    it('validates the profile name', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, profile: '../client' });
+
+      assert.equal(parseBody(response).errors[0].code, 'invalid_profile');
+    });
+  });
+
+  describe('Google Sheets export', () => {
+    const spreadsheetId = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms';
+    let sheets;
+
+    before(async () => {
+      const { key, publicKey } = createServiceAccountKey();
+      sheets = await startMockSheetsServer({ publicKey, clientEmail: key.client_email });
+      sheets.createSpreadsheet(spreadsheetId);
+      process.env.GOOGLE_SHEETS_API_URL = sheets.apiUrl;
+      process.env.GOOGLE_SERVICE_ACCOUNT_KEY = JSON.stringify(key);
+    });
+
+    after(async () => {
+      delete process.env.GOOGLE_SHEETS_API_URL;
+      delete process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+      await sheets.close();
+    });
+
+    it('writes one tab per keyword of a batch', async () => {
+      const response = await handler({ campaignId: CAMPAIGN_ID, cid: CID, allKeywords: true, sheets: true, spreadsheetId });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(body.sheets.exported, true);
+      assert.deepEqual(body.sheets.tabs.map(tab => tab.title).sort(), ['holiday packages 2024-07-05', 'travel agency 2024-07-05']);
+      const summary = sheets.spreadsheets.get(spreadsheetId).get('travel agency 2024-07-05');
+      assert.deepEqual(summary.find(row => row[0] === 'Business'), ['Business', 'Blue Lagoon Travel']);
+    });
+
+    it('reports export failures without failing the request', async () => {
+      const response = await handler({
+        campaignId: CAMPAIGN_ID,
+        keywordId: KEYWORD_ID,
+        cid: CID,
+        sheets: true,
+        spreadsheetId: 'unknownSpreadsheet0000000000'
+      });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(body.sheets.exported, false);
+      assert.match(body.sheets.error, /Requested entity was not found/);
+    });
+
+    it('skips the export for sheets=false and sheets=0 in the query string', async () => {
+      sheets.requests.length = 0;
+      for (const value of ['false', '0']) {
+        const response = await handler({
+          version: '2.0',
+          rawPath: '/heatmap',
+          requestContext: { http: { method: 'GET' } },
+          queryStringParameters: { campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, sheets: value, spreadsheetId }
+        });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(parseBody(response).sheets, undefined);
+      }
+      assert.equal(sheets.requests.length, 0);
+    });
+  });
+
+  describe('campaign overview', () => {
+    it('combines the campaign, its keywords and their latest metrics', async () => {
+      const response = await handler({ action: 'overview', campaignId: CAMPAIGN_ID });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(body.data.campaign.business.name, 'Blue Lagoon Travel');
+      assert.equal(body.data.campaign.pointsNumber, 9);
+      assert.deepEqual(body.data.keywords.map(keyword => [keyword.name, keyword.status]), [
+        ['travel agency', 'ACTIVE'],
+        ['holiday packages', 'ACTIVE']
+      ]);
+      assert.equal(body.data.keywords[0].metrics.totalPoints, 9);
+      assert.equal(body.data.keywords[0].metrics.foundPoints, 8);
+      assert.equal(body.data.summary.withMetrics, 2);
+      assert.equal(body.data.partial, false);
+      // The campaign's own business is used when no cid is given
+      assert.ok(mock.requests.filter(request => request.route === 'heatmap').every(request => request.query.cid === CID));
+    });
+
+    it('reports keywords whose heatmap failed without failing the overview', async () => {
+      mock.script('heatmap', { status: 404, body: { error: { code: 404, message: 'Keyword not found' } } });
+
+      const body = parseBody(await handler({ action: 'overview', campaignId: CAMPAIGN_ID }));
+      const failed = body.data.keywords.filter(keyword => keyword.error);
+
+      assert.equal(failed.length, 1);
+      assert.equal(failed[0].metrics, null);
+      assert.equal(failed[0].error.type, 'NotFoundError');
+      assert.equal(body.data.summary.failed, 1);
+      assert.equal(body.data.partial, true);
+    });
+
+    it('still lists keywords when the campaign request fails', async () => {
+      mock.script('campaign', ...Array(4).fill({ status: 500, body: { error: { code: 500, message: 'Internal error' } } }));
+
+      const body = parseBody(await handler({ action: 'overview', campaignId: CAMPAIGN_ID, cid: CID }));
+
+      assert.equal(body.data.campaign.business, null);
+      assert.equal(body.data.errors[0].part, 'campaign');
+      assert.equal(body.data.summary.withMetrics, 2);
+      assert.equal(body.data.partial, true);
+    });
+
+    it('returns 404 for an unknown campaign', async () => {
+      const response = await handler({ action: 'overview', campaignId: '00000000-0000-4000-8000-000000000000' });
+
+      assert.equal(response.statusCode, 404);
+      assert.equal(parseBody(response).error.type, 'NotFoundError');
+    });
+  });
+
+  describe('actions', () => {
+    it('lists campaigns in the response envelope', async () => {
+      const body = parseBody(await handler({ action: 'listCampaigns', all: true }));
+
+      assert.equal(body.success, true);
+      assert.equal(body.error, null);
+      assert.deepEqual(body.data.content.map(campaign => campaign.business.name), ['Blue Lagoon Travel', 'Harbour Cafe']);
+      assert.deepEqual(body.requestParams, { action: 'listCampaigns', all: true });
+      assert.ok(body.timestamp);
+    });
+
+    it('dispatches on the HTTP route', async () => {
+      const event = (method, rawPath, rawQueryString = '') => ({
+        version: '2.0',
+        rawPath,
+        rawQueryString,
+        requestContext: { http: { method, path: rawPath }, domainName: 'api.example.com' },
+        queryStringParameters: Object.fromEntries(new URLSearchParams(rawQueryString))
+      });
+
+      const campaign = parseBody(await handler(event('GET', `/prod/campaigns/${CAMPAIGN_ID}`)));
+      const keywords = parseBody(await handler(event('GET', `/campaigns/${CAMPAIGN_ID}/keywords`)));
+      const heatmap = parseBody(await handler(event('GET', `/campaigns/${CAMPAIGN_ID}/keywords/${KEYWORD_ID}/heatmap`, `cid=${CID}&includeMetrics=true`)));
+
+      assert.equal(campaign.data.business.name, 'Blue Lagoon Travel');
+      assert.equal(campaign.requestParams.action, 'getCampaign');
+      assert.equal(keywords.data.keywords.length, 2);
+      assert.equal(heatmap.data.positions.length, 9);
+      assert.equal(heatmap.data.metrics.foundPoints, 8);
+      assert.deepEqual(heatmap.requestParams, { action: 'getHeatmap', campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID });
+    });
+
+    it('validates the parameters of each action', async () => {
+      const missing = await handler({ action: 'getHeatmap', campaignId: CAMPAIGN_ID });
+      const unknown = parseBody(await handler({ action: 'deleteCampaign' }));
+      const body = parseBody(missing);
+
+      assert.equal(missing.statusCode, 400);
+      assert.equal(body.success, false);
+      assert.equal(body.data, null);
+      assert.equal(body.error.code, 'validation_failed');
+      assert.deepEqual(body.error.errors.map(error => error.field), ['keywordId', 'cid']);
+      assert.equal(unknown.error.errors[0].code, 'invalid_enum');
+      assert.equal(parseBody(await handler({ action: 'getHeatmap', campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, rings: [0] })).error.errors[0].code, 'out_of_range');
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('reports Semrush errors in the envelope', async () => {
+      const response = await handler({ action: 'getCampaign', campaignId: '00000000-0000-4000-8000-000000000000' });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 404);
+      assert.equal(body.success, false);
+      assert.deepEqual(
+        { code: body.error.code, type: body.error.type, message: body.error.message },
+        { code: 'semrush_error', type: 'NotFoundError', message: 'Campaign not found' }
+      );
+    });
+  });
+
+  describe('Semrush errors', () => {
+    it('passes 404 through with the error type', async () => {
+      const response = await handler({ campaignId: '00000000-0000-4000-8000-000000000000', keywordId: KEYWORD_ID, cid: CID });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 404);
+      assert.equal(body.type, 'NotFoundError');
+      assert.equal(body.message, 'Campaign not found');
+      assert.ok(body.requestId);
+    });
+
+    it('retries a 429 and succeeds', async () => {
+      mock.script('heatmap', { status: 429, headers: { 'Retry-After': '0' } });
+
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID });
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(mock.requests.filter(request => request.route === 'heatmap').length, 2);
+    });
+
+    it('refreshes a rejected access token and retries', async () => {
+      process.env.SEMRUSH_ACCESS_TOKEN = 'revoked';
+
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID });
+
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(mock.requests.map(request => request.route), ['heatmap', 'token', 'heatmap']);
+      assert.match(process.env.SEMRUSH_ACCESS_TOKEN, /^mock-access-token-/);
+      process.env.SEMRUSH_ACCESS_TOKEN = MOCK_TOKENS.accessToken;
+    });
+
+    it('returns the Semrush status after retries are exhausted', async () => {
+      mock.script('heatmap', ...Array(4).fill({ status: 500, body: { error: { code: 500, message: 'Internal error' } } }));
+
+      const response = await handler({ campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 500);
+      assert.equal(body.error, 'Semrush API error');
+      assert.equal(body.message, 'Internal error');
+    });
+  });
+
+  describe('modes', () => {
+    it('competitors: ranks our business against competitors', async () => {
+      const response = await handler({
+        mode: 'competitors',
+        campaignId: CAMPAIGN_ID,
+        keywordId: KEYWORD_ID,
+        cid: CID,
+        placeIds: ['ChIJx7m9xQ0z5xQRm5v8Qb2o1dE']
+      });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(body.data.leaderboard.length, 2);
+      assert.equal(body.data.leaderboard[0].own, true);
+    });
+
+    it('trend: builds one point per report date', async () => {
+      const response = await handler({
+        mode: 'trend',
+        campaignId: CAMPAIGN_ID,
+        keywordId: KEYWORD_ID,
+        cid: CID,
+        reportDates: ['2024-07-01', '2024-06-01']
+      });
+      const body = parseBody(response);
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(body.data.reports, 2);
+      assert.equal(body.data.from, '2024-06-01');
+      assert.deepEqual(body.data.drops, []);
+    });
+
+    it('report: returns a self-contained HTML document', async () => {
+      const response = await handler({
+        mode: 'report',
+        campaignId: CAMPAIGN_ID,
+        keywordIds: [KEYWORD_ID],
+        branding: { name: 'Acme SEO', footer: 'Prepared by Acme' }
+      });
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.headers['Content-Type'], 'text/html; charset=utf-8');
+      assert.match(response.headers['Content-Disposition'], new RegExp(`report-${CAMPAIGN_ID}-2024-07-05\\.html`));
+      assert.match(response.body, /Blue Lagoon Travel/);
+      assert.match(response.body, /Prepared by Acme/);
+      assert.doesNotMatch(response.body, /<(link|script)\b|src="http/);
+    });
+
+    it('report: rejects logo files and invalid colours from the request', async () => {
+      const logo = await handler({ mode: 'report', campaignId: CAMPAIGN_ID, branding: { logo: '/etc/passwd.png' } });
+      const colour = await handler({ mode: 'report', campaignId: CAMPAIGN_ID, theme: { primaryColor: 'red;}body{' } });
+
+      assert.equal(logo.statusCode, 400);
+      assert.match(parseBody(logo).message, /data: URI/);
+      assert.equal(colour.statusCode, 400);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('snapshot: archives every keyword once', async () => {
+      const event = { source: 'aws.events', 'detail-type': 'Scheduled Event', detail: {} };
+
+      const first = parseBody(await handler(event));
+      const second = parseBody(await handler(event));
+
+      assert.equal(first.data.campaigns, 2);
+      assert.equal(first.data.written, 4);
+      assert.equal(second.data.written, 0);
+      assert.equal(second.data.skipped, 4);
+    });
+
+    it('trend: reads archive ranges longer than the API limit', async () => {
+      const response = await handler({
+        mode: 'trend',
+        source: 'archive',
+        campaignId: CAMPAIGN_ID,
+        keywordId: KEYWORD_ID,
+        from: '2020-01-01',
+        intervalDays: 1
+      });
+
+      assert.equal(response.statusCode, 200);
+      assert.equal(parseBody(response).data.reports, 1);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('trend: limits the number of reportDates fetched from the API', async () => {
+      const reportDates = Array.from({ length: 61 }, (_, day) => new Date(Date.UTC(2024, 0, day + 1)).toISOString().slice(0, 10));
+
+      const response = await handler({ mode: 'trend', campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, reportDates });
+
+      assert.equal(response.statusCode, 400);
+      assert.match(parseBody(response).message, /reportDates lists 61 dates \(max 60\)/);
+      assert.equal(mock.requests.length, 0);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { loadFixture } from './mock-semrush-server.mjs';
+import {
+  evaluateAlerts,
+  parseAlertRules,
+  previousFromDiff,
+  buildAlertPayload,
+  signPayload,
+  sendAlertWebhook
+} from '../heatmap-alerts.mjs';
+
+const CENTER = { lat: 34.9019780914626, lng: 33.642924069807 };
+
+function withCenter(position, diff) {
+  const heatmap = loadFixture('heatmap');
+  const center = heatmap.data.positions.find(item =>
+    item.point.coordinates.lat === CENTER.lat && item.point.coordinates.lng === CENTER.lng);
+  Object.assign(center, { position, diff });
+  return heatmap;
+}
+
+function worseBy(heatmap, offset) {
+  const copy = structuredClone(heatmap);
+  for (const item of copy.data.positions) {
+    if (item.position > 0) item.position += offset;
+  }
+  return copy;
+}
+
+describe('heatmap-alerts', () => {
+  describe('rules', () => {
+    it('fires threshold rules only past their limit', () => {
+      // Fixture: 4 of 9 points in the top 3 (SoLV 44.44%)
+      const rules = [
+        { type: 'below', metric: 'solv', value: 50 },
+        { type: 'below', metric: 'solv', value: 40 },
+        { type: 'above', metric: 'bestPosition', value: 0 },
+        { type: 'above', metric: 'bestPosition', value: 1 }
+      ];
+
+      const alerts = evaluateAlerts(loadFixture('heatmap'), null, rules);
+
+      assert.deepEqual(alerts.map(alert => alert.rule), [rules[0], rules[2]]);
+      assert.match(alerts[0].message, /Top-3 share is 44\.44%, below 50%/);
+    });
+
+    it('fires worsened when the metric moved by more than `by`', () => {
+      const previous = loadFixture('heatmap');
+      const current = worseBy(previous, 3);
+
+      const fired = evaluateAlerts(current, previous, [{ type: 'worsened', metric: 'arp', by: 2 }]);
+      const quiet = evaluateAlerts(current, previous, [{ type: 'worsened', metric: 'arp', by: 3 }]);
+      const improved = evaluateAlerts(previous, current, [{ type: 'worsened', metric: 'arp', by: 2 }]);
+
+      assert.equal(fired.length, 1);
+      assert.equal(fired[0].current - fired[0].previous, 3);
+      assert.deepEqual(quiet, []);
+      assert.deepEqual(improved, []);
+    });
+
+    it('fires center-lost from the diff baseline when the centre stopped ranking', () => {
+      // Was #3, now not ranking (counted as 21): diff = 3 - 21
+      const current = withCenter(0, -18);
+
+      const alerts = evaluateAlerts(current, previousFromDiff(current), [{ type: 'center-lost' }]);
+
+      assert.equal(alerts.length, 1);
+      assert.equal(alerts[0].previous, 3);
+      assert.match(alerts[0].message, /Centre point lost \(was #3/);
+    });
+
+    it('counts lost points when rebuilding the previous report from diff', () => {
+      const previous = previousFromDiff(withCenter(null, -18));
+      const center = previous.data.positions.find(item => item.point.coordinates.lat === CENTER.lat
+        && item.point.coordinates.lng === CENTER.lng);
+
+      assert.equal(center.position, 3);
+      // The not-ranking fixture point has no diff and stays out
+      assert.equal(previous.data.positions.length, 8);
+    });
+
+    it('does not fire center-lost while the centre still ranks', () => {
+      const current = withCenter(4, -3);
+
+      assert.deepEqual(evaluateAlerts(current, previousFromDiff(current), [{ type: 'center-lost' }]), []);
+    });
+
+    it('rejects unknown rule types and metrics and missing limits', () => {
+      assert.throws(() => parseAlertRules([{ type: 'dropped', metric: 'arp' }]), /Unknown alert rule type: dropped/);
+      assert.throws(() => parseAlertRules([{ type: 'worsened', metric: 'avgRank', by: 2 }]), /Unknown alert metric: avgRank/);
+      assert.throws(() => parseAlertRules('[{"type":"below","metric":"solv"}]'), /needs a numeric value/);
+      assert.throws(() => parseAlertRules({ type: 'center-lost' }), /must be an array/);
+      assert.equal(parseAlertRules([{ type: 'above', metric: 'atrp', value: 10 }]).length, 1);
+    });
+  });
+
+  describe('webhook', () => {
+    let server;
+    let url;
+    const received = [];
+    const replies = [];
+
+    before(async () => {
+      server = createServer(async (request, response) => {
+        const chunks = [];
+        for await (const chunk of request) chunks.push(chunk);
+        received.push({ headers: request.headers, body: Buffer.concat(chunks).toString('utf8') });
+
+        const { status = 200, delayMs = 0 } = replies.shift() || {};
+        setTimeout(() => {
+          response.writeHead(status, { 'Content-Type': 'text/plain' });
+          response.end(status < 300 ? 'ok' : 'error');
+        }, delayMs);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      received.length = 0;
+      replies.length = 0;
+    });
+
+    it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+      assert.equal(
+        signPayload('{"text":"hello"}', 'webhook-secret', 1700000000),
+        'sha256=52c137a987527aa8267016950ca9b03044595b3f1f824576172df0fc1d703119'
+      );
+    });
+
+    it('posts the payload with a verifiable signature', async () => {
+      const alerts = evaluateAlerts(loadFixture('heatmap'), null, [{ type: 'below', metric: 'solv', value: 50 }]);
+      const payload = buildAlertPayload(alerts, { campaignId: 'c1', keywordName: 'travel agency' });
+
+      const result = await sendAlertWebhook(payload, { url, secret: 'webhook-secret' });
+      const [{ headers, body }] = received;
+
+      assert.equal(result.status, 200);
+      assert.equal(headers['content-type'], 'application/json');
+      assert.deepEqual(JSON.parse(body), payload);
+      assert.equal(headers['x-signature-256'], signPayload(body, 'webhook-secret', Number(headers['x-signature-timestamp'])));
+    });
+
+    it('leaves the signature out without a secret', async () => {
+      await sendAlertWebhook({ text: 'hello' }, { url, secret: '' });
+
+      assert.equal(received[0].headers['x-signature-256'], undefined);
+    });
+
+    it('rejects non-2xx answers and timeouts', async () => {
+      replies.push({ status: 500 }, { delayMs: 500 });
+
+      await assert.rejects(sendAlertWebhook({ text: 'hello' }, { url }), /status code 500/);
+      await assert.rejects(sendAlertWebhook({ text: 'hello' }, { url, timeout: 50 }), /timeout/);
+    });
+
+    it('needs a webhook URL', async () => {
+      await assert.rejects(sendAlertWebhook({ text: 'hello' }, { url: '' }), /ALERT_WEBHOOK_URL is not configured/);
+    });
+  });
+});
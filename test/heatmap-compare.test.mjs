@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareHeatmaps, coordinateKey } from '../heatmap-compare.mjs';
+
+function heatmap(date, positions) {
+  return {
+    data: {
+      date,
+      positions: Object.entries(positions).map(([id, position]) => ({
+        point: { id, coordinates: { lat: 35, lng: 33 + Number(id.slice(1)) / 100 } },
+        position
+      }))
+    }
+  };
+}
+
+// p4 is only in the current grid; 0 means not found (counted as 21)
+const PREVIOUS = heatmap('2024-06-28', { p0: 5, p1: 2, p2: 0, p3: 4 });
+const CURRENT = heatmap('2024-07-05', { p0: 3, p1: 6, p2: 8, p3: 0, p4: 1 });
+
+function pick(object, names) {
+  return Object.fromEntries(names.map(name => [name, object[name]]));
+}
+
+describe('heatmap-compare', () => {
+  it('matches points by coordinates and sorts them by status', () => {
+    const result = compareHeatmaps(CURRENT, PREVIOUS);
+    const ids = points => points.map(point => point.pointId);
+
+    assert.equal(result.currentDate, '2024-07-05');
+    assert.equal(result.previousDate, '2024-06-28');
+    assert.equal(result.matchedPoints, 4);
+    assert.equal(result.unmatchedCurrentPoints, 1);
+    assert.equal(result.unmatchedPreviousPoints, 0);
+    assert.deepEqual(ids(result.improved), ['p0']);
+    assert.deepEqual(ids(result.declined), ['p1']);
+    assert.deepEqual(ids(result.gained), ['p2']);
+    assert.deepEqual(ids(result.lost), ['p3']);
+    assert.deepEqual(result.summary, { improved: 1, declined: 1, gained: 1, lost: 1 });
+  });
+
+  it('reports per-point changes as previous minus current rank', () => {
+    const { points } = compareHeatmaps(CURRENT, PREVIOUS);
+
+    assert.deepEqual(
+      points.map(point => [point.pointId, point.previousPosition, point.currentPosition, point.change]),
+      [
+        ['p0', 5, 3, 2],
+        ['p1', 2, 6, -4],
+        ['p2', null, 8, 13],
+        ['p3', 4, null, -17]
+      ]
+    );
+  });
+
+  it('reports metric deltas as current minus previous', () => {
+    const { metrics } = compareHeatmaps(CURRENT, PREVIOUS);
+    const names = ['totalPoints', 'foundPoints', 'top3Points', 'arp', 'atrp', 'solv', 'coverage', 'bestPosition', 'worstPosition'];
+
+    // Current: 3, 6, 8, -, 1 / previous: 5, 2, -, 4
+    assert.deepEqual(pick(metrics.current, ['arp', 'atrp', 'solv']), { arp: 4.5, atrp: 7.8, solv: 40 });
+    assert.deepEqual(pick(metrics.previous, ['arp', 'atrp', 'solv']), { arp: 3.67, atrp: 8, solv: 25 });
+    assert.deepEqual(pick(metrics.delta, names), {
+      totalPoints: 1,
+      foundPoints: 1,
+      top3Points: 1,
+      arp: 0.83,
+      atrp: -0.2,
+      solv: 15,
+      coverage: 5,
+      bestPosition: -1,
+      worstPosition: 3
+    });
+    assert.equal('maxRank' in metrics.delta, false);
+    assert.equal('averageDiff' in metrics.delta, false);
+  });
+
+  it('absorbs float noise in coordinates', () => {
+    assert.equal(coordinateKey({ lat: 34.9019780914626, lng: 33.642924069807 }), coordinateKey({ lat: 34.901978091, lng: 33.6429240698 }));
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './mock-semrush-server.mjs';
+import {
+  inferGridLayout,
+  computeRings,
+  buildGridGeometry,
+  distanceKm,
+  bearingDegrees,
+  compassDirection
+} from '../heatmap-geometry.mjs';
+
+describe('heatmap-geometry', () => {
+  it('measures distance and bearing between points', () => {
+    const larnaca = { lat: 34.9, lng: 33.63 };
+
+    assert.equal(Math.round(distanceKm(larnaca, { lat: 35.9, lng: 33.63 })), 111);
+    assert.equal(bearingDegrees(larnaca, { lat: 35, lng: 33.63 }), 0);
+    assert.equal(Math.round(bearingDegrees(larnaca, { lat: 34.9, lng: 33.5 })), 270);
+    assert.deepEqual([0, 44, 100, 180, 300, 350].map(compassDirection), ['N', 'NE', 'E', 'S', 'NW', 'N']);
+  });
+
+  it('reconstructs rows, columns, spacing and centre from the flat point list', () => {
+    const layout = inferGridLayout(loadFixture('heatmap'));
+
+    assert.equal(layout.rows, 3);
+    assert.equal(layout.columns, 3);
+    assert.equal(layout.size, 3);
+    assert.equal(layout.complete, true);
+    assert.equal(layout.spacing.northSouthKm, 1.001);
+    assert.equal(layout.spacing.eastWestKm, 0.903);
+    assert.ok(Math.abs(layout.spacing.mi - layout.spacing.km / 1.609344) < 0.001);
+    assert.equal(layout.origin.source, 'grid-center');
+    assert.ok(Math.abs(layout.center.lat - 34.9019780914626) < 1e-9);
+  });
+
+  it('places every point in its row and column with distance and bearing from the business', () => {
+    const { points } = inferGridLayout(loadFixture('heatmap'));
+    const byCell = Object.fromEntries(points.map(point => [`${point.row},${point.column}`, point]));
+
+    // North-west corner first, centre in the middle
+    assert.equal(byCell['0,0'].position, 3);
+    assert.equal(byCell['0,0'].direction, 'NW');
+    assert.equal(byCell['1,1'].distanceKm, 0);
+    assert.equal(byCell['1,1'].bearing, null);
+    assert.equal(byCell['0,1'].direction, 'N');
+    assert.equal(byCell['2,2'].direction, 'SE');
+    assert.equal(byCell['2,2'].distanceKm, 1.348);
+  });
+
+  it('measures from the business location when given', () => {
+    const layout = inferGridLayout(loadFixture('heatmap'), { origin: { lat: 34.9109780914626, lng: 33.633024069807 } });
+
+    assert.equal(layout.origin.source, 'business');
+    assert.equal(layout.points[0].distanceKm, 0);
+    assert.equal(layout.points[8].direction, 'SE');
+  });
+
+  it('computes metrics per ring around the business', () => {
+    const rings = computeRings(inferGridLayout(loadFixture('heatmap')), { radiiKm: [5, 1] });
+
+    // Within 1 km: the centre and its four neighbours (ranks 2, 1, 1, not found, 7)
+    assert.deepEqual(rings[0], {
+      radiusKm: 1,
+      radiusMi: 0.621,
+      points: 5,
+      foundPoints: 4,
+      arp: 2.75,
+      atrp: 6.4,
+      solv: 60,
+      coverage: 80
+    });
+    assert.equal(rings[1].points, 9);
+    assert.equal(rings[1].foundPoints, 8);
+  });
+
+  it('returns null for a heatmap without coordinates', () => {
+    assert.equal(buildGridGeometry({ data: { positions: [] } }), null);
+    assert.deepEqual(buildGridGeometry(loadFixture('heatmap')).rings.map(ring => ring.radiusKm), [1, 3, 5]);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixture } from './mock-semrush-server.mjs';
+import { computeHeatmapMetrics, getPositions, isRanked } from '../heatmap-metrics.mjs';
+
+function positions(...ranks) {
+  return ranks.map(position => ({ position }));
+}
+
+describe('heatmap-metrics', () => {
+  it('computes the fixture metrics', () => {
+    // Fixture ranks: 3, 2, 5, 1, 1, not found, 4, 7, 12; diffs sum to 4 over 8 points
+    const metrics = computeHeatmapMetrics(loadFixture('heatmap'));
+
+    assert.deepEqual(metrics, {
+      totalPoints: 9,
+      foundPoints: 8,
+      notRankingPoints: 1,
+      top3Points: 4,
+      top10Points: 7,
+      arp: 4.38, // 35 / 8 = 4.375
+      atrp: 6.22, // (35 + 21) / 9
+      solv: 44.44, // 4 / 9
+      top10Share: 77.78,
+      coverage: 88.89,
+      bestPosition: 1,
+      worstPosition: 12,
+      improvedPoints: 4,
+      declinedPoints: 2,
+      averageDiff: 0.5,
+      maxRank: 20
+    });
+  });
+
+  it('counts not-found points as maxRank + 1 in ATRP', () => {
+    const metrics = computeHeatmapMetrics(positions(0, null, 21, undefined));
+
+    assert.equal(metrics.foundPoints, 0);
+    assert.equal(metrics.notRankingPoints, 4);
+    assert.equal(metrics.arp, null);
+    assert.equal(metrics.atrp, 21);
+    assert.equal(metrics.solv, 0);
+    assert.equal(metrics.coverage, 0);
+    assert.equal(metrics.bestPosition, null);
+    assert.equal(metrics.averageDiff, null);
+  });
+
+  it('treats ranks past maxRank as not found', () => {
+    const metrics = computeHeatmapMetrics(positions(2, 11), { maxRank: 10 });
+
+    assert.equal(metrics.arp, 2);
+    assert.equal(metrics.atrp, 6.5); // (2 + 11) / 2
+    assert.equal(metrics.solv, 50);
+    assert.equal(metrics.maxRank, 10);
+    assert.equal(isRanked(11, 10), false);
+  });
+
+  it('accepts the response, its data object or a positions array', () => {
+    const heatmap = loadFixture('heatmap');
+
+    assert.equal(getPositions(heatmap).length, 9);
+    assert.equal(getPositions(heatmap.data).length, 9);
+    assert.equal(getPositions(heatmap.data.positions).length, 9);
+    assert.deepEqual(getPositions(null), []);
+    assert.equal(computeHeatmapMetrics([]).atrp, null);
+  });
+});
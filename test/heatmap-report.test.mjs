@@ -0,0 +1,109 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadFixture } from './mock-semrush-server.mjs';
+import {
+  renderReportHTML,
+  renderReportGridSVG,
+  loadReportConfig,
+  resolveTheme,
+  reportFileName,
+  DEFAULT_REPORT_THEME
+} from '../heatmap-report.mjs';
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+function sampleReport() {
+  const failed = { keywordId: 'k2', keywordName: 'holiday packages', error: { type: 'NotFoundError', message: 'Keyword not found' } };
+  return {
+    campaign: loadFixture('campaign').data,
+    reportDate: '2024-07-05T12:39:22.611Z',
+    keywords: [{ keywordId: 'k1', keywordName: 'travel agency', status: 'ACTIVE', heatmap: loadFixture('heatmap') }, failed]
+  };
+}
+
+describe('heatmap-report', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'heatmap-report-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+    delete process.env.REPORT_CONFIG;
+  });
+
+  it('renders business details, a grid per keyword and unavailable keywords', () => {
+    const html = renderReportHTML(sampleReport(), {}, { generatedAt: '2024-07-06T08:00:00.000Z' });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /Blue Lagoon Travel/);
+    assert.match(html, /3×3 points, 1 km apart/);
+    assert.match(html, /Not available: Keyword not found/);
+    assert.match(html, /Within 1 km/);
+    assert.equal(html.match(/<svg class="grid"/g).length, 1);
+    assert.doesNotMatch(html, /<(link|script)\b|url\(|src="http/);
+  });
+
+  it('marks per-point changes from diff', () => {
+    const svg = renderReportGridSVG(loadFixture('heatmap'));
+
+    // diffs in the fixture: 1, -2, 2, 1, -1, 3 (and two zeros)
+    assert.equal(svg.match(/▲/g).length, 4);
+    assert.equal(svg.match(/▼/g).length, 2);
+    assert.match(svg, new RegExp(`fill="${DEFAULT_REPORT_THEME.improvedColor}">▲3<`));
+    assert.match(svg, /Rank 20\+/);
+  });
+
+  it('escapes text from the API', () => {
+    const report = sampleReport();
+    report.campaign.business.name = '<script>alert(1)</script>';
+    report.keywords[0].keywordName = `O'Neill's "travel" & tours`;
+    const html = renderReportHTML(report);
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /O&apos;Neill&apos;s &quot;travel&quot; &amp; tours/);
+  });
+
+  it('applies the theme and embeds the logo from a config file', () => {
+    writeFileSync(join(dir, 'logo.png'), PNG);
+    writeFileSync(join(dir, 'config.json'), JSON.stringify({
+      theme: { primaryColor: '#0b5394', rankColors: { top3: '#00aa55' } },
+      branding: { name: 'Acme SEO', logo: 'logo.png', title: 'Monthly Visibility' }
+    }));
+
+    const config = loadReportConfig({ configFile: join(dir, 'config.json') });
+    const html = renderReportHTML(sampleReport(), config);
+
+    assert.equal(config.branding.logo, `data:image/png;base64,${PNG.toString('base64')}`);
+    assert.match(html, /<img src="data:image\/png;base64,/);
+    assert.match(html, /--primary:#0b5394/);
+    assert.match(html, /fill="#00aa55"/);
+    assert.match(html, /<title>Monthly Visibility – Blue Lagoon Travel<\/title>/);
+  });
+
+  it('layers REPORT_CONFIG and request overrides over the config file', () => {
+    process.env.REPORT_CONFIG = JSON.stringify({ branding: { name: 'Env Agency', footer: 'Confidential' } });
+
+    const config = loadReportConfig({ overrides: { branding: { name: 'Request Agency' } } });
+
+    assert.equal(config.branding.name, 'Request Agency');
+    assert.equal(config.branding.footer, 'Confidential');
+    delete process.env.REPORT_CONFIG;
+  });
+
+  it('rejects unknown settings, unsafe colours and external logos', () => {
+    assert.throws(() => resolveTheme({ primary: '#000' }), /Unknown theme setting: primary/);
+    assert.throws(() => resolveTheme({ background: 'red;}body{display:none' }), /CSS colour/);
+    assert.throws(() => loadReportConfig({ overrides: { branding: { logo: 'https://example.com/logo.png' } } }), /external assets/);
+    assert.throws(() => loadReportConfig({ overrides: { branding: { logo: 'logo.png' } } }), /data: URI/);
+  });
+
+  it('names the file after the campaign and report date', () => {
+    assert.equal(reportFileName(sampleReport()), 'report-382738af-b6ae-4002-b6f6-c4c907b2b024-2024-07-05.html');
+  });
+});
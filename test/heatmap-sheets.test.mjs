@@ -0,0 +1,89 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockSheetsServer, createServiceAccountKey } from './mock-sheets-server.mjs';
+import { loadFixture } from './mock-semrush-server.mjs';
+import { exportHeatmapsToSheet, sheetTitle, buildSheetValues, loadServiceAccountKey } from '../heatmap-sheets.mjs';
+
+const SPREADSHEET_ID = '1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms';
+
+describe('heatmap-sheets', () => {
+  let sheets;
+  let serviceAccount;
+
+  before(async () => {
+    serviceAccount = createServiceAccountKey();
+    sheets = await startMockSheetsServer({ publicKey: serviceAccount.publicKey, clientEmail: serviceAccount.key.client_email });
+    process.env.LOG_LEVEL = 'silent';
+  });
+
+  after(async () => {
+    await sheets.close();
+  });
+
+  beforeEach(() => {
+    sheets.requests.length = 0;
+    sheets.createSpreadsheet(SPREADSHEET_ID);
+  });
+
+  function exportOptions(options = {}) {
+    return { spreadsheetId: SPREADSHEET_ID, credentials: serviceAccount.key, apiUrl: sheets.apiUrl, ...options };
+  }
+
+  it('names tabs after the keyword and report date', () => {
+    const heatmap = loadFixture('heatmap');
+    heatmap.data.keyword.name = 'pizza: best/cheap [city]';
+
+    assert.equal(sheetTitle(loadFixture('heatmap')), 'travel agency 2024-07-05');
+    assert.equal(sheetTitle(heatmap), 'pizza  best cheap  city 2024-07-05');
+  });
+
+  it('puts a summary block above one row per grid point', () => {
+    const values = buildSheetValues(loadFixture('heatmap'), { campaignId: 'c1', business: 'Blue Lagoon Travel' });
+    const header = values.findIndex(row => row[0] === 'Lat');
+
+    assert.deepEqual(values[0], ['Keyword', 'travel agency']);
+    assert.deepEqual(values.find(row => row[0] === 'Business'), ['Business', 'Blue Lagoon Travel']);
+    assert.deepEqual(values[header], ['Lat', 'Lng', 'Rank', 'Diff']);
+    assert.equal(values.length - header - 1, 9);
+    assert.deepEqual(values[header + 1], [34.9109780914626, 33.633024069807, 3, 0]);
+  });
+
+  it('creates a tab per keyword and date with a signed request', async () => {
+    const result = await exportHeatmapsToSheet(loadFixture('heatmap'), exportOptions({ context: { campaignId: 'c1' } }));
+
+    assert.deepEqual(result.tabs, [{ title: 'travel agency 2024-07-05', rows: 24, created: true }]);
+    assert.equal(result.spreadsheetUrl, `https://docs.google.com/spreadsheets/d/${SPREADSHEET_ID}/edit`);
+    const rows = sheets.spreadsheets.get(SPREADSHEET_ID).get('travel agency 2024-07-05');
+    assert.equal(rows.length, 24);
+    assert.equal(rows.filter(row => row[2] === '20+').length, 1);
+  });
+
+  it('overwrites the tab when the same report is exported again', async () => {
+    await exportHeatmapsToSheet(loadFixture('heatmap'), exportOptions());
+    sheets.requests.length = 0;
+
+    const result = await exportHeatmapsToSheet(loadFixture('heatmap'), exportOptions());
+
+    assert.equal(result.tabs[0].created, false);
+    assert.deepEqual(sheets.requests.map(request => request.path.split(SPREADSHEET_ID)[1]), ['', '/values:batchClear', '/values:batchUpdate']);
+  });
+
+  it('reports Sheets API errors', async () => {
+    await assert.rejects(
+      exportHeatmapsToSheet(loadFixture('heatmap'), exportOptions({ spreadsheetId: 'missing-spreadsheet-id-123' })),
+      /Google Sheets API error: Requested entity was not found/
+    );
+  });
+
+  it('reads the key from GOOGLE_SERVICE_ACCOUNT_KEY as JSON or base64', () => {
+    const json = JSON.stringify(serviceAccount.key);
+
+    process.env.GOOGLE_SERVICE_ACCOUNT_KEY = Buffer.from(json).toString('base64');
+    assert.equal(loadServiceAccountKey().client_email, serviceAccount.key.client_email);
+    process.env.GOOGLE_SERVICE_ACCOUNT_KEY = json;
+    assert.equal(loadServiceAccountKey().client_email, serviceAccount.key.client_email);
+    delete process.env.GOOGLE_SERVICE_ACCOUNT_KEY;
+
+    assert.throws(() => loadServiceAccountKey(), /service-account key is not configured/);
+  });
+});
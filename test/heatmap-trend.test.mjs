@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTrendReport, parseThresholds, DEFAULT_DROP_THRESHOLDS } from '../heatmap-trend.mjs';
+
+function heatmap(date, ...ranks) {
+  return { data: { date, keyword: 'travel agency', positions: ranks.map(position => ({ position })) } };
+}
+
+// ARP 2 → 3 → 5.33, top-3 share 75 → 50 → 25, found 100 → 75 → 75
+const REPORTS = [
+  heatmap('2024-06-15', 2, 6, 8, 0),
+  heatmap('2024-06-01', 1, 1, 2, 4),
+  heatmap('2024-06-08', 1, 3, 5, 0)
+];
+
+function drops(report) {
+  return report.drops.map(drop => [drop.date, drop.metric, drop.previous, drop.current, drop.change]);
+}
+
+describe('heatmap-trend', () => {
+  it('orders reports by date and flags drops past the default thresholds', () => {
+    const report = buildTrendReport(REPORTS);
+
+    assert.deepEqual(report.points.map(point => point.date), ['2024-06-01', '2024-06-08', '2024-06-15']);
+    assert.equal(report.from, '2024-06-01');
+    assert.deepEqual(report.thresholds, DEFAULT_DROP_THRESHOLDS);
+    assert.deepEqual(drops(report), [
+      ['2024-06-08', 'top3Share', 75, 50, -25],
+      ['2024-06-08', 'foundRatio', 100, 75, -25],
+      ['2024-06-15', 'averageRank', 3, 5.33, 2.33],
+      ['2024-06-15', 'top3Share', 50, 25, -25]
+    ]);
+    assert.deepEqual(report.change, { averageRank: 3.33, top3Share: -50, foundRatio: -25 });
+  });
+
+  it('only flags changes larger than the given thresholds', () => {
+    const report = buildTrendReport(REPORTS, { thresholds: parseThresholds('averageRank=2.5,top3Share=20,foundRatio=30') });
+
+    assert.deepEqual(drops(report), [
+      ['2024-06-08', 'top3Share', 75, 50, -25],
+      ['2024-06-15', 'top3Share', 50, 25, -25]
+    ]);
+    assert.equal(report.drops[0].threshold, 20);
+  });
+
+  it('does not flag improvements', () => {
+    const improving = [
+      heatmap('2024-06-01', 2, 6, 8, 0),
+      heatmap('2024-06-08', 1, 3, 5, 0),
+      heatmap('2024-06-15', 1, 1, 2, 4)
+    ];
+
+    assert.deepEqual(buildTrendReport(improving, { thresholds: { averageRank: 0, top3Share: 0, foundRatio: 0 } }).drops, []);
+  });
+
+  it('parses thresholds from JSON and rejects unknown metrics', () => {
+    assert.deepEqual(parseThresholds('{"top3Share":5}'), { ...DEFAULT_DROP_THRESHOLDS, top3Share: 5 });
+    assert.deepEqual(parseThresholds(null), DEFAULT_DROP_THRESHOLDS);
+    assert.throws(() => parseThresholds({ arp: 1 }), /Unknown threshold metric: arp/);
+    assert.throws(() => parseThresholds('top3Share=-1'), /must be a non-negative number/);
+  });
+});
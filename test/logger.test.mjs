@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, redact, withLogContext } from '../logger.mjs';
+
+function capture(options = {}) {
+  const lines = [];
+  const log = createLogger({ level: 'debug', ...options, write: (line, level) => lines.push({ level, ...JSON.parse(line) }) });
+  return { log, lines };
+}
+
+describe('logger', () => {
+  describe('redact', () => {
+    it('hides secret fields whatever their spelling', () => {
+      const redacted = redact({
+        access_token: 'a',
+        refreshToken: 'r',
+        'X-Access-Token': 'x',
+        Authorization: 'Bearer abc',
+        client_secret: 's',
+        nested: { password: 'p', keep: 'visible' },
+        list: [{ apiKey: 'k' }],
+        secret: '',
+        token: null
+      });
+
+      assert.deepEqual(redacted, {
+        access_token: '[REDACTED]',
+        refreshToken: '[REDACTED]',
+        'X-Access-Token': '[REDACTED]',
+        Authorization: '[REDACTED]',
+        client_secret: '[REDACTED]',
+        nested: { password: '[REDACTED]', keep: 'visible' },
+        list: [{ apiKey: '[REDACTED]' }],
+        secret: '',
+        token: null
+      });
+    });
+
+    it('hides bearer tokens and token query parameters inside strings', () => {
+      assert.equal(
+        redact('GET /campaigns?access_token=abc123&page=1 with Bearer eyJhbGciOi.payload.sig'),
+        'GET /campaigns?access_token=[REDACTED]&page=1 with Bearer [REDACTED]'
+      );
+      assert.equal(redact('grant_type=refresh_token&refresh_token=r-1'), 'grant_type=refresh_token&refresh_token=[REDACTED]');
+    });
+
+    it('turns errors into plain objects without leaking secrets', () => {
+      const error = Object.assign(new Error('Request with Bearer secret-token failed'), { status: 401, requestId: 'req-1' });
+      const redacted = redact(error);
+
+      assert.equal(redacted.name, 'Error');
+      assert.equal(redacted.message, 'Request with Bearer [REDACTED] failed');
+      assert.equal(redacted.status, 401);
+      assert.equal(redacted.requestId, 'req-1');
+      assert.ok(redacted.stack);
+    });
+
+    it('handles circular references', () => {
+      const value = { name: 'loop' };
+      value.self = value;
+
+      assert.deepEqual(redact(value), { name: 'loop', self: '[Circular]' });
+    });
+  });
+
+  describe('createLogger', () => {
+    it('writes redacted JSON lines with context and child fields', async () => {
+      const { log, lines } = capture({ fields: { component: 'test' } });
+
+      await withLogContext({ awsRequestId: 'req-1' }, async () => {
+        log.child({ campaignId: 'c1' }).info('Fetched', { headers: { Authorization: 'Bearer abc' } });
+      });
+
+      assert.equal(lines.length, 1);
+      assert.equal(lines[0].message, 'Fetched');
+      assert.equal(lines[0].awsRequestId, 'req-1');
+      assert.equal(lines[0].component, 'test');
+      assert.equal(lines[0].campaignId, 'c1');
+      assert.equal(lines[0].headers.Authorization, '[REDACTED]');
+    });
+
+    it('skips lines below the level', () => {
+      const { log, lines } = capture({ level: 'warn' });
+
+      log.info('hidden');
+      log.error('shown', new Error('boom'));
+
+      assert.deepEqual(lines.map(line => line.message), ['shown']);
+      assert.equal(lines[0].error.message, 'boom');
+      assert.equal(log.isEnabled('debug'), false);
+    });
+
+    it('times operations and logs failures at warn', async () => {
+      const { log, lines } = capture();
+
+      assert.equal(await log.time('ok step', async () => 42), 42);
+      await assert.rejects(log.time('failing step', async () => { throw new Error('boom'); }), /boom/);
+
+      assert.deepEqual(lines.map(line => [line.level, line.outcome]), [['info', 'ok'], ['warn', 'error']]);
+      assert.equal(typeof lines[0].durationMs, 'number');
+    });
+  });
+});
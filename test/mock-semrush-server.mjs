@@ -0,0 +1,248 @@
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+
+/**
+ * Offline mock of the Semrush OAuth and Map Rank Tracker APIs
+ * Serves recorded fixtures from test/fixtures and lets tests script error responses.
+ *
+ * Routes:
+ * - POST /dag/device/code                                          (deviceCode)
+ * - POST /dag/device/token (device_code and refresh_token grants)  (token)
+ * - GET  /apis/v4/map-rank-tracker/v0/campaigns                    (campaigns)
+ * - GET  /apis/v4/map-rank-tracker/v0/campaigns/:id                (campaign)
+ * - GET  /apis/v4/map-rank-tracker/v0/campaigns/:id/keywords       (keywords)
+ * - GET  /apis/v4/map-rank-tracker/v0/campaigns/:id/heatmap        (heatmap)
+ *
+ * API routes answer 401 unless the bearer token was issued by the mock (or is MOCK_TOKENS.accessToken).
+ * Unknown campaigns and keywords get 404. Heatmaps of businesses other than the fixture's cid are
+ * the fixture with every rank made worse by a fixed per-business offset, so competitor views differ.
+ *
+ * Scripted responses take precedence over the fixtures, one per request, in order:
+ *   mock.script('heatmap', { status: 429, headers: { 'Retry-After': '0' } }, { status: 500 });
+ *   mock.script('campaigns', { delayMs: 500 });          // slow answer, to trigger client timeouts
+ *   mock.script('token', { status: 400, body: { error: 'authorization_pending' } });
+ */
+
+export const API_PATH = '/apis/v4/map-rank-tracker/v0';
+
+export const MOCK_TOKENS = {
+  accessToken: 'mock-access-token',
+  refreshToken: 'mock-refresh-token'
+};
+
+/**
+ * Load a recorded fixture (a fresh copy on every call)
+ * @param {string} name - File name without .json
+ * @returns {Object} Fixture
+ */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+function semrushError(status, message) {
+  return { meta: { success: false, status_code: status }, error: { code: status, message } };
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function businessOffset(business, ownCid) {
+  if (!business || business === ownCid) return 0;
+  return ([...business].reduce((sum, char) => sum + char.charCodeAt(0), 0) % 3) + 1;
+}
+
+/**
+ * Start the mock server on a free local port
+ * @param {Object} options - Server options
+ * @param {number} options.pendingPolls - authorization_pending answers before the device flow succeeds (default 0)
+ * @returns {Promise<Object>} { url, apiBaseUrl, oauthBaseUrl, requests, script, reset, close }
+ */
+export async function startMockSemrushServer(options = {}) {
+  const requests = [];
+  const scripted = new Map();
+  const issuedTokens = new Set([MOCK_TOKENS.accessToken]);
+  let pendingPolls = options.pendingPolls ?? 0;
+  let tokenCounter = 0;
+
+  function issueToken() {
+    tokenCounter++;
+    const token = { ...loadFixture('token'), access_token: `${MOCK_TOKENS.accessToken}-${tokenCounter}` };
+    issuedTokens.add(token.access_token);
+    return token;
+  }
+
+  function route(method, path) {
+    if (method === 'POST' && path === '/dag/device/code') return { name: 'deviceCode' };
+    if (method === 'POST' && path === '/dag/device/token') return { name: 'token' };
+    if (method !== 'GET' || !path.startsWith(API_PATH)) return null;
+
+    const [resource, campaignId, child] = path.slice(API_PATH.length + 1).split('/').map(decodeURIComponent);
+    if (resource !== 'campaigns') return null;
+    if (!campaignId) return { name: 'campaigns' };
+    if (!child) return { name: 'campaign', campaignId };
+    if (child === 'keywords' || child === 'heatmap') return { name: child, campaignId };
+    return null;
+  }
+
+  function handleOAuth(name, form) {
+    if (name === 'deviceCode') {
+      return { status: 200, body: { ...loadFixture('device-code'), interval: 0 } };
+    }
+
+    const grantType = form.get('grant_type');
+    if (grantType === 'refresh_token') {
+      return form.get('refresh_token') === MOCK_TOKENS.refreshToken
+        ? { status: 200, body: issueToken() }
+        : { status: 400, body: { error: 'invalid_grant', error_description: 'Refresh token is invalid or expired' } };
+    }
+    if (grantType === 'urn:ietf:params:oauth:grant-type:device_code') {
+      if (form.get('device_code') !== loadFixture('device-code').device_code) {
+        return { status: 400, body: { error: 'invalid_grant' } };
+      }
+      if (pendingPolls > 0) {
+        pendingPolls--;
+        return { status: 400, body: { error: 'authorization_pending' } };
+      }
+      return { status: 200, body: issueToken() };
+    }
+    return { status: 400, body: { error: 'unsupported_grant_type' } };
+  }
+
+  function handleApi({ name, campaignId }, query, headers) {
+    const token = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!issuedTokens.has(token)) {
+      return { status: 401, body: semrushError(401, 'Invalid or expired access token') };
+    }
+
+    const campaigns = loadFixture('campaigns');
+    if (name === 'campaigns') {
+      const page = Number(query.get('page') || 0);
+      const size = Number(query.get('size') || 50);
+      const all = campaigns.data.content;
+      const totalPages = Math.ceil(all.length / size);
+      const content = all.slice(page * size, (page + 1) * size);
+      return {
+        status: 200,
+        body: { ...campaigns, data: { content, totalElements: all.length, totalPages, number: page, size, last: page + 1 >= totalPages } }
+      };
+    }
+
+    const campaign = campaigns.data.content.find(item => item.id === campaignId);
+    if (!campaign) {
+      return { status: 404, body: semrushError(404, 'Campaign not found') };
+    }
+    if (name === 'campaign') {
+      return { status: 200, body: { ...loadFixture('campaign'), data: campaign } };
+    }
+
+    const keywords = loadFixture('keywords');
+    if (name === 'keywords') {
+      return { status: 200, body: keywords };
+    }
+
+    const keyword = keywords.data.keywords.find(item => item.keyword.id === query.get('keywordId'));
+    if (!keyword) {
+      return { status: 404, body: semrushError(404, 'Keyword not found') };
+    }
+    const business = query.get('cid') || query.get('placeIds');
+    if (!business) {
+      return { status: 400, body: semrushError(400, 'cid or placeIds is required') };
+    }
+
+    const heatmap = loadFixture('heatmap');
+    const offset = businessOffset(business, campaign.business.cid);
+    heatmap.data.keyword = keyword.keyword;
+    if (query.get('reportDate')) {
+      heatmap.data.date = `${query.get('reportDate').slice(0, 10)}T12:00:00.000Z`;
+    }
+    heatmap.data.positions = heatmap.data.positions.map(item => ({
+      ...item,
+      position: item.position > 0 ? item.position + offset : item.position
+    }));
+    return { status: 200, body: heatmap };
+  }
+
+  const server = createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const body = await readBody(request);
+    const matched = route(request.method, url.pathname);
+
+    requests.push({
+      method: request.method,
+      path: url.pathname,
+      route: matched?.name ?? null,
+      query: Object.fromEntries(url.searchParams),
+      headers: request.headers,
+      body
+    });
+
+    let reply;
+    if (!matched) {
+      reply = { status: 404, body: semrushError(404, `No route for ${request.method} ${url.pathname}`) };
+    } else if (scripted.get(matched.name)?.length > 0) {
+      const next = scripted.get(matched.name).shift();
+      reply = next.status ? next : { ...next, ...routeReply(matched, url.searchParams, request.headers, body) };
+    } else {
+      reply = routeReply(matched, url.searchParams, request.headers, body);
+    }
+
+    if (reply.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, reply.delayMs));
+    }
+    if (response.destroyed) return;
+
+    const status = reply.status ?? 200;
+    response.writeHead(status, { 'Content-Type': 'application/json', ...reply.headers });
+    response.end(JSON.stringify(reply.body ?? (status >= 400 ? semrushError(status, 'Scripted error') : {})));
+  });
+
+  function routeReply(matched, query, headers, body) {
+    return ['deviceCode', 'token'].includes(matched.name)
+      ? handleOAuth(matched.name, new URLSearchParams(body))
+      : handleApi(matched, query, headers);
+  }
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    apiBaseUrl: `${url}${API_PATH}`,
+    oauthBaseUrl: url,
+    requests,
+
+    /**
+     * Queue responses for a route: { status, body, headers, delayMs }.
+     * Entries without a status answer normally after delayMs.
+     * @param {string} name - deviceCode, token, campaigns, campaign, keywords or heatmap
+     * @param {...Object} replies - Responses, used one per request
+     */
+    script(name, ...replies) {
+      scripted.set(name, [...(scripted.get(name) || []), ...replies]);
+    },
+
+    /**
+     * Forget recorded requests, scripted responses and issued tokens
+     * @param {Object} resetOptions - { pendingPolls }
+     */
+    reset(resetOptions = {}) {
+      requests.length = 0;
+      scripted.clear();
+      issuedTokens.clear();
+      issuedTokens.add(MOCK_TOKENS.accessToken);
+      tokenCounter = 0;
+      pendingPolls = resetOptions.pendingPolls ?? 0;
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
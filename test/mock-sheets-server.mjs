@@ -0,0 +1,145 @@
+import { createServer } from 'http';
+import { generateKeyPairSync, createVerify } from 'crypto';
+
+/**
+ * Offline stub of the Google Sheets API v4 (the calls made by heatmap-sheets.mjs)
+ *
+ * Routes:
+ * - GET  /v4/spreadsheets/:id                     sheet titles
+ * - POST /v4/spreadsheets/:id:batchUpdate         addSheet requests
+ * - POST /v4/spreadsheets/:id/values:batchClear   clear whole tabs
+ * - POST /v4/spreadsheets/:id/values:batchUpdate  write values from A1
+ *
+ * Requests must carry a self-signed JWT of the test service account with the Sheets scope.
+ * Only spreadsheets created with mock.createSpreadsheet(id) exist; others get 404.
+ */
+
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+/**
+ * Generate a throwaway service-account key
+ * @returns {Object} { key (service-account JSON), publicKey (PEM) }
+ */
+export function createServiceAccountKey() {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+
+  return {
+    key: {
+      type: 'service_account',
+      project_id: 'heatmap-tests',
+      private_key_id: 'test-key',
+      private_key: privateKey,
+      client_email: 'heatmap-export@heatmap-tests.iam.gserviceaccount.com'
+    },
+    publicKey
+  };
+}
+
+function verifyJwt(authorization, publicKey, clientEmail) {
+  const [header, payload, signature] = (authorization || '').replace(/^Bearer\s+/i, '').split('.');
+  if (!signature) return false;
+
+  const verifier = createVerify('RSA-SHA256');
+  verifier.update(`${header}.${payload}`);
+  if (!verifier.verify(publicKey, signature, 'base64url')) return false;
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  return claims.iss === clientEmail && claims.scope === SHEETS_SCOPE && claims.exp * 1000 > Date.now();
+}
+
+function googleError(status, message) {
+  return { error: { code: status, message, status: status === 404 ? 'NOT_FOUND' : 'INVALID_ARGUMENT' } };
+}
+
+function tabOf(range) {
+  return range.replace(/!.*$/, '').replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+}
+
+/**
+ * Start the stub on a free local port
+ * @param {Object} options - { publicKey, clientEmail } of the accepted service account
+ * @returns {Promise<Object>} { apiUrl, requests, spreadsheets, createSpreadsheet, close }
+ */
+export async function startMockSheetsServer({ publicKey, clientEmail }) {
+  const requests = [];
+  // spreadsheetId => Map(title => rows)
+  const spreadsheets = new Map();
+
+  function handle(method, path, body) {
+    const match = path.match(/^\/v4\/spreadsheets\/([^/:]+)(.*)$/);
+    if (!match) return { status: 404, body: googleError(404, `No route for ${method} ${path}`) };
+
+    const [, id, action] = match;
+    const tabs = spreadsheets.get(decodeURIComponent(id));
+    if (!tabs) return { status: 404, body: googleError(404, 'Requested entity was not found.') };
+
+    if (method === 'GET' && action === '') {
+      return { status: 200, body: { sheets: [...tabs.keys()].map(title => ({ properties: { title } })) } };
+    }
+    if (method === 'POST' && action === ':batchUpdate') {
+      for (const { addSheet } of body.requests) {
+        const { title } = addSheet.properties;
+        if (tabs.has(title)) {
+          return { status: 400, body: googleError(400, `A sheet with the name "${title}" already exists.`) };
+        }
+        tabs.set(title, []);
+      }
+      return { status: 200, body: { replies: body.requests.map(() => ({})) } };
+    }
+    if (method === 'POST' && action === '/values:batchClear') {
+      for (const range of body.ranges) tabs.set(tabOf(range), []);
+      return { status: 200, body: { clearedRanges: body.ranges } };
+    }
+    if (method === 'POST' && action === '/values:batchUpdate') {
+      for (const { range, values } of body.data) {
+        const title = tabOf(range);
+        if (!tabs.has(title)) return { status: 400, body: googleError(400, `Unable to parse range: ${range}`) };
+        tabs.set(title, values);
+      }
+      return { status: 200, body: { totalUpdatedSheets: body.data.length } };
+    }
+    return { status: 404, body: googleError(404, `No route for ${method} ${path}`) };
+  }
+
+  const server = createServer(async (request, response) => {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString('utf8');
+    const url = new URL(request.url, 'http://localhost');
+    const body = raw ? JSON.parse(raw) : null;
+
+    requests.push({ method: request.method, path: url.pathname, headers: request.headers, body });
+
+    const reply = verifyJwt(request.headers.authorization, publicKey, clientEmail)
+      ? handle(request.method, url.pathname, body)
+      : { status: 401, body: googleError(401, 'Request had invalid authentication credentials.') };
+
+    response.writeHead(reply.status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(reply.body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    apiUrl: `http://127.0.0.1:${server.address().port}/v4`,
+    requests,
+    spreadsheets,
+
+    /**
+     * Create an empty spreadsheet with one tab
+     * @param {string} id - Spreadsheet ID
+     */
+    createSpreadsheet(id) {
+      spreadsheets.set(id, new Map([['Sheet1', []]]));
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
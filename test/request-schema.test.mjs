@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRequest, assertValidRequest, RequestValidationError } from '../request-schema.mjs';
+
+const CAMPAIGN_ID = '382738af-b6ae-4002-b6f6-c4c907b2b024';
+const KEYWORD_ID = '319565ed-b433-4195-82cb-4146253d3311';
+const CID = '7947215078713107333';
+
+function codes(params, options) {
+  return validateRequest(params, options).errors.map(error => [error.field, error.code]);
+}
+
+describe('request-schema', () => {
+  it('reports every invalid field at once', () => {
+    assert.deepEqual(codes({
+      campaignId: 'campaign-1',
+      keywordId: 42,
+      cid: 'abc',
+      reportDate: '05/07/2024',
+      includeMetrics: 'maybe',
+      concurrency: 11,
+      format: 'pdf'
+    }), [
+      ['campaignId', 'invalid_uuid'],
+      ['keywordId', 'invalid_type'],
+      ['cid', 'invalid_cid'],
+      ['reportDate', 'invalid_date'],
+      ['includeMetrics', 'invalid_boolean'],
+      ['format', 'invalid_enum'],
+      ['concurrency', 'out_of_range']
+    ]);
+  });
+
+  it('rejects malformed list items, JSON and profile names', () => {
+    assert.deepEqual(codes({
+      campaignId: CAMPAIGN_ID,
+      keywordIds: [KEYWORD_ID, 'nope'],
+      cid: CID,
+      placeIds: 'ChIJD61nCjmD4BQRhaNSCAIuSm4,x',
+      thresholds: '{"averageRank":',
+      profile: '../etc'
+    }), [
+      ['placeIds', 'invalid_place_id'],
+      ['keywordIds', 'invalid_uuid'],
+      ['thresholds', 'invalid_json'],
+      ['profile', 'invalid_profile']
+    ]);
+    assert.match(validateRequest({ keywordIds: [KEYWORD_ID, 'nope'] }).errors[0].message, /item 2 must be a UUID/);
+  });
+
+  it('refuses business IDs sent as inexact JSON numbers', () => {
+    const base = { campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID };
+
+    assert.deepEqual(codes({ ...base, cid: 7947215078713107333 }), [['cid', 'invalid_cid']]);
+    assert.equal(validateRequest({ ...base, cid: 12345 }).value.cid, '12345');
+  });
+
+  it('normalises valid parameters', () => {
+    const { value, errors } = validateRequest({
+      campaignId: ` ${CAMPAIGN_ID} `,
+      keywordIds: `${KEYWORD_ID},${KEYWORD_ID}`,
+      placeIds: ['ChIJD61nCjmD4BQRhaNSCAIuSm4', 'ChIJN1t_tDeuEmsRUsoyG83frY4'],
+      includeMetrics: 'yes',
+      noCache: 0,
+      concurrency: '3',
+      format: 'CSV',
+      custom: 'passed through'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.campaignId, CAMPAIGN_ID);
+    assert.deepEqual(value.keywordIds, [KEYWORD_ID]);
+    assert.equal(value.placeIds, 'ChIJD61nCjmD4BQRhaNSCAIuSm4,ChIJN1t_tDeuEmsRUsoyG83frY4');
+    assert.equal(value.includeMetrics, true);
+    assert.equal(value.noCache, false);
+    assert.equal(value.concurrency, 3);
+    assert.equal(value.format, 'csv');
+    assert.equal(value.custom, 'passed through');
+  });
+
+  it('checks the fields each mode needs', () => {
+    assert.deepEqual(codes({}), [['campaignId', 'required'], ['keywordId', 'required'], ['cid', 'required']]);
+    assert.deepEqual(codes({ campaignId: CAMPAIGN_ID, allKeywords: true, cid: CID, format: 'png' }), [['format', 'unsupported']]);
+    assert.deepEqual(
+      codes({ mode: 'trend', campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID, from: '2024-07-01', to: '2024-06-01' }),
+      [['to', 'out_of_range']]
+    );
+    assert.deepEqual(
+      codes({ mode: 'competitors', campaignId: CAMPAIGN_ID, keywordId: KEYWORD_ID, cid: CID }),
+      [['placeIds', 'too_few']]
+    );
+    assert.deepEqual(codes({ campaignIds: [CAMPAIGN_ID] }, { mode: 'snapshot' }), []);
+    assert.deepEqual(codes({ campaignId: CAMPAIGN_ID }, { mode: 'listKeywords' }), []);
+  });
+
+  it('throws a 400 error carrying the field errors', () => {
+    assert.throws(() => assertValidRequest({ campaignId: 'nope' }, { mode: 'snapshot' }), (error) => {
+      assert.ok(error instanceof RequestValidationError);
+      assert.equal(error.statusCode, 400);
+      assert.deepEqual(error.errors.map(item => item.code), ['invalid_uuid']);
+      assert.match(error.message, /^campaignId: campaignId must be a UUID/);
+      return true;
+    });
+  });
+});
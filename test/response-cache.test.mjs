@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadFixture } from './mock-semrush-server.mjs';
+import {
+  createCachingClient,
+  createMemoryCacheStore,
+  createFileCacheStore,
+  getCacheInfo,
+  heatmapCacheKey,
+  keywordsCacheKey,
+  isHistoricalDate
+} from '../response-cache.mjs';
+
+const CAMPAIGN_ID = '382738af-b6ae-4002-b6f6-c4c907b2b024';
+const KEYWORD_ID = '319565ed-b433-4195-82cb-4146253d3311';
+const PAST_DATE = '2024-07-05T12:39:22.611Z';
+
+// Stand-in for SemrushMapRankClient that counts API calls
+function countingClient() {
+  const calls = [];
+  return {
+    calls,
+    async getHeatmap(campaignId, params) {
+      calls.push(['getHeatmap', campaignId, params]);
+      return loadFixture('heatmap');
+    },
+    async getKeywords(campaignId, reportDate) {
+      calls.push(['getKeywords', campaignId, reportDate]);
+      return loadFixture('keywords');
+    },
+    async getCampaign(campaignId) {
+      calls.push(['getCampaign', campaignId]);
+      return loadFixture('campaign');
+    }
+  };
+}
+
+function secondsBetween(info) {
+  return (Date.parse(info.expiresAt) - Date.parse(info.storedAt)) / 1000;
+}
+
+describe('response-cache', () => {
+  it('composes keys from profile, campaign, keyword, business and report date', () => {
+    const params = { keywordId: KEYWORD_ID, placeIds: 'ChIJb, ChIJa', reportDate: PAST_DATE };
+
+    assert.equal(
+      heatmapCacheKey(CAMPAIGN_ID, params, 'agency'),
+      `heatmap|agency|${CAMPAIGN_ID}|${KEYWORD_ID}||ChIJa,ChIJb|${PAST_DATE}`
+    );
+    assert.equal(heatmapCacheKey(CAMPAIGN_ID, { ...params, placeIds: ['ChIJa', 'ChIJb'] }, 'agency'), heatmapCacheKey(CAMPAIGN_ID, params, 'agency'));
+    assert.notEqual(heatmapCacheKey(CAMPAIGN_ID, params, 'agency'), heatmapCacheKey(CAMPAIGN_ID, params, 'client'));
+    assert.notEqual(heatmapCacheKey(CAMPAIGN_ID, params), heatmapCacheKey(CAMPAIGN_ID, { ...params, cid: '1' }));
+    assert.equal(keywordsCacheKey(CAMPAIGN_ID, null), `keywords||${CAMPAIGN_ID}|latest`);
+  });
+
+  it('serves repeated requests from the cache until noCache', async () => {
+    const api = countingClient();
+    const client = createCachingClient(api, { store: createMemoryCacheStore() });
+    const params = { keywordId: KEYWORD_ID, cid: '7947215078713107333', reportDate: PAST_DATE };
+
+    const first = await client.getHeatmap(CAMPAIGN_ID, params);
+    const second = await client.getHeatmap(CAMPAIGN_ID, params);
+    const bypassed = await client.getHeatmap(CAMPAIGN_ID, params, { noCache: true });
+
+    assert.equal(getCacheInfo(first).hit, false);
+    assert.equal(getCacheInfo(second).hit, true);
+    assert.equal(getCacheInfo(bypassed).bypassed, true);
+    assert.deepEqual(second, first);
+    assert.equal(api.calls.length, 2);
+  });
+
+  it('keeps the reports of different profiles apart in a shared store', async () => {
+    const store = createMemoryCacheStore();
+    const agency = countingClient();
+    const client = countingClient();
+
+    await createCachingClient(agency, { store, namespace: 'agency' }).getKeywords(CAMPAIGN_ID, PAST_DATE);
+    const other = await createCachingClient(client, { store, namespace: 'client' }).getKeywords(CAMPAIGN_ID, PAST_DATE);
+
+    assert.equal(getCacheInfo(other).hit, false);
+    assert.equal(client.calls.length, 1);
+  });
+
+  it('caches past report dates longer than the latest report', async () => {
+    const client = createCachingClient(countingClient(), {
+      store: createMemoryCacheStore(),
+      ttl: { historical: 3600, latest: 60 }
+    });
+
+    const past = await client.getKeywords(CAMPAIGN_ID, PAST_DATE);
+    const latest = await client.getKeywords(CAMPAIGN_ID);
+
+    assert.equal(secondsBetween(getCacheInfo(past)), 3600);
+    assert.equal(secondsBetween(getCacheInfo(latest)), 60);
+    assert.equal(isHistoricalDate(new Date().toISOString()), false);
+  });
+
+  it('fetches again once an entry expired', async () => {
+    const api = countingClient();
+    const client = createCachingClient(api, { store: createMemoryCacheStore(), ttl: { latest: 0 } });
+
+    await client.getKeywords(CAMPAIGN_ID);
+    const again = await client.getKeywords(CAMPAIGN_ID);
+
+    assert.equal(getCacheInfo(again).hit, false);
+    assert.equal(api.calls.length, 2);
+  });
+
+  it('passes other client methods through uncached', async () => {
+    const api = countingClient();
+    const client = createCachingClient(api, { store: createMemoryCacheStore() });
+
+    await client.getCampaign(CAMPAIGN_ID);
+    await client.getCampaign(CAMPAIGN_ID);
+
+    assert.equal(api.calls.length, 2);
+  });
+
+  it('evicts the oldest memory entries beyond maxEntries', async () => {
+    const store = createMemoryCacheStore({ maxEntries: 2 });
+    const entry = value => ({ value, storedAt: new Date().toISOString(), expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+    await store.set('a', entry(1));
+    await store.set('b', entry(2));
+    await store.set('c', entry(3));
+
+    assert.equal(await store.get('a'), null);
+    assert.equal((await store.get('c')).value, 3);
+  });
+
+  describe('file store', () => {
+    let directory;
+
+    before(() => {
+      directory = mkdtempSync(join(tmpdir(), 'response-cache-'));
+    });
+
+    after(() => {
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('keeps one file per key and removes expired entries on read', async () => {
+      const store = createFileCacheStore(directory);
+      const storedAt = new Date().toISOString();
+
+      await store.set('fresh', { value: { ok: true }, storedAt, expiresAt: new Date(Date.now() + 60000).toISOString() });
+      await store.set('stale', { value: { ok: false }, storedAt, expiresAt: storedAt });
+
+      assert.deepEqual((await store.get('fresh')).value, { ok: true });
+      assert.equal(await store.get('stale'), null);
+      assert.equal(readdirSync(directory).length, 1);
+    });
+  });
+});
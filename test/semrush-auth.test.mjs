@@ -0,0 +1,252 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockSemrushServer, loadFixture, MOCK_TOKENS } from './mock-semrush-server.mjs';
+import {
+  requestDeviceAuthorization,
+  pollForAccessToken,
+  refreshAccessToken,
+  getAccessToken,
+  createDeviceFlow,
+  getCampaigns,
+  iterateCampaigns,
+  getCampaign,
+  getKeywords,
+  getHeatmap,
+  validateAccessToken
+} from '../semrush-auth.mjs';
+import { NotFoundError } from '../semrush-client.mjs';
+
+const CAMPAIGN_ID = '382738af-b6ae-4002-b6f6-c4c907b2b024';
+const KEYWORD_ID = '319565ed-b433-4195-82cb-4146253d3311';
+const CID = '7947215078713107333';
+
+describe('semrush-auth', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockSemrushServer();
+    process.env.SEMRUSH_OAUTH_BASE_URL = mock.oauthBaseUrl;
+    process.env.SEMRUSH_API_BASE_URL = mock.apiBaseUrl;
+    process.env.LOG_LEVEL = 'silent';
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  beforeEach((t) => {
+    mock.reset();
+    // The device flow prints instructions for the user
+    t.mock.method(console, 'log', () => {});
+  });
+
+  describe('requestDeviceAuthorization', () => {
+    it('returns the device code response', async () => {
+      const deviceAuth = await requestDeviceAuthorization();
+
+      assert.equal(deviceAuth.device_code, loadFixture('device-code').device_code);
+      assert.equal(deviceAuth.user_code, 'WDJB-MJHT');
+      assert.equal(mock.requests[0].path, '/dag/device/code');
+    });
+
+    it('wraps errors', async () => {
+      mock.script('deviceCode', { status: 500 });
+
+      await assert.rejects(requestDeviceAuthorization(), /Failed to request device authorization/);
+    });
+  });
+
+  describe('pollForAccessToken', () => {
+    it('keeps polling while authorization is pending', async () => {
+      mock.reset({ pendingPolls: 2 });
+      const { device_code: deviceCode } = loadFixture('device-code');
+
+      const tokens = await pollForAccessToken(deviceCode, 0, 60);
+
+      assert.match(tokens.access_token, /^mock-access-token-/);
+      assert.equal(tokens.refresh_token, MOCK_TOKENS.refreshToken);
+      assert.equal(mock.requests.length, 3);
+      const form = new URLSearchParams(mock.requests[0].body);
+      assert.equal(form.get('grant_type'), 'urn:ietf:params:oauth:grant-type:device_code');
+      assert.equal(form.get('device_code'), deviceCode);
+    });
+
+    it('fails on other OAuth errors', async () => {
+      await assert.rejects(pollForAccessToken('unknown-device-code', 0, 60), /Failed to get access token: invalid_grant/);
+    });
+
+    it('gives up when the device code expires', async () => {
+      await assert.rejects(pollForAccessToken('any', 0, 0), /Device authorization expired/);
+      assert.equal(mock.requests.length, 0);
+    });
+
+    it('keeps the longer interval after slow_down', async () => {
+      mock.script('token', { status: 400, body: { error: 'slow_down' } }, { status: 400, body: { error: 'authorization_pending' } });
+      const { device_code: deviceCode } = loadFixture('device-code');
+      const controller = new AbortController();
+      const events = [];
+
+      // Stop after the first pending answer rather than waiting another interval
+      await assert.rejects(pollForAccessToken(deviceCode, 0, 60, {
+        signal: controller.signal,
+        onSlowDown: event => events.push(['slow_down', event.interval]),
+        onPending: (event) => {
+          events.push(['pending', event.interval]);
+          controller.abort();
+        }
+      }), { name: 'AbortError' });
+
+      assert.deepEqual(events, [['slow_down', 5], ['pending', 5]]);
+    });
+  });
+
+  describe('refreshAccessToken', () => {
+    it('exchanges a refresh token for a new access token', async () => {
+      const tokens = await refreshAccessToken(MOCK_TOKENS.refreshToken);
+
+      assert.match(tokens.access_token, /^mock-access-token-/);
+      const form = new URLSearchParams(mock.requests[0].body);
+      assert.equal(form.get('grant_type'), 'refresh_token');
+      assert.equal(form.get('refresh_token'), MOCK_TOKENS.refreshToken);
+    });
+
+    it('fails for an invalid refresh token', async () => {
+      await assert.rejects(refreshAccessToken('revoked'), /Failed to refresh access token: invalid_grant/);
+    });
+  });
+
+  describe('getAccessToken', () => {
+    it('runs the whole device flow', async () => {
+      mock.reset({ pendingPolls: 1 });
+
+      const tokens = await getAccessToken();
+
+      assert.match(tokens.access_token, /^mock-access-token-/);
+      assert.deepEqual(mock.requests.map(request => request.route), ['deviceCode', 'token', 'token']);
+    });
+  });
+
+  describe('createDeviceFlow', () => {
+    it('emits code, pending and success', async () => {
+      mock.reset({ pendingPolls: 1 });
+      const flow = createDeviceFlow();
+      const events = [];
+      for (const name of ['code', 'pending', 'slow_down', 'success', 'expired']) {
+        flow.on(name, payload => events.push([name, payload]));
+      }
+
+      const tokens = await flow.start();
+
+      assert.deepEqual(events.map(([name]) => name), ['code', 'pending', 'success']);
+      assert.equal(events[0][1].userCode, 'WDJB-MJHT');
+      assert.equal(events[0][1].verificationUri, loadFixture('device-code').verification_uri);
+      assert.equal(events[0][1].qr, null);
+      assert.equal(events[2][1], tokens);
+    });
+
+    it('adds a QR code of the verification URL', async () => {
+      const flow = createDeviceFlow({ qr: true });
+      let code;
+      flow.on('code', event => { code = event; });
+
+      await flow.start();
+
+      assert.match(code.qr, /[▀▄█]/);
+    });
+
+    it('continues without a QR code when it can not be rendered', async () => {
+      // Longer than the largest QR code, so qrcode-terminal throws
+      mock.script('deviceCode', { status: 200, body: { ...loadFixture('device-code'), verification_uri_complete: `https://example.com/${'x'.repeat(5000)}` } });
+      const flow = createDeviceFlow({ qr: true });
+      let code;
+      flow.on('code', event => { code = event; });
+
+      const tokens = await flow.start();
+
+      assert.equal(code.qr, null);
+      assert.equal(code.userCode, 'WDJB-MJHT');
+      assert.ok(tokens.access_token);
+    });
+
+    it('emits expired when the device code expires', async () => {
+      mock.script('token', { status: 400, body: { error: 'expired_token' } });
+      const flow = createDeviceFlow();
+      let expired;
+      flow.on('expired', event => { expired = event; });
+
+      await assert.rejects(flow.start(), error => error.code === 'expired_token');
+      assert.equal(expired.expiresIn, loadFixture('device-code').expires_in);
+    });
+
+    it('stops polling when cancelled', async () => {
+      mock.reset({ pendingPolls: 100 });
+      const flow = createDeviceFlow();
+      flow.on('pending', () => flow.cancel(new Error('Closed by user')));
+
+      await assert.rejects(flow.start(), /Closed by user/);
+      assert.deepEqual(mock.requests.map(request => request.route), ['deviceCode', 'token']);
+    });
+
+    it('stops when the caller aborts its signal', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await assert.rejects(createDeviceFlow({ signal: controller.signal }).start(), { name: 'AbortError' });
+      assert.equal(mock.requests.length, 0);
+    });
+  });
+
+  describe('Map Rank Tracker helpers', () => {
+    it('getCampaigns sends the bearer token and query options', async () => {
+      const response = await getCampaigns(MOCK_TOKENS.accessToken, { size: 1 });
+
+      assert.equal(response.data.content.length, 1);
+      assert.equal(mock.requests[0].headers.authorization, `Bearer ${MOCK_TOKENS.accessToken}`);
+      assert.equal(mock.requests[0].query.size, '1');
+      assert.ok(mock.requests[0].headers['x-request-id']);
+    });
+
+    it('iterateCampaigns walks every page', async () => {
+      const ids = [];
+      for await (const campaign of iterateCampaigns(MOCK_TOKENS.accessToken, { size: 1 })) {
+        ids.push(campaign.id);
+      }
+
+      assert.deepEqual(ids, loadFixture('campaigns').data.content.map(campaign => campaign.id));
+    });
+
+    it('getCampaign returns campaign details', async () => {
+      const response = await getCampaign(MOCK_TOKENS.accessToken, CAMPAIGN_ID);
+
+      assert.equal(response.data.business.cid, CID);
+    });
+
+    it('getCampaign throws NotFoundError for an unknown campaign', async () => {
+      await assert.rejects(getCampaign(MOCK_TOKENS.accessToken, 'missing'), (error) => {
+        assert.ok(error instanceof NotFoundError);
+        assert.equal(error.status, 404);
+        assert.equal(error.semrushError.error.message, 'Campaign not found');
+        return true;
+      });
+    });
+
+    it('getKeywords forwards the report date', async () => {
+      const response = await getKeywords(MOCK_TOKENS.accessToken, CAMPAIGN_ID, '2024-07-05');
+
+      assert.equal(response.data.keywords.length, 2);
+      assert.equal(mock.requests[0].query.reportDate, '2024-07-05');
+    });
+
+    it('getHeatmap returns the grid for a business', async () => {
+      const response = await getHeatmap(MOCK_TOKENS.accessToken, CAMPAIGN_ID, { keywordId: KEYWORD_ID, cid: CID });
+
+      assert.deepEqual(response, loadFixture('heatmap'));
+      assert.equal(mock.requests[0].query.cid, CID);
+    });
+
+    it('validateAccessToken accepts a valid token and rejects others', async () => {
+      assert.equal(await validateAccessToken(MOCK_TOKENS.accessToken), true);
+      assert.equal(await validateAccessToken('expired'), false);
+    });
+  });
+});
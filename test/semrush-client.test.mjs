@@ -0,0 +1,106 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockSemrushServer, MOCK_TOKENS } from './mock-semrush-server.mjs';
+import { SemrushMapRankClient, AuthError, RateLimitError, SemrushApiError, NetworkError, describeError } from '../semrush-client.mjs';
+import { createEnvTokenStore, createTokenProvider } from '../token-store.mjs';
+
+describe('SemrushMapRankClient against the mock server', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockSemrushServer();
+    process.env.SEMRUSH_OAUTH_BASE_URL = mock.oauthBaseUrl;
+    process.env.LOG_LEVEL = 'silent';
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+  });
+
+  function createClient(options = {}) {
+    return new SemrushMapRankClient({
+      accessToken: MOCK_TOKENS.accessToken,
+      baseUrl: mock.apiBaseUrl,
+      retryBaseDelayMs: 1,
+      ...options
+    });
+  }
+
+  it('throws AuthError on 401 without retrying', async () => {
+    await assert.rejects(createClient({ accessToken: 'expired' }).getCampaigns(), AuthError);
+    assert.equal(mock.requests.length, 1);
+  });
+
+  it('retries 429 honouring Retry-After', async () => {
+    mock.script('campaigns', { status: 429, headers: { 'Retry-After': '0' } });
+
+    const response = await createClient().getCampaigns();
+
+    assert.equal(response.data.content.length, 2);
+    assert.equal(mock.requests.length, 2);
+  });
+
+  it('gives up after maxRetries on 429', async () => {
+    mock.script('campaigns', ...Array(3).fill({ status: 429, headers: { 'Retry-After': '0' } }));
+
+    await assert.rejects(createClient({ maxRetries: 2 }).getCampaigns(), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.retryAfter, 0);
+      return true;
+    });
+    assert.equal(mock.requests.length, 3);
+  });
+
+  it('retries 500 with a new request ID per attempt', async () => {
+    mock.script('campaigns', { status: 500 }, { status: 502 });
+
+    await createClient().getCampaigns();
+
+    const ids = mock.requests.map(request => request.headers['x-request-id']);
+    assert.equal(new Set(ids).size, 3);
+  });
+
+  it('keeps the status and Semrush error body of a persistent 500', async () => {
+    mock.script('campaigns', ...Array(2).fill({ status: 500, body: { error: { code: 500, message: 'Internal error' } } }));
+
+    await assert.rejects(createClient({ maxRetries: 1 }).getCampaigns(), (error) => {
+      assert.ok(error instanceof SemrushApiError);
+      assert.equal(error.status, 500);
+      assert.equal(error.semrushError.error.message, 'Internal error');
+      return true;
+    });
+  });
+
+  it('turns timeouts into NetworkError', async () => {
+    mock.script('campaigns', { delayMs: 300 });
+
+    await assert.rejects(createClient({ timeout: 50, maxRetries: 0 }).getCampaigns(), NetworkError);
+  });
+
+  it('describes typed and plain errors for per-item error fields', async () => {
+    const error = await createClient({ accessToken: 'expired' }).getCampaigns().catch(caught => caught);
+
+    assert.deepEqual(describeError(error), { type: 'AuthError', message: error.message, status: 401 });
+    assert.deepEqual(describeError(new TypeError('boom')), { type: 'TypeError', message: 'boom', status: null });
+  });
+
+  it('refreshes the token once after a 401 when a token provider is used', async () => {
+    const store = createEnvTokenStore({
+      accessTokenVar: 'MOCK_TEST_ACCESS_TOKEN',
+      refreshTokenVar: 'MOCK_TEST_REFRESH_TOKEN',
+      expiresAtVar: 'MOCK_TEST_EXPIRES_AT'
+    });
+    await store.save({ access_token: 'revoked', refresh_token: MOCK_TOKENS.refreshToken, expires_at: '2099-01-01T00:00:00.000Z' });
+
+    const client = createClient({ accessToken: null, tokenProvider: createTokenProvider({ store }) });
+    const response = await client.getCampaigns();
+
+    assert.equal(response.data.content.length, 2);
+    assert.deepEqual(mock.requests.map(request => request.route), ['campaigns', 'token', 'campaigns']);
+    assert.match(process.env.MOCK_TEST_ACCESS_TOKEN, /^mock-access-token-/);
+  });
+});
@@ -0,0 +1,268 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createTokenProvider,
+  createFileTokenStore,
+  createEnvTokenStore,
+  createSecretsManagerTokenStore,
+  normalizeTokens,
+  isUnauthorizedError
+} from '../token-store.mjs';
+import { startMockSemrushServer, MOCK_TOKENS } from './mock-semrush-server.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function memoryStore(tokens) {
+  const store = {
+    type: 'memory',
+    description: 'test',
+    tokens,
+    saved: [],
+    async load() {
+      return store.tokens;
+    },
+    async save(next) {
+      store.tokens = next;
+      store.saved.push(next);
+    }
+  };
+  return store;
+}
+
+// Refresh stand-in: issues refreshed-1, refreshed-2, ... valid for a week
+function countingRefresh({ fail = false } = {}) {
+  const refresh = async (refreshToken) => {
+    refresh.calls.push(refreshToken);
+    await new Promise(resolve => setImmediate(resolve));
+    if (fail) throw new Error('refresh rejected');
+    return { access_token: `refreshed-${refresh.calls.length}`, expires_in: 604800 };
+  };
+  refresh.calls = [];
+  return refresh;
+}
+
+function unauthorized() {
+  return Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+}
+
+function expiringIn(ms) {
+  return { access_token: 'current', refresh_token: 'refresh-1', expires_at: new Date(Date.now() + ms).toISOString() };
+}
+
+describe('token-store', () => {
+  before(() => {
+    process.env.LOG_LEVEL = 'silent';
+  });
+
+  it('computes expires_at from created_at and expires_in', () => {
+    const tokens = normalizeTokens({ access_token: 'a', created_at: '2024-07-01T00:00:00.000Z', expires_in: 604800 });
+
+    assert.equal(tokens.expires_at, '2024-07-08T00:00:00.000Z');
+    assert.equal(isUnauthorizedError({ status: 401 }), true);
+    assert.equal(isUnauthorizedError({ response: { status: 403 } }), false);
+  });
+
+  describe('provider', () => {
+    it('returns the stored access token while it is far from expiry', async () => {
+      const refresh = countingRefresh();
+      const provider = createTokenProvider({ store: memoryStore(expiringIn(72 * HOUR_MS)), refresh });
+
+      assert.equal(await provider.getAccessToken(), 'current');
+      assert.equal(refresh.calls.length, 0);
+    });
+
+    it('refreshes within the margin and keeps the refresh token', async () => {
+      const store = memoryStore(expiringIn(HOUR_MS));
+      const refresh = countingRefresh();
+      const provider = createTokenProvider({ store, refresh, refreshMarginSeconds: 24 * 60 * 60 });
+
+      assert.equal(await provider.getAccessToken(), 'refreshed-1');
+      assert.deepEqual(refresh.calls, ['refresh-1']);
+      assert.equal(store.tokens.refresh_token, 'refresh-1');
+      assert.ok(Date.parse(store.tokens.expires_at) > Date.now() + 6 * 24 * HOUR_MS);
+    });
+
+    it('shares one refresh between concurrent callers', async () => {
+      const refresh = countingRefresh();
+      const provider = createTokenProvider({ store: memoryStore(expiringIn(-HOUR_MS)), refresh });
+
+      const tokens = await Promise.all([provider.getAccessToken(), provider.getAccessToken(), provider.getAccessToken()]);
+
+      assert.deepEqual(tokens, ['refreshed-1', 'refreshed-1', 'refreshed-1']);
+      assert.equal(refresh.calls.length, 1);
+    });
+
+    it('keeps a still valid token when the refresh fails, but not an expired one', async () => {
+      const refresh = countingRefresh({ fail: true });
+      const expiring = createTokenProvider({ store: memoryStore(expiringIn(HOUR_MS)), refresh });
+      const expired = createTokenProvider({ store: memoryStore(expiringIn(-HOUR_MS)), refresh });
+
+      assert.equal(await expiring.getAccessToken(), 'current');
+      await assert.rejects(expired.getAccessToken(), /refresh rejected/);
+    });
+
+    it('reports missing tokens', async () => {
+      const provider = createTokenProvider({ store: memoryStore(null), refresh: countingRefresh() });
+
+      assert.equal(await provider.hasTokens(), false);
+      await assert.rejects(provider.getAccessToken(), /No Semrush tokens found in memory token store/);
+    });
+  });
+
+  describe('withAccessToken', () => {
+    it('refreshes and retries once after a 401', async () => {
+      const refresh = countingRefresh();
+      const provider = createTokenProvider({ store: memoryStore(expiringIn(72 * HOUR_MS)), refresh });
+      const used = [];
+
+      const result = await provider.withAccessToken(async (token) => {
+        used.push(token);
+        if (token === 'current') throw unauthorized();
+        return 'ok';
+      });
+
+      assert.equal(result, 'ok');
+      assert.deepEqual(used, ['current', 'refreshed-1']);
+    });
+
+    it('gives up when the refreshed token is rejected too', async () => {
+      const refresh = countingRefresh();
+      const provider = createTokenProvider({ store: memoryStore(expiringIn(72 * HOUR_MS)), refresh });
+      let attempts = 0;
+
+      await assert.rejects(provider.withAccessToken(async () => {
+        attempts++;
+        throw unauthorized();
+      }), /status code 401/);
+      assert.equal(attempts, 2);
+      assert.equal(refresh.calls.length, 1);
+    });
+
+    it('reuses a token another caller refreshed instead of refreshing again', async () => {
+      const refresh = countingRefresh();
+      const store = memoryStore(expiringIn(72 * HOUR_MS));
+      const provider = createTokenProvider({ store, refresh });
+
+      const result = await provider.withAccessToken(async (token) => {
+        if (token !== 'current') return token;
+        // Another container stored a new token while this request was on its way
+        store.tokens = { ...store.tokens, access_token: 'refreshed-elsewhere' };
+        throw unauthorized();
+      });
+
+      assert.equal(result, 'refreshed-elsewhere');
+      assert.equal(refresh.calls.length, 0);
+    });
+
+    it('does not refresh for other errors or without a refresh token', async () => {
+      const refresh = countingRefresh();
+      const provider = createTokenProvider({ store: memoryStore(expiringIn(72 * HOUR_MS)), refresh });
+      const accessOnly = createTokenProvider({ store: memoryStore({ access_token: 'current' }), refresh });
+
+      await assert.rejects(provider.withAccessToken(async () => { throw new Error('boom'); }), /boom/);
+      await assert.rejects(accessOnly.withAccessToken(async () => { throw unauthorized(); }), /status code 401/);
+      assert.equal(refresh.calls.length, 0);
+    });
+  });
+
+  describe('against the mock OAuth server', () => {
+    let mock;
+
+    before(async () => {
+      mock = await startMockSemrushServer();
+      process.env.SEMRUSH_OAUTH_BASE_URL = mock.oauthBaseUrl;
+    });
+
+    after(async () => {
+      delete process.env.SEMRUSH_OAUTH_BASE_URL;
+      await mock.close();
+    });
+
+    it('calls the token endpoint once for 401s arriving before and after the refresh', async () => {
+      const store = memoryStore({ access_token: 'stale', refresh_token: MOCK_TOKENS.refreshToken });
+      const save = store.save;
+      let markSaved;
+      const saved = new Promise(resolve => { markSaved = resolve; });
+      store.save = async (tokens) => {
+        await save(tokens);
+        markSaved();
+      };
+      const provider = createTokenProvider({ store });
+
+      // The first call is rejected at once; the others only after the refreshed token was stored
+      const results = await Promise.all([0, 1, 2].map(index => provider.withAccessToken(async (token) => {
+        if (token !== 'stale') return token;
+        if (index > 0) {
+          await saved;
+          await new Promise(resolve => setImmediate(resolve));
+        }
+        throw unauthorized();
+      })));
+
+      assert.equal(mock.requests.filter(request => request.route === 'token').length, 1);
+      assert.equal(new Set(results).size, 1);
+      assert.equal(results[0], store.tokens.access_token);
+    });
+  });
+
+  describe('stores', () => {
+    let directory;
+
+    before(() => {
+      directory = mkdtempSync(join(tmpdir(), 'token-store-'));
+    });
+
+    after(() => {
+      rmSync(directory, { recursive: true, force: true });
+      for (const name of ['TEST_ACCESS_TOKEN', 'TEST_REFRESH_TOKEN', 'TEST_EXPIRES_AT']) delete process.env[name];
+    });
+
+    it('writes the token file readable only by the owner', async () => {
+      const store = createFileTokenStore(join(directory, 'nested', 'tokens.json'));
+
+      await store.save({ access_token: 'a', refresh_token: 'r', expires_in: 60, created_at: '2024-07-01T00:00:00.000Z' });
+
+      assert.equal((await store.load()).expires_at, '2024-07-01T00:01:00.000Z');
+      assert.equal(statSync(join(directory, 'nested', 'tokens.json')).mode & 0o777, 0o600);
+    });
+
+    it('reads the secret again before refreshing and after a failed refresh', async () => {
+      const secrets = {
+        value: JSON.stringify(expiringIn(-HOUR_MS)),
+        reads: 0,
+        async getSecretValue() {
+          secrets.reads++;
+          return secrets.value;
+        },
+        async putSecretValue(secretId, value) {
+          secrets.value = value;
+        }
+      };
+      const store = createSecretsManagerTokenStore({ secretId: 'semrush-tokens', client: secrets });
+      const refresh = countingRefresh({ fail: true });
+      const provider = createTokenProvider({ store, refresh });
+
+      await store.load();
+      // Another container refreshed and rotated the refresh token in the meantime
+      secrets.value = JSON.stringify({ ...expiringIn(-HOUR_MS), refresh_token: 'refresh-2' });
+      await assert.rejects(provider.refresh(), /refresh rejected/);
+      await store.load();
+
+      assert.deepEqual(refresh.calls, ['refresh-2']);
+      assert.equal(secrets.reads, 3);
+    });
+
+    it('keeps refreshed tokens in the environment', async () => {
+      const store = createEnvTokenStore({ accessTokenVar: 'TEST_ACCESS_TOKEN', refreshTokenVar: 'TEST_REFRESH_TOKEN', expiresAtVar: 'TEST_EXPIRES_AT' });
+      process.env.TEST_REFRESH_TOKEN = 'refresh-1';
+      const provider = createTokenProvider({ store, refresh: countingRefresh() });
+
+      assert.equal(await provider.getAccessToken(), 'refreshed-1');
+      assert.equal(process.env.TEST_ACCESS_TOKEN, 'refreshed-1');
+      assert.equal(process.env.TEST_REFRESH_TOKEN, 'refresh-1');
+    });
+  });
+});
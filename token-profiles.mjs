@@ -0,0 +1,234 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, chmodSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import {
+  createFileTokenStore,
+  createEnvTokenStore,
+  createSecretsManagerTokenStore,
+  normalizeTokens
+} from './token-store.mjs';
+
+/**
+ * Named token profiles, one Semrush account each (e.g. one per agency client)
+ *
+ * The CLI keeps profiles in a per-user config directory, readable only by the user:
+ *   <config dir>/config.json           { "currentProfile": "clientA" }
+ *   <config dir>/profiles/<name>.json  token set, same shape as .semrush-tokens.json
+ *
+ * The config directory is SEMRUSH_CONFIG_DIR, or $XDG_CONFIG_HOME/semrush (~/.config/semrush),
+ * or %APPDATA%\semrush on Windows.
+ *
+ * The Lambda selects a profile per request. Depending on the token store, a profile is:
+ * - env:             SEMRUSH_ACCESS_TOKEN_<PROFILE> / SEMRUSH_REFRESH_TOKEN_<PROFILE> / SEMRUSH_TOKEN_EXPIRES_AT_<PROFILE>
+ *                    ("default" uses the unsuffixed SEMRUSH_ACCESS_TOKEN / SEMRUSH_REFRESH_TOKEN / SEMRUSH_TOKEN_EXPIRES_AT)
+ * - secrets-manager: the secret named by SEMRUSH_TOKEN_SECRET_ID with {profile} replaced, e.g. semrush-tokens/{profile}
+ * - file:            the profile file in the config directory
+ */
+
+export const DEFAULT_PROFILE = 'default';
+export const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Check a profile name (letters, digits, "-" and "_", so it is safe as a file and variable name)
+ * @param {string} name - Profile name
+ * @returns {string} The name
+ * @throws {Error} If the name is invalid
+ */
+export function assertProfileName(name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid profile name "${name}": use up to 64 letters, digits, "-" or "_"`);
+  }
+  return name;
+}
+
+/**
+ * Get the per-user config directory
+ * @returns {string} Directory path
+ */
+export function getConfigDir() {
+  if (process.env.SEMRUSH_CONFIG_DIR) {
+    return process.env.SEMRUSH_CONFIG_DIR;
+  }
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return join(process.env.APPDATA, 'semrush');
+  }
+  return join(process.env.XDG_CONFIG_HOME || join(homedir(), '.config'), 'semrush');
+}
+
+/**
+ * Environment variable names holding a profile's tokens.
+ * The default profile uses the unsuffixed variables, like requests without a profile.
+ * @param {string} profile - Profile name
+ * @returns {Object} { accessTokenVar, refreshTokenVar, expiresAtVar }
+ */
+export function getProfileEnvVars(profile) {
+  if (assertProfileName(profile) === DEFAULT_PROFILE) {
+    return { accessTokenVar: 'SEMRUSH_ACCESS_TOKEN', refreshTokenVar: 'SEMRUSH_REFRESH_TOKEN', expiresAtVar: 'SEMRUSH_TOKEN_EXPIRES_AT' };
+  }
+  const suffix = assertProfileName(profile).toUpperCase().replace(/-/g, '_');
+  return {
+    accessTokenVar: `SEMRUSH_ACCESS_TOKEN_${suffix}`,
+    refreshTokenVar: `SEMRUSH_REFRESH_TOKEN_${suffix}`,
+    expiresAtVar: `SEMRUSH_TOKEN_EXPIRES_AT_${suffix}`
+  };
+}
+
+/**
+ * Create a manager for the profiles in a config directory
+ * @param {Object} options - Manager options
+ * @param {string} options.directory - Config directory (defaults to getConfigDir())
+ * @returns {Object} Profile manager
+ */
+export function createProfileManager(options = {}) {
+  const directory = options.directory || getConfigDir();
+  const profilesDir = join(directory, 'profiles');
+  const configFile = join(directory, 'config.json');
+
+  function profilePath(name) {
+    return join(profilesDir, `${assertProfileName(name)}.json`);
+  }
+
+  function readConfig() {
+    if (!existsSync(configFile)) {
+      return {};
+    }
+    try {
+      return JSON.parse(readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read profile config ${configFile}: ${error.message}`);
+    }
+  }
+
+  function writeConfig(config) {
+    mkdirSync(directory, { recursive: true, mode: 0o700 });
+    writeFileSync(configFile, JSON.stringify(config, null, 2), { mode: 0o600 });
+    chmodSync(configFile, 0o600);
+  }
+
+  function exists(name) {
+    return existsSync(profilePath(name));
+  }
+
+  return {
+    directory,
+    profilePath,
+    exists,
+
+    /**
+     * Name of the profile used when none is given
+     * @returns {string} Profile name
+     */
+    getCurrent() {
+      return readConfig().currentProfile || DEFAULT_PROFILE;
+    },
+
+    /**
+     * Make a profile the current one
+     * @param {string} name - Existing profile name
+     */
+    setCurrent(name) {
+      if (!exists(name)) {
+        throw new Error(`Profile "${name}" does not exist`);
+      }
+      writeConfig({ ...readConfig(), currentProfile: name });
+    },
+
+    /**
+     * List every profile with its tokens
+     * @returns {Array<Object>} { name, current, path, tokens } sorted by name; tokens is null if unreadable
+     */
+    list() {
+      if (!existsSync(profilesDir)) {
+        return [];
+      }
+      const current = this.getCurrent();
+
+      return readdirSync(profilesDir)
+        .filter(file => file.endsWith('.json') && PROFILE_NAME_PATTERN.test(file.slice(0, -5)))
+        .map(file => file.slice(0, -5))
+        .sort()
+        .map((name) => {
+          let tokens = null;
+          try {
+            tokens = normalizeTokens(JSON.parse(readFileSync(profilePath(name), 'utf8')));
+          } catch (error) {
+            // Listed without tokens so the broken profile can still be deleted
+          }
+          return { name, current: name === current, path: profilePath(name), tokens };
+        });
+    },
+
+    /**
+     * Delete a profile; deleting the current profile makes "default" current again
+     * @param {string} name - Profile name
+     */
+    remove(name) {
+      if (!exists(name)) {
+        throw new Error(`Profile "${name}" does not exist`);
+      }
+      unlinkSync(profilePath(name));
+
+      const config = readConfig();
+      if (config.currentProfile === name) {
+        delete config.currentProfile;
+        writeConfig(config);
+      }
+    },
+
+    /**
+     * Token store of a profile (created on the first save)
+     * @param {string} name - Profile name
+     * @returns {Object} Token store
+     */
+    createStore(name) {
+      return {
+        ...createFileTokenStore(profilePath(name)),
+        description: `profile ${name}, ${profilePath(name)}`
+      };
+    }
+  };
+}
+
+function resolveStoreType(options) {
+  const secretId = options.secretId || process.env.SEMRUSH_TOKEN_SECRET_ID;
+  return { secretId, type: options.type || process.env.SEMRUSH_TOKEN_STORE || (secretId ? 'secrets-manager' : 'env') };
+}
+
+/**
+ * Check that the configured token store can serve named profiles
+ * @param {Object} options - Store options (type, secretId)
+ * @returns {string|null} What is wrong with the configuration, or null when profiles work
+ */
+export function describeProfileConfigError(options = {}) {
+  const { secretId, type } = resolveStoreType(options);
+  if (type === 'secrets-manager' && !secretId?.includes('{profile}')) {
+    return 'SEMRUSH_TOKEN_SECRET_ID must contain {profile} to use profiles, e.g. semrush-tokens/{profile}';
+  }
+  return null;
+}
+
+/**
+ * Create the token store of a profile for the configured store type.
+ * SEMRUSH_TOKEN_STORE selects the type; otherwise secrets-manager when SEMRUSH_TOKEN_SECRET_ID is set, else env.
+ * @param {string} profile - Profile name
+ * @param {Object} options - Store options (type, directory, secretId, client)
+ * @returns {Object} Token store
+ */
+export function createProfileTokenStore(profile, options = {}) {
+  assertProfileName(profile);
+  const { secretId, type } = resolveStoreType(options);
+
+  switch (type) {
+    case 'file':
+      return createProfileManager(options).createStore(profile);
+    case 'env':
+      return createEnvTokenStore(getProfileEnvVars(profile));
+    case 'secrets-manager': {
+      const problem = describeProfileConfigError(options);
+      if (problem) throw new Error(problem);
+      return createSecretsManagerTokenStore({ ...options, secretId: secretId.replaceAll('{profile}', profile) });
+    }
+    default:
+      throw new Error(`Unknown token store type: ${type}`);
+  }
+}
@@ -0,0 +1,376 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, chmodSync } from 'fs';
+import { dirname } from 'path';
+import { refreshAccessToken } from './semrush-auth.mjs';
+import { logger } from './logger.mjs';
+
+/**
+ * Semrush token storage and automatic refresh
+ *
+ * A token store persists the OAuth token set (access token, refresh token and expiry).
+ * The token provider sits on top of a store, refreshes the access token shortly
+ * before it expires, and retries a call once after a 401 with a freshly refreshed token.
+ *
+ * Store backends:
+ * - file:            JSON file on disk (used by the CLI; one per profile, see token-profiles.mjs)
+ * - env:             SEMRUSH_ACCESS_TOKEN / SEMRUSH_REFRESH_TOKEN / SEMRUSH_TOKEN_EXPIRES_AT
+ * - secrets-manager: JSON secret in AWS Secrets Manager (or any client with the same interface)
+ */
+
+const DEFAULT_REFRESH_MARGIN_SECONDS = 24 * 60 * 60; // refresh one day before expiry
+const DEFAULT_SECRET_CACHE_SECONDS = 5 * 60;
+
+/**
+ * Normalize a token response into the stored token set shape
+ * @param {Object} tokens - Token response or previously stored token set
+ * @param {Date} now - Reference time for tokens without created_at
+ * @returns {Object} Token set with created_at and expires_at
+ */
+export function normalizeTokens(tokens, now = new Date()) {
+  const createdAt = tokens.created_at || now.toISOString();
+  let expiresAt = tokens.expires_at || null;
+
+  if (!expiresAt && tokens.expires_in) {
+    expiresAt = new Date(new Date(createdAt).getTime() + Number(tokens.expires_in) * 1000).toISOString();
+  }
+
+  return {
+    ...tokens,
+    created_at: createdAt,
+    expires_at: expiresAt
+  };
+}
+
+/**
+ * Get the number of seconds until the access token expires
+ * @param {Object} tokens - Token set
+ * @param {Date} now - Reference time
+ * @returns {number|null} Seconds until expiry (negative if expired), null if unknown
+ */
+export function getSecondsUntilExpiry(tokens, now = new Date()) {
+  if (!tokens?.expires_at) {
+    return null;
+  }
+  return Math.floor((new Date(tokens.expires_at).getTime() - now.getTime()) / 1000);
+}
+
+/**
+ * Check whether an error is an HTTP 401 from the Semrush API
+ * @param {Error} error - Error thrown by axios or a semrush-auth.mjs helper
+ * @returns {boolean} True if the request was rejected as unauthorized
+ */
+export function isUnauthorizedError(error) {
+  const status = error?.response?.status ?? error?.status ?? error?.cause?.response?.status;
+  return status === 401;
+}
+
+/**
+ * Create a token store backed by a local JSON file, readable only by the current user (0600)
+ * @param {string} filePath - Path of the token file
+ * @returns {Object} Token store
+ */
+export function createFileTokenStore(filePath) {
+  return {
+    type: 'file',
+    description: filePath,
+
+    async load() {
+      if (!existsSync(filePath)) {
+        return null;
+      }
+      try {
+        return normalizeTokens(JSON.parse(readFileSync(filePath, 'utf8')));
+      } catch (error) {
+        throw new Error(`Failed to read token file ${filePath}: ${error.message}`);
+      }
+    },
+
+    async save(tokens) {
+      mkdirSync(dirname(filePath), { recursive: true, mode: 0o700 });
+      writeFileSync(filePath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+      // The mode above only applies to new files
+      chmodSync(filePath, 0o600);
+    }
+  };
+}
+
+/**
+ * Create a token store backed by environment variables.
+ * Saving updates process.env, so refreshed tokens survive for the lifetime of a warm Lambda container.
+ * @param {Object} options - Variable names
+ * @returns {Object} Token store
+ */
+export function createEnvTokenStore(options = {}) {
+  const {
+    accessTokenVar = 'SEMRUSH_ACCESS_TOKEN',
+    refreshTokenVar = 'SEMRUSH_REFRESH_TOKEN',
+    expiresAtVar = 'SEMRUSH_TOKEN_EXPIRES_AT'
+  } = options;
+
+  return {
+    type: 'env',
+    description: accessTokenVar,
+
+    async load() {
+      const accessToken = process.env[accessTokenVar];
+      const refreshToken = process.env[refreshTokenVar];
+
+      if (!accessToken && !refreshToken) {
+        return null;
+      }
+
+      return {
+        access_token: accessToken || null,
+        refresh_token: refreshToken || null,
+        expires_at: process.env[expiresAtVar] || null
+      };
+    },
+
+    async save(tokens) {
+      process.env[accessTokenVar] = tokens.access_token;
+      if (tokens.refresh_token) process.env[refreshTokenVar] = tokens.refresh_token;
+      if (tokens.expires_at) process.env[expiresAtVar] = tokens.expires_at;
+    }
+  };
+}
+
+/**
+ * Lazily build a secrets client on top of the AWS SDK v3 (bundled with the Lambda Node.js runtime)
+ * @returns {Promise<Object>} Client with getSecretValue/putSecretValue
+ */
+async function createAwsSecretsClient() {
+  let sdk;
+  try {
+    sdk = await import('@aws-sdk/client-secrets-manager');
+  } catch (error) {
+    throw new Error('@aws-sdk/client-secrets-manager is not available. Install it or pass a custom secrets client.');
+  }
+
+  const client = new sdk.SecretsManagerClient({});
+
+  return {
+    async getSecretValue(secretId) {
+      const response = await client.send(new sdk.GetSecretValueCommand({ SecretId: secretId }));
+      return response.SecretString;
+    },
+    async putSecretValue(secretId, secretString) {
+      await client.send(new sdk.PutSecretValueCommand({ SecretId: secretId, SecretString: secretString }));
+    }
+  };
+}
+
+/**
+ * Create a token store backed by a JSON secret in AWS Secrets Manager.
+ * Any client exposing getSecretValue(secretId) and putSecretValue(secretId, value) can be passed in.
+ * @param {Object} options - Store options
+ * @param {string} options.secretId - Secret name or ARN
+ * @param {Object} options.client - Optional secrets client (defaults to the AWS SDK)
+ * @param {number} options.cacheSeconds - How long a loaded secret is reused in memory
+ * @returns {Object} Token store
+ */
+export function createSecretsManagerTokenStore(options = {}) {
+  const { secretId, cacheSeconds = DEFAULT_SECRET_CACHE_SECONDS } = options;
+  let client = options.client || null;
+  let cached = null;
+  let cachedAt = 0;
+
+  if (!secretId) {
+    throw new Error('secretId is required for the secrets-manager token store');
+  }
+
+  async function getClient() {
+    if (!client) {
+      client = await createAwsSecretsClient();
+    }
+    return client;
+  }
+
+  return {
+    type: 'secrets-manager',
+    description: secretId,
+
+    /**
+     * Load the token set, reusing the copy read within cacheSeconds
+     * @param {Object} loadOptions - { fresh: true } reads the secret even if a cached copy exists
+     * @returns {Promise<Object|null>} Token set
+     */
+    async load(loadOptions = {}) {
+      if (!loadOptions.fresh && cached && Date.now() - cachedAt < cacheSeconds * 1000) {
+        return cached;
+      }
+
+      const secretString = await (await getClient()).getSecretValue(secretId);
+      if (!secretString) {
+        return null;
+      }
+
+      try {
+        cached = normalizeTokens(JSON.parse(secretString));
+      } catch (error) {
+        throw new Error(`Secret ${secretId} does not contain a valid token JSON: ${error.message}`);
+      }
+      cachedAt = Date.now();
+      return cached;
+    },
+
+    async save(tokens) {
+      await (await getClient()).putSecretValue(secretId, JSON.stringify(tokens));
+      cached = tokens;
+      cachedAt = Date.now();
+    },
+
+    clearCache() {
+      cached = null;
+    }
+  };
+}
+
+/**
+ * Create a token store from options or environment configuration.
+ * SEMRUSH_TOKEN_STORE selects the backend; otherwise a secret is used when
+ * SEMRUSH_TOKEN_SECRET_ID is set, then the token file when filePath/SEMRUSH_TOKEN_FILE is given, then env.
+ * @param {Object} options - Store options (type, filePath, secretId, client)
+ * @returns {Object} Token store
+ */
+export function createTokenStore(options = {}) {
+  const secretId = options.secretId || process.env.SEMRUSH_TOKEN_SECRET_ID;
+  const filePath = options.filePath || process.env.SEMRUSH_TOKEN_FILE;
+  const type = options.type
+    || process.env.SEMRUSH_TOKEN_STORE
+    || (secretId ? 'secrets-manager' : filePath ? 'file' : 'env');
+
+  switch (type) {
+    case 'file':
+      if (!filePath) throw new Error('filePath (or SEMRUSH_TOKEN_FILE) is required for the file token store');
+      return createFileTokenStore(filePath);
+    case 'env':
+      return createEnvTokenStore(options);
+    case 'secrets-manager':
+      return createSecretsManagerTokenStore({ ...options, secretId });
+    default:
+      throw new Error(`Unknown token store type: ${type}`);
+  }
+}
+
+/**
+ * Create a token provider on top of a token store
+ * @param {Object} options - Provider options
+ * @param {Object} options.store - Token store
+ * @param {Function} options.refresh - Refresh function (defaults to refreshAccessToken)
+ * @param {number} options.refreshMarginSeconds - Refresh this long before expiry
+ * @returns {Object} Token provider
+ */
+export function createTokenProvider(options = {}) {
+  const {
+    store,
+    refresh = refreshAccessToken,
+    refreshMarginSeconds = Number(process.env.SEMRUSH_TOKEN_REFRESH_MARGIN) || DEFAULT_REFRESH_MARGIN_SECONDS
+  } = options;
+  let pendingRefresh = null;
+
+  if (!store) {
+    throw new Error('A token store is required');
+  }
+
+  async function loadTokens(loadOptions = {}) {
+    const tokens = await store.load(loadOptions);
+    if (!tokens?.access_token && !tokens?.refresh_token) {
+      throw new Error(`No Semrush tokens found in ${store.type} token store (${store.description})`);
+    }
+    return tokens;
+  }
+
+  async function hasTokens() {
+    const tokens = await store.load();
+    return Boolean(tokens?.access_token || tokens?.refresh_token);
+  }
+
+  async function refreshTokens() {
+    // Share a single in-flight refresh between concurrent callers
+    if (!pendingRefresh) {
+      pendingRefresh = (async () => {
+        // Skip the store's cache: another container may have rotated the refresh token
+        const current = await loadTokens({ fresh: true });
+        if (!current.refresh_token) {
+          throw new Error('Access token expired and no refresh token is available');
+        }
+
+        const response = await refresh(current.refresh_token);
+        const tokens = normalizeTokens({
+          ...response,
+          refresh_token: response.refresh_token || current.refresh_token,
+          created_at: new Date().toISOString(),
+          expires_at: null
+        });
+
+        await store.save(tokens);
+        return tokens;
+      })().catch((error) => {
+        store.clearCache?.();
+        throw error;
+      }).finally(() => {
+        pendingRefresh = null;
+      });
+    }
+    return pendingRefresh;
+  }
+
+  async function getAccessToken() {
+    const tokens = await loadTokens();
+    const secondsLeft = getSecondsUntilExpiry(tokens);
+    const expiringSoon = secondsLeft !== null && secondsLeft <= refreshMarginSeconds;
+
+    if (tokens.access_token && !expiringSoon) {
+      return tokens.access_token;
+    }
+
+    try {
+      return (await refreshTokens()).access_token;
+    } catch (error) {
+      // Keep using a token that is about to expire but still valid
+      if (tokens.access_token && secondsLeft > 0) {
+        logger.warn('Token refresh failed, using current access token', { error });
+        return tokens.access_token;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Call fn with a valid access token, refreshing and retrying once on a 401
+   * @param {Function} fn - async (accessToken) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  async function withAccessToken(fn) {
+    const accessToken = await getAccessToken();
+
+    try {
+      return await fn(accessToken);
+    } catch (error) {
+      if (!isUnauthorizedError(error)) {
+        throw error;
+      }
+
+      const tokens = await loadTokens({ fresh: true });
+      // Another caller already refreshed since our token was issued: retry with the stored one
+      if (tokens.access_token && tokens.access_token !== accessToken) {
+        return fn(tokens.access_token);
+      }
+      if (!tokens.refresh_token) {
+        throw error;
+      }
+
+      logger.info('Access token rejected (401), refreshing and retrying');
+      const refreshed = await refreshTokens();
+      return fn(refreshed.access_token);
+    }
+  }
+
+  return {
+    store,
+    hasTokens,
+    loadTokens,
+    getAccessToken,
+    refresh: refreshTokens,
+    withAccessToken
+  };
+}